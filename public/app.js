@@ -7,14 +7,32 @@ const BROWSER_TIMEZONE = (() => {
     return 'UTC';
   }
 })();
+const WATCHLIST_STATUSES = ['watching', 'planning', 'paused', 'dropped', 'completed'];
+const SOURCE_LABELS = { anilist: 'AniList', kitsu: 'Kitsu' };
+
+const PUSH_SUPPORTED = 'serviceWorker' in navigator && 'PushManager' in window;
 
 const state = {
   anime: [],
   episodes: [],
   reminders: [],
+  watchlist: [],
+  channels: [],
+  deliveryIssues: [],
+  calendarFeedUrl: null,
+  digest: null,
+  pushSubscription: null,
+  webhooks: [],
+  telegram: null,
+  telegramLinkCode: null,
+  editingReminderId: null,
   syncStatus: null,
+  syncRuns: [],
+  syncRunsPage: 1,
+  syncRunsTotal: 0,
   episodeFilter: '24h',
   episodeSort: 'release',
+  mineOnly: false,
   authToken: localStorage.getItem(AUTH_TOKEN_KEY) || '',
   user: null,
   oauthProviders: {
@@ -24,16 +42,29 @@ const state = {
 };
 
 const elements = {
+  searchInput: document.getElementById('searchInput'),
   daysSelect: document.getElementById('daysSelect'),
   sortSelect: document.getElementById('sortSelect'),
+  mineOnlyToggle: document.getElementById('mineOnlyToggle'),
   episodesGrid: document.getElementById('episodesGrid'),
   episodeFilters: document.getElementById('episodeFilters'),
   animeSelect: document.getElementById('animeSelect'),
   reminderForm: document.getElementById('reminderForm'),
+  reminderFormTitle: document.getElementById('reminderFormTitle'),
+  saveReminderBtn: document.getElementById('saveReminderBtn'),
+  cancelReminderEditBtn: document.getElementById('cancelReminderEditBtn'),
+  destinationRows: document.getElementById('destinationRows'),
+  addDestinationBtn: document.getElementById('addDestinationBtn'),
   remindersList: document.getElementById('remindersList'),
+  deliveryIssuesList: document.getElementById('deliveryIssuesList'),
+  watchlistForm: document.getElementById('watchlistForm'),
+  watchlistAnimeSelect: document.getElementById('watchlistAnimeSelect'),
+  watchlistList: document.getElementById('watchlistList'),
   calendarBtn: document.getElementById('calendarBtn'),
   syncBtn: document.getElementById('syncBtn'),
   syncStatus: document.getElementById('syncStatus'),
+  syncRunsList: document.getElementById('syncRunsList'),
+  olderSyncRunsBtn: document.getElementById('olderSyncRunsBtn'),
   authForm: document.getElementById('authForm'),
   authMode: document.getElementById('authMode'),
   displayNameWrap: document.getElementById('displayNameWrap'),
@@ -51,6 +82,42 @@ const elements = {
   oauthGoogleBtn: document.getElementById('oauthGoogleBtn'),
   oauthGithubBtn: document.getElementById('oauthGithubBtn'),
   themeSelect: document.getElementById('themeSelect'),
+  calendarFeedPanel: document.getElementById('calendarFeedPanel'),
+  calendarFeedUrl: document.getElementById('calendarFeedUrl'),
+  rotateFeedBtn: document.getElementById('rotateFeedBtn'),
+  revokeFeedBtn: document.getElementById('revokeFeedBtn'),
+  quietHoursForm: document.getElementById('quietHoursForm'),
+  quietStart: document.getElementById('quietStart'),
+  quietEnd: document.getElementById('quietEnd'),
+  clearQuietHoursBtn: document.getElementById('clearQuietHoursBtn'),
+  telegramPanel: document.getElementById('telegramPanel'),
+  telegramStatus: document.getElementById('telegramStatus'),
+  linkTelegramBtn: document.getElementById('linkTelegramBtn'),
+  unlinkTelegramBtn: document.getElementById('unlinkTelegramBtn'),
+  webhooksPanel: document.getElementById('webhooksPanel'),
+  webhooksList: document.getElementById('webhooksList'),
+  webhookForm: document.getElementById('webhookForm'),
+  webhookSecret: document.getElementById('webhookSecret'),
+  webhookOptions: document.getElementById('webhookOptions'),
+  pushPanel: document.getElementById('pushPanel'),
+  pushStatus: document.getElementById('pushStatus'),
+  togglePushBtn: document.getElementById('togglePushBtn'),
+  localeForm: document.getElementById('localeForm'),
+  localeInput: document.getElementById('localeInput'),
+  timeFormatSelect: document.getElementById('timeFormatSelect'),
+  titleLanguageSelect: document.getElementById('titleLanguageSelect'),
+  messageTemplateForm: document.getElementById('messageTemplateForm'),
+  userMessageTemplate: document.getElementById('userMessageTemplate'),
+  previewUserTemplateBtn: document.getElementById('previewUserTemplateBtn'),
+  userTemplatePreview: document.getElementById('userTemplatePreview'),
+  reminderMessageTemplate: document.getElementById('reminderMessageTemplate'),
+  previewReminderTemplateBtn: document.getElementById('previewReminderTemplateBtn'),
+  reminderTemplatePreview: document.getElementById('reminderTemplatePreview'),
+  digestForm: document.getElementById('digestForm'),
+  digestFrequency: document.getElementById('digestFrequency'),
+  digestSendHour: document.getElementById('digestSendHour'),
+  digestWeekday: document.getElementById('digestWeekday'),
+  digestScope: document.getElementById('digestScope'),
 };
 
 function timeUntil(dateIso) {
@@ -73,8 +140,10 @@ function formatReleaseTime(dateIso) {
   };
 
   options.timeZone = state.user?.timezone || BROWSER_TIMEZONE;
+  if (state.user?.timeFormat === '12h') options.hour12 = true;
+  if (state.user?.timeFormat === '24h') options.hourCycle = 'h23';
 
-  return new Intl.DateTimeFormat(undefined, options).format(date);
+  return new Intl.DateTimeFormat(state.user?.locale || undefined, options).format(date);
 }
 
 function toDateKey(date) {
@@ -167,7 +236,7 @@ function renderEpisodeCard(episode, index) {
   const card = fragment.querySelector('.episode-card');
   card.dataset.releaseAt = episode.releaseAt;
 
-  const sourceLabel = episode.source === 'anilist' ? 'AniList' : 'Local';
+  const sourceLabel = SOURCE_LABELS[episode.source] || 'Local';
   const popularity = Number(episode.animePopularity) || 0;
   const posterImg = fragment.querySelector('.poster-img');
   const posterWrap = fragment.querySelector('.poster-wrap');
@@ -187,9 +256,40 @@ function renderEpisodeCard(episode, index) {
   fragment.querySelector('.release-at').textContent = `Release: ${formatReleaseTime(episode.releaseAt)}`;
   fragment.querySelector('.countdown').textContent = `Countdown: ${timeUntil(episode.releaseAt)}`;
 
+  const note = fragment.querySelector('.schedule-note');
+  if (episode.unconfirmedAt) {
+    note.textContent = `Unconfirmed · no longer listed in the ${sourceLabel} schedule`;
+    note.classList.remove('hidden');
+  } else if (episode.scheduleStatus) {
+    const label = episode.scheduleStatus === 'delayed' ? 'Delayed' : 'Rescheduled';
+    note.textContent = `${label} · originally ${formatReleaseTime(episode.originalReleaseAt)}`;
+    note.classList.remove('hidden');
+  }
+
+  const behindBy = Number(episode.behindBy) || 0;
+  if (state.user && behindBy > 0) {
+    const progressRow = fragment.querySelector('.progress-row');
+    progressRow.classList.remove('hidden');
+    progressRow.querySelector('.behind-by').textContent = `Behind by ${behindBy} episode${behindBy === 1 ? '' : 's'}`;
+    progressRow.querySelector('.catch-up-btn').onclick = () => markCaughtUp(episode);
+  }
+
   return fragment;
 }
 
+async function markCaughtUp(episode) {
+  try {
+    await api(`/api/progress/${episode.animeId}/watched`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ episodeNumber: episode.episodeNumber - 1, upTo: true }),
+    });
+    await loadEpisodes();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
 function assignPopularityTileClasses(container, episodes) {
   if (!episodes.length) return;
 
@@ -245,6 +345,11 @@ async function api(path, options = {}) {
       clearSession();
       renderAuthState();
       renderReminders();
+      renderDeliveryIssues();
+      renderWatchlist();
+      renderCalendarFeed();
+      renderDigest();
+      renderWebhooks();
     }
 
     throw new Error(body.error || `Request failed: ${response.status}`);
@@ -274,6 +379,13 @@ function clearSession() {
   persistToken('');
   state.user = null;
   state.reminders = [];
+  state.deliveryIssues = [];
+  state.watchlist = [];
+  state.calendarFeedUrl = null;
+  state.digest = null;
+  state.editingReminderId = null;
+  state.mineOnly = false;
+  elements.mineOnlyToggle.checked = false;
 }
 
 function renderAuthState() {
@@ -290,10 +402,167 @@ function renderAuthState() {
   }
 
   const disabled = !state.user;
-  const reminderInputs = elements.reminderForm.querySelectorAll('input, select, button');
+  const reminderInputs = elements.reminderForm.querySelectorAll('input, select, textarea, button');
   reminderInputs.forEach((el) => {
     el.disabled = disabled;
   });
+
+  const watchlistInputs = elements.watchlistForm.querySelectorAll('input, select, button');
+  watchlistInputs.forEach((el) => {
+    el.disabled = disabled;
+  });
+  elements.mineOnlyToggle.disabled = disabled;
+  renderTelegram();
+  renderPush();
+  renderQuietHours();
+  renderLocale();
+  renderMessageTemplate();
+}
+
+function renderQuietHours() {
+  elements.quietHoursForm.classList.toggle('hidden', !state.user);
+  elements.quietStart.value = state.user?.quietHours?.start || '';
+  elements.quietEnd.value = state.user?.quietHours?.end || '';
+}
+
+function renderTelegram() {
+  const telegram = state.telegram;
+  elements.telegramPanel.classList.toggle('hidden', !state.user || !telegram?.configured);
+  if (!telegram) return;
+
+  const bot = telegram.botUsername ? `@${telegram.botUsername}` : 'the bot';
+  const code = state.telegramLinkCode;
+  if (telegram.linked) {
+    elements.telegramStatus.textContent = 'Telegram is linked. Add the Telegram channel to a reminder to use it.';
+  } else if (code) {
+    elements.telegramStatus.textContent = `Send ${code.code} to ${bot} within 15 minutes${code.deepLink ? ` or open ${code.deepLink}` : ''}, then refresh.`;
+  } else {
+    elements.telegramStatus.textContent = `Get reminders from ${bot} with buttons to mark episodes watched or snooze.`;
+  }
+  elements.linkTelegramBtn.textContent = telegram.linked ? 'Link Another Chat' : 'Link Telegram';
+  elements.unlinkTelegramBtn.classList.toggle('hidden', !telegram.linked);
+}
+
+function renderPush() {
+  elements.pushPanel.classList.toggle('hidden', !state.user || !PUSH_SUPPORTED);
+  elements.pushStatus.textContent = state.pushSubscription
+    ? 'Browser notifications are on for this device. Add the "Browser push" channel to a reminder to use them.'
+    : 'Get reminders as notifications in this browser, even with the tab closed.';
+  elements.togglePushBtn.textContent = state.pushSubscription
+    ? 'Disable Browser Notifications'
+    : 'Enable Browser Notifications';
+}
+
+function urlBase64ToUint8Array(value) {
+  const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+async function enablePush() {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notifications are blocked for this site. Allow them in your browser settings.');
+  }
+
+  const { publicKey } = await api('/api/push/public-key');
+  const registration = await navigator.serviceWorker.register('/sw.js');
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  });
+
+  await api('/api/push/subscriptions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(subscription.toJSON()),
+  });
+  state.pushSubscription = subscription;
+}
+
+async function disablePush() {
+  const subscription = state.pushSubscription;
+  state.pushSubscription = null;
+  await subscription.unsubscribe();
+  await api('/api/push/subscriptions', {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint }),
+  }).catch(() => {});
+}
+
+function renderLocale() {
+  elements.localeForm.classList.toggle('hidden', !state.user);
+  elements.localeInput.value = state.user?.locale || '';
+  elements.localeInput.placeholder = navigator.language || 'en-US';
+  elements.timeFormatSelect.value = state.user?.timeFormat || 'auto';
+  elements.titleLanguageSelect.value = state.user?.titleLanguage || 'english';
+}
+
+function renderMessageTemplate() {
+  elements.messageTemplateForm.classList.toggle('hidden', !state.user);
+  elements.userMessageTemplate.value = state.user?.messageTemplate || '';
+  elements.userTemplatePreview.classList.add('hidden');
+}
+
+async function previewTemplate(template, animeId, container) {
+  try {
+    const preview = await api('/api/templates/preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ template, animeId }),
+    });
+
+    container.innerHTML = '';
+    [
+      ['Email', preview.channels.email?.text],
+      ['Discord', preview.channels.discord?.content],
+      ['Slack', preview.channels.slack?.text],
+    ]
+      .filter(([, text]) => text)
+      .forEach(([label, text]) => {
+        const row = document.createElement('p');
+        const name = document.createElement('strong');
+        name.textContent = `${label}: `;
+        row.append(name, text);
+        container.appendChild(row);
+      });
+    container.classList.remove('hidden');
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+function isInQuietHours(date = new Date()) {
+  const quietHours = state.user?.quietHours;
+  if (!quietHours) return false;
+
+  const current = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: state.user.timezone || BROWSER_TIMEZONE,
+  }).format(date);
+
+  return quietHours.start < quietHours.end
+    ? current >= quietHours.start && current < quietHours.end
+    : current >= quietHours.start || current < quietHours.end;
+}
+
+function renderCalendarFeed() {
+  elements.calendarFeedPanel.classList.toggle('hidden', !state.user);
+  elements.calendarFeedUrl.value = state.calendarFeedUrl || '';
+  elements.rotateFeedBtn.textContent = state.calendarFeedUrl ? 'Rotate Feed Link' : 'Create Feed Link';
+  elements.revokeFeedBtn.classList.toggle('hidden', !state.calendarFeedUrl);
+}
+
+function renderDigest() {
+  elements.digestForm.classList.toggle('hidden', !state.user);
+  const digest = state.digest;
+  elements.digestFrequency.value = digest ? digest.frequency : '';
+  elements.digestSendHour.value = digest ? digest.sendHour : 8;
+  elements.digestWeekday.value = String(digest ? digest.weekday : 1);
+  elements.digestScope.value = digest ? digest.scope : 'mine';
+  elements.digestWeekday.disabled = elements.digestFrequency.value !== 'weekly';
 }
 
 function renderOAuthButtons() {
@@ -303,6 +572,7 @@ function renderOAuthButtons() {
 
 function renderAnimeSelect() {
   elements.animeSelect.innerHTML = '';
+  elements.watchlistAnimeSelect.innerHTML = '';
 
   const allOption = document.createElement('option');
   allOption.value = '';
@@ -312,8 +582,9 @@ function renderAnimeSelect() {
   state.anime.forEach((anime) => {
     const option = document.createElement('option');
     option.value = anime.id;
-    option.textContent = `${anime.title}${anime.source === 'anilist' ? ' (AniList)' : ''}`;
+    option.textContent = `${anime.title}${SOURCE_LABELS[anime.source] ? ` (${SOURCE_LABELS[anime.source]})` : ''}`;
     elements.animeSelect.appendChild(option);
+    elements.watchlistAnimeSelect.appendChild(option.cloneNode(true));
   });
 }
 
@@ -361,6 +632,140 @@ function refreshCountdowns() {
   });
 }
 
+function channelLabel(name) {
+  return state.channels.find((channel) => channel.name === name)?.label || name;
+}
+
+function describeDestination(destination) {
+  if (destination.channel === 'email') {
+    return `${channelLabel('email')}: ${destination.target || 'account email'}`;
+  }
+  if (destination.channel === 'webhook') {
+    const webhook = state.webhooks.find((entry) => String(entry.id) === destination.target);
+    return `${channelLabel('webhook')}: ${webhook ? webhook.description || webhook.url : `#${destination.target}`}`;
+  }
+  return `${channelLabel(destination.channel)}: enabled`;
+}
+
+function addDestinationRow(channelName = '', target = '') {
+  const template = document.getElementById('destinationRowTemplate');
+  const fragment = template.content.cloneNode(true);
+  const row = fragment.querySelector('.destination-row');
+  const select = row.querySelector('.destination-channel');
+  const input = row.querySelector('.destination-target');
+
+  state.channels.forEach((channel) => {
+    const option = document.createElement('option');
+    option.value = channel.name;
+    option.textContent = channel.label;
+    select.appendChild(option);
+  });
+  if (channelName) select.value = channelName;
+  input.value = target || '';
+
+  const syncPlaceholder = () => {
+    const channel = state.channels.find((entry) => entry.name === select.value);
+    input.placeholder = channel?.targetHint || '';
+    input.required = Boolean(channel?.targetRequired);
+  };
+  select.addEventListener('change', syncPlaceholder);
+  syncPlaceholder();
+
+  row.querySelector('.destination-remove').onclick = () => {
+    row.remove();
+  };
+
+  input.disabled = !state.user;
+  select.disabled = !state.user;
+  elements.destinationRows.appendChild(fragment);
+}
+
+function resetDestinationRows() {
+  elements.destinationRows.innerHTML = '';
+  if (state.channels.length) addDestinationRow('email');
+}
+
+const LEAD_TIME_UNITS = { d: 1440, h: 60, m: 1 };
+
+function parseLeadTimes(value) {
+  return value.split(',').map((part) => part.trim().toLowerCase()).filter(Boolean).map((part) => {
+    if (part === 'release' || part === '0') return 0;
+    const match = /^(\+)?(\d+)\s*([dhm]?)$/.exec(part);
+    if (!match) throw new Error(`Unrecognised lead time "${part}".`);
+    const minutes = Number(match[2]) * LEAD_TIME_UNITS[match[3] || 'm'];
+    return match[1] ? -minutes : minutes;
+  });
+}
+
+function formatLeadTime(offset) {
+  if (offset === 0) return 'release';
+  const minutes = Math.abs(offset);
+  const unit = ['d', 'h'].find((key) => minutes % LEAD_TIME_UNITS[key] === 0) || 'm';
+  return `${offset < 0 ? '+' : ''}${minutes / LEAD_TIME_UNITS[unit]}${unit}`;
+}
+
+function describeLeadTimes(offsets) {
+  return offsets.map((offset) => {
+    if (offset === 0) return 'at release';
+    return offset > 0 ? `${formatLeadTime(offset)} before` : `${formatLeadTime(offset).slice(1)} after`;
+  }).join(', ');
+}
+
+function resetReminderForm() {
+  state.editingReminderId = null;
+  elements.reminderForm.reset();
+  document.getElementById('leadTimes').value = '1h';
+  elements.reminderTemplatePreview.classList.add('hidden');
+  resetDestinationRows();
+  elements.reminderFormTitle.textContent = 'Create Reminder';
+  elements.saveReminderBtn.textContent = 'Save Reminder';
+  elements.cancelReminderEditBtn.classList.add('hidden');
+}
+
+function startReminderEdit(reminder) {
+  state.editingReminderId = reminder.id;
+  document.getElementById('animeSelect').value = reminder.animeId || '';
+  document.getElementById('leadTimes').value = reminder.offsets.map(formatLeadTime).join(', ');
+  document.getElementById('maxBehind').value = reminder.maxBehind ?? '';
+  document.getElementById('skipDropped').checked = Boolean(reminder.skipDropped);
+  document.getElementById('catchUpAfterRelease').checked = Boolean(reminder.catchUpAfterRelease);
+  document.getElementById('quietHoursMode').value = reminder.quietHoursMode;
+  elements.reminderMessageTemplate.value = reminder.messageTemplate || '';
+  elements.reminderTemplatePreview.classList.add('hidden');
+
+  elements.destinationRows.innerHTML = '';
+  reminder.destinations.forEach((destination) => addDestinationRow(destination.channel, destination.target));
+
+  elements.reminderFormTitle.textContent = 'Edit Reminder';
+  elements.saveReminderBtn.textContent = 'Update Reminder';
+  elements.cancelReminderEditBtn.classList.remove('hidden');
+  elements.reminderForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function updateReminder(id, changes) {
+  try {
+    await api(`/api/reminders/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    await loadReminders();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+function isSnoozed(reminder) {
+  return Boolean(reminder.snoozedUntil) && new Date(reminder.snoozedUntil).getTime() > Date.now();
+}
+
+function collectDestinations() {
+  return Array.from(elements.destinationRows.querySelectorAll('.destination-row')).map((row) => ({
+    channel: row.querySelector('.destination-channel').value,
+    target: row.querySelector('.destination-target').value,
+  }));
+}
+
 function renderReminders() {
   elements.remindersList.innerHTML = '';
 
@@ -374,56 +779,369 @@ function renderReminders() {
     return;
   }
 
+  const quietHours = state.user.quietHours;
+  if (quietHours) {
+    const banner = document.createElement('li');
+    banner.className = `quiet-hours-banner${isInQuietHours() ? ' active' : ''}`;
+    banner.textContent = isInQuietHours()
+      ? `Quiet hours active until ${quietHours.end}`
+      : `Quiet hours ${quietHours.start}–${quietHours.end}`;
+    elements.remindersList.appendChild(banner);
+  }
+
   state.reminders.forEach((reminder) => {
     const item = document.createElement('li');
     const target = reminder.animeTitle || 'All anime';
-    const channels = [
-      reminder.email ? `Email: ${reminder.email}` : null,
-      reminder.discordWebhookUrl ? 'Discord: enabled' : null,
-    ].filter(Boolean).join(' | ');
-
+    const channels = reminder.destinations.map(describeDestination).join(' | ');
+    const skips = [
+      reminder.skipDropped ? 'skips dropped' : null,
+      reminder.catchUpAfterRelease ? 'catches up after release' : null,
+      reminder.maxBehind !== null && reminder.maxBehind !== undefined
+        ? `skips when >${reminder.maxBehind} behind`
+        : null,
+      quietHours ? `${reminder.quietHoursMode === 'drop' ? 'drops' : 'defers'} in quiet hours` : null,
+    ].filter(Boolean).join(', ');
+    const status = !reminder.isActive
+      ? 'Paused'
+      : isSnoozed(reminder) ? `Snoozed until ${formatReleaseTime(reminder.snoozedUntil)}` : '';
+
+    item.classList.toggle('inactive', !reminder.isActive || isSnoozed(reminder));
     item.innerHTML = `
       <span>
-        <strong>${target}</strong><br />
-        <small>${reminder.minutesBefore} min before | ${channels}</small>
+        <strong>${target}</strong>${status ? ` <span class="reminder-status">${status}</span>` : ''}<br />
+        <small>${describeLeadTimes(reminder.offsets)} | ${channels}${skips ? ` | ${skips}` : ''}</small>
       </span>
     `;
 
+    const actions = document.createElement('div');
+    actions.className = 'reminder-actions';
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'secondary';
+    editBtn.textContent = 'Edit';
+    editBtn.onclick = () => startReminderEdit(reminder);
+
+    const pauseBtn = document.createElement('button');
+    pauseBtn.className = 'secondary';
+    pauseBtn.textContent = reminder.isActive ? 'Pause' : 'Resume';
+    pauseBtn.onclick = () => updateReminder(reminder.id, { isActive: !reminder.isActive });
+
+    actions.appendChild(editBtn);
+    actions.appendChild(pauseBtn);
+
+    if (isSnoozed(reminder)) {
+      const unsnoozeBtn = document.createElement('button');
+      unsnoozeBtn.className = 'secondary';
+      unsnoozeBtn.textContent = 'Unsnooze';
+      unsnoozeBtn.onclick = () => updateReminder(reminder.id, { snooze: null });
+      actions.appendChild(unsnoozeBtn);
+    } else {
+      const snoozeSelect = document.createElement('select');
+      snoozeSelect.innerHTML = `
+        <option value="">Snooze…</option>
+        <option value="episodes:1">Next episode</option>
+        <option value="episodes:3">Next 3 episodes</option>
+        <option value="days:1">1 day</option>
+        <option value="days:7">1 week</option>
+      `;
+      snoozeSelect.onchange = () => {
+        const [unit, amount] = snoozeSelect.value.split(':');
+        if (!unit) return;
+        const snooze = unit === 'episodes'
+          ? { episodes: Number(amount) }
+          : { until: new Date(Date.now() + Number(amount) * 24 * 60 * 60 * 1000).toISOString() };
+        updateReminder(reminder.id, { snooze });
+      };
+      actions.appendChild(snoozeSelect);
+    }
+
     const removeBtn = document.createElement('button');
     removeBtn.className = 'danger';
     removeBtn.textContent = 'Delete';
     removeBtn.onclick = async () => {
       await api(`/api/reminders/${reminder.id}`, { method: 'DELETE' });
+      if (state.editingReminderId === reminder.id) resetReminderForm();
       await loadReminders();
     };
 
-    item.appendChild(removeBtn);
+    actions.appendChild(removeBtn);
+    item.appendChild(actions);
     elements.remindersList.appendChild(item);
   });
 }
 
-function renderSyncStatus() {
-  if (!state.syncStatus) {
-    elements.syncStatus.textContent = 'Sync status unavailable.';
+function showWebhookSecret(secret) {
+  elements.webhookSecret.textContent = `Signing secret (copy it now, it is not shown again): ${secret}`;
+  elements.webhookSecret.classList.remove('hidden');
+}
+
+function renderWebhookDeliveries(item, deliveries) {
+  item.querySelector('.webhook-deliveries')?.remove();
+  const list = document.createElement('ul');
+  list.className = 'webhook-deliveries';
+
+  if (!deliveries.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No deliveries yet.';
+    list.appendChild(empty);
+  }
+
+  deliveries.forEach((delivery) => {
+    const entry = document.createElement('li');
+    const outcome = delivery.error || `HTTP ${delivery.responseStatus}`;
+    entry.textContent = `${formatReleaseTime(delivery.createdAt)} · ${delivery.eventType} · ${outcome} · ${delivery.durationMs} ms`;
+    list.appendChild(entry);
+  });
+  item.appendChild(list);
+}
+
+function renderWebhooks() {
+  elements.webhooksPanel.classList.toggle('hidden', !state.user);
+  elements.webhooksList.innerHTML = '';
+  elements.webhookOptions.innerHTML = '';
+  if (!state.user) return;
+
+  state.webhooks.forEach((webhook) => {
+    const option = document.createElement('option');
+    option.value = String(webhook.id);
+    option.label = webhook.description || webhook.url;
+    elements.webhookOptions.appendChild(option);
+
+    const item = document.createElement('li');
+    item.classList.toggle('inactive', !webhook.isActive);
+    const label = document.createElement('span');
+    const title = document.createElement('strong');
+    title.textContent = `#${webhook.id} ${webhook.description || webhook.url}`;
+    const details = document.createElement('small');
+    const lastDelivery = webhook.lastDeliveryAt
+      ? `last delivery ${webhook.lastStatus ? `HTTP ${webhook.lastStatus}` : 'failed'}`
+      : 'no deliveries yet';
+    details.textContent = `${webhook.url} · ${webhook.events.join(', ')} · ${lastDelivery}`;
+    label.append(title, document.createElement('br'), details);
+
+    const actions = document.createElement('div');
+    actions.className = 'reminder-actions';
+    const addAction = (text, className, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = text;
+      button.onclick = async () => {
+        try {
+          await onClick();
+        } catch (error) {
+          alert(error.message);
+        }
+      };
+      actions.appendChild(button);
+    };
+
+    addAction('Send Test', 'secondary', async () => {
+      const result = await api(`/api/webhooks/${webhook.id}/test`, { method: 'POST' });
+      alert(result.ok ? `Test event delivered (HTTP ${result.responseStatus}).` : `Test event failed: ${result.error}`);
+      await loadWebhooks();
+    });
+    addAction('History', 'secondary', async () => {
+      renderWebhookDeliveries(item, await api(`/api/webhooks/${webhook.id}/deliveries`));
+    });
+    addAction(webhook.isActive ? 'Pause' : 'Resume', 'secondary', async () => {
+      await api(`/api/webhooks/${webhook.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ isActive: !webhook.isActive }),
+      });
+      await loadWebhooks();
+    });
+    addAction('New Secret', 'secondary', async () => {
+      if (!confirm('Replace the signing secret? Receivers using the old secret will reject new events.')) return;
+      const result = await api(`/api/webhooks/${webhook.id}/secret`, { method: 'POST' });
+      showWebhookSecret(result.secret);
+    });
+    addAction('Delete', 'danger', async () => {
+      if (!confirm('Delete this webhook? Reminders using it stop sending to it.')) return;
+      await api(`/api/webhooks/${webhook.id}`, { method: 'DELETE' });
+      await Promise.all([loadWebhooks(), loadReminders()]);
+    });
+
+    item.append(label, actions);
+    elements.webhooksList.appendChild(item);
+  });
+}
+
+function renderDeliveryIssues() {
+  elements.deliveryIssuesList.innerHTML = '';
+  if (!state.user || !state.deliveryIssues.length) return;
+
+  state.deliveryIssues.forEach((issue) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    const title = document.createElement('strong');
+    title.textContent = `${issue.animeTitle} · Ep ${issue.episodeNumber} via ${channelLabel(issue.channel)}`;
+    const details = document.createElement('small');
+    if (issue.status === 'dead') {
+      details.textContent = `Failed after ${issue.attempts} attempts: ${issue.lastError}`;
+    } else if (issue.status === 'suppressed') {
+      details.textContent = issue.lastError;
+    } else if (!issue.attempts) {
+      details.textContent = `Deferred by quiet hours until ${formatReleaseTime(issue.nextAttemptAt)}`;
+    } else {
+      details.textContent = `Retrying (attempt ${issue.attempts} of ${issue.maxAttempts}) at ${formatReleaseTime(issue.nextAttemptAt)}: ${issue.lastError}`;
+    }
+    label.appendChild(title);
+    label.appendChild(document.createElement('br'));
+    label.appendChild(details);
+    item.appendChild(label);
+
+    if (issue.status === 'dead') {
+      const retryBtn = document.createElement('button');
+      retryBtn.className = 'secondary';
+      retryBtn.textContent = 'Retry';
+      retryBtn.onclick = async () => {
+        try {
+          await api(`/api/notifications/${issue.id}/retry`, { method: 'POST' });
+          await loadDeliveryIssues();
+        } catch (error) {
+          alert(error.message);
+        }
+      };
+      item.appendChild(retryBtn);
+    }
+
+    elements.deliveryIssuesList.appendChild(item);
+  });
+}
+
+function renderWatchlist() {
+  elements.watchlistList.innerHTML = '';
+
+  if (!state.user) {
+    elements.watchlistList.innerHTML = '<li class="muted">Sign in to build your watchlist.</li>';
     return;
   }
 
-  const { lastSyncAt, lastResult, lastError } = state.syncStatus;
-  if (lastError) {
-    elements.syncStatus.textContent = `Last sync error: ${lastError}`;
+  if (!state.watchlist.length) {
+    elements.watchlistList.innerHTML = '<li class="muted">Your watchlist is empty.</li>';
     return;
   }
 
+  state.watchlist.forEach((entry) => {
+    const item = document.createElement('li');
+    const details = [
+      entry.score ? `Score ${entry.score}/10` : null,
+      entry.notes,
+    ].filter(Boolean).join(' | ');
+
+    const label = document.createElement('span');
+    const title = document.createElement('strong');
+    title.textContent = entry.animeTitle;
+    label.appendChild(title);
+    if (details) {
+      const small = document.createElement('small');
+      small.textContent = details;
+      label.appendChild(document.createElement('br'));
+      label.appendChild(small);
+    }
+
+    const statusSelect = document.createElement('select');
+    WATCHLIST_STATUSES.forEach((status) => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+      statusSelect.appendChild(option);
+    });
+    statusSelect.value = entry.status;
+    statusSelect.onchange = async () => {
+      try {
+        await api(`/api/watchlist/${entry.id}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ status: statusSelect.value }),
+        });
+        await Promise.all([loadWatchlist(), loadEpisodes()]);
+      } catch (error) {
+        alert(error.message);
+      }
+    };
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.onclick = async () => {
+      await api(`/api/watchlist/${entry.id}`, { method: 'DELETE' });
+      await Promise.all([loadWatchlist(), loadEpisodes()]);
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'inline-actions';
+    actions.appendChild(statusSelect);
+    actions.appendChild(removeBtn);
+
+    item.appendChild(label);
+    item.appendChild(actions);
+    elements.watchlistList.appendChild(item);
+  });
+}
+
+function describeProviderSync({ label, lastSyncAt, lastResult, lastError, inProgress }) {
+  if (inProgress) {
+    const since = inProgress.startedAt ? ` since ${new Date(inProgress.startedAt).toLocaleString()}` : '';
+    return `${label}: a sync is running${since}.`;
+  }
+
+  if (lastError) {
+    return `${label}: last sync error: ${lastError}`;
+  }
+
   if (!lastSyncAt) {
-    elements.syncStatus.textContent = 'No AniList sync has run yet.';
-    return;
+    return `${label}: no sync has run yet.`;
   }
 
   const synced = new Date(lastSyncAt).toLocaleString();
   const details = lastResult
     ? `Rows: ${lastResult.fetchedRows}, episodes synced: ${lastResult.syncedEpisodes}`
+      + `, unconfirmed: ${lastResult.unconfirmedEpisodes || 0}, pruned: ${lastResult.prunedEpisodes || 0}`
     : 'Completed.';
-  elements.syncStatus.textContent = `Last sync: ${synced}. ${details}`;
+  return `${label}: last sync ${synced}. ${details}`;
+}
+
+function enabledSyncProviders() {
+  return (state.syncStatus?.providers || []).filter((provider) => provider.enabled);
+}
+
+function renderSyncStatus() {
+  elements.syncStatus.innerHTML = '';
+  if (!state.syncStatus) {
+    elements.syncStatus.textContent = 'Sync status unavailable.';
+    return;
+  }
+
+  const providers = enabledSyncProviders();
+  if (!providers.length) {
+    elements.syncStatus.textContent = 'No schedule provider is enabled.';
+    return;
+  }
+
+  providers.forEach((provider) => {
+    const line = document.createElement('p');
+    line.textContent = describeProviderSync(provider);
+    elements.syncStatus.appendChild(line);
+  });
+}
+
+function renderSyncRuns() {
+  elements.syncRunsList.innerHTML = '';
+  state.syncRuns.forEach((run) => {
+    const item = document.createElement('li');
+    item.classList.toggle('failed', run.status === 'failed');
+    const outcome = run.status === 'failed'
+      ? `failed: ${run.error}`
+      : `${run.status}, ${run.rowsInserted} new, ${run.rowsUpdated} updated, ${run.rowsSkipped} skipped`;
+    const duration = run.durationMs === null ? '' : ` · ${(run.durationMs / 1000).toFixed(1)} s`;
+    const source = SOURCE_LABELS[run.source] || run.source;
+    item.textContent = `${formatReleaseTime(run.startedAt)} · ${source} · ${run.trigger} · ${run.pagesFetched} pages · ${outcome}${duration}`;
+    elements.syncRunsList.appendChild(item);
+  });
+  elements.olderSyncRunsBtn.classList.toggle('hidden', state.syncRuns.length >= state.syncRunsTotal);
 }
 
 function setEpisodeFilter(filterValue) {
@@ -527,7 +1245,10 @@ async function loadAnime() {
 
 async function loadEpisodes() {
   const days = elements.daysSelect.value;
-  state.episodes = await api(`/api/episodes/upcoming?days=${days}`);
+  const mine = state.mineOnly && state.user ? '&mine=1' : '';
+  const query = elements.searchInput.value.trim();
+  const search = query ? `&search=${encodeURIComponent(query)}` : '';
+  state.episodes = await api(`/api/episodes/upcoming?days=${days}${mine}${search}`);
   renderEpisodes();
 }
 
@@ -540,11 +1261,103 @@ async function loadReminders() {
 
   state.reminders = await api('/api/reminders');
   renderReminders();
+  await loadDeliveryIssues();
+}
+
+async function loadDeliveryIssues() {
+  if (!state.user) {
+    state.deliveryIssues = [];
+    renderDeliveryIssues();
+    return;
+  }
+
+  const entries = await api('/api/notifications');
+  const now = Date.now();
+  state.deliveryIssues = entries.filter((entry) => {
+    if (entry.status === 'sent') return false;
+    return entry.lastError || (entry.status === 'pending' && new Date(entry.nextAttemptAt).getTime() > now);
+  });
+  renderDeliveryIssues();
+}
+
+async function loadWatchlist() {
+  if (!state.user) {
+    state.watchlist = [];
+    renderWatchlist();
+    return;
+  }
+
+  state.watchlist = await api('/api/watchlist');
+  renderWatchlist();
+}
+
+async function loadCalendarFeed() {
+  if (!state.user) {
+    state.calendarFeedUrl = null;
+    renderCalendarFeed();
+    return;
+  }
+
+  const result = await api('/api/calendar/feed');
+  state.calendarFeedUrl = result.feedUrl;
+  renderCalendarFeed();
+}
+
+async function loadDigest() {
+  if (!state.user) {
+    state.digest = null;
+    renderDigest();
+    return;
+  }
+
+  const result = await api('/api/digest');
+  state.digest = result.subscription;
+  renderDigest();
+}
+
+async function loadWebhooks() {
+  if (!state.user) {
+    state.webhooks = [];
+    renderWebhooks();
+    return;
+  }
+
+  state.webhooks = await api('/api/webhooks');
+  renderWebhooks();
+  renderReminders();
+}
+
+async function loadTelegram() {
+  state.telegramLinkCode = null;
+  state.telegram = state.user ? await api('/api/telegram') : null;
+  renderTelegram();
+}
+
+async function loadPushState() {
+  if (!PUSH_SUPPORTED) return;
+
+  const registration = await navigator.serviceWorker.getRegistration('/sw.js');
+  state.pushSubscription = registration ? await registration.pushManager.getSubscription() : null;
+  renderPush();
+}
+
+async function loadSyncRuns(page = 1) {
+  const data = await api(`/api/sync/runs?page=${page}&pageSize=5`);
+  state.syncRuns = page === 1 ? data.runs : [...state.syncRuns, ...data.runs];
+  state.syncRunsPage = page;
+  state.syncRunsTotal = data.total;
+  renderSyncRuns();
 }
 
 async function loadSyncStatus() {
   state.syncStatus = await api('/api/sync/status');
   renderSyncStatus();
+  await loadSyncRuns();
+}
+
+async function loadChannels() {
+  state.channels = await api('/api/channels');
+  resetDestinationRows();
 }
 
 async function loadOAuthProviders() {
@@ -558,9 +1371,16 @@ async function loadOAuthProviders() {
 
 function registerEvents() {
   elements.daysSelect.addEventListener('change', loadEpisodes);
+  elements.searchInput.addEventListener('change', () => {
+    loadEpisodes().catch((error) => alert(error.message));
+  });
   elements.sortSelect.addEventListener('change', (event) => {
     setEpisodeSort(event.target.value);
   });
+  elements.mineOnlyToggle.addEventListener('change', (event) => {
+    state.mineOnly = event.target.checked;
+    loadEpisodes().catch((error) => alert(error.message));
+  });
   elements.themeSelect.addEventListener('change', (event) => {
     applyTheme(event.target.value);
   });
@@ -595,8 +1415,16 @@ function registerEvents() {
       persistToken(response.token);
       state.user = response.user;
       renderAuthState();
-      renderEpisodes();
-      await loadReminders();
+      await Promise.all([
+        loadEpisodes(),
+        loadReminders(),
+        loadWatchlist(),
+        loadCalendarFeed(),
+        loadDigest(),
+        loadWebhooks(),
+        loadTelegram(),
+        loadPushState(),
+      ]);
     } catch (error) {
       alert(error.message);
     }
@@ -685,6 +1513,206 @@ function registerEvents() {
     clearSession();
     renderAuthState();
     renderReminders();
+    renderDeliveryIssues();
+    renderWatchlist();
+    renderCalendarFeed();
+    renderDigest();
+    renderWebhooks();
+    await loadEpisodes();
+  });
+
+  elements.rotateFeedBtn.addEventListener('click', async () => {
+    if (state.calendarFeedUrl && !confirm('Rotate the feed link? Calendars using the old link will stop updating.')) {
+      return;
+    }
+
+    try {
+      const result = await api('/api/calendar/feed', { method: 'POST' });
+      state.calendarFeedUrl = result.feedUrl;
+      renderCalendarFeed();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.revokeFeedBtn.addEventListener('click', async () => {
+    try {
+      await api('/api/calendar/feed', { method: 'DELETE' });
+      state.calendarFeedUrl = null;
+      renderCalendarFeed();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.quietHoursForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    try {
+      const result = await api('/api/auth/me', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          quietHours: { start: elements.quietStart.value, end: elements.quietEnd.value },
+        }),
+      });
+      state.user = result.user;
+      renderAuthState();
+      renderReminders();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.clearQuietHoursBtn.addEventListener('click', async () => {
+    try {
+      const result = await api('/api/auth/me', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ quietHours: null }),
+      });
+      state.user = result.user;
+      renderAuthState();
+      renderReminders();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.linkTelegramBtn.addEventListener('click', async () => {
+    try {
+      state.telegramLinkCode = await api('/api/telegram/link', { method: 'POST' });
+      if (state.telegramLinkCode.deepLink) window.open(state.telegramLinkCode.deepLink, '_blank', 'noopener');
+      state.telegram.linked = false;
+      renderTelegram();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.unlinkTelegramBtn.addEventListener('click', async () => {
+    try {
+      await api('/api/telegram/link', { method: 'DELETE' });
+      await loadTelegram();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.webhookForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const events = Array.from(elements.webhookForm.querySelectorAll('input[name="webhookEvent"]:checked'))
+      .map((input) => input.value);
+
+    try {
+      const webhook = await api('/api/webhooks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          url: document.getElementById('webhookUrl').value,
+          description: document.getElementById('webhookDescription').value,
+          events,
+        }),
+      });
+      elements.webhookForm.reset();
+      showWebhookSecret(webhook.secret);
+      await loadWebhooks();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.togglePushBtn.addEventListener('click', async () => {
+    try {
+      if (state.pushSubscription) {
+        await disablePush();
+      } else {
+        await enablePush();
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+    renderPush();
+  });
+
+  elements.localeForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    try {
+      const result = await api('/api/auth/me', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          locale: elements.localeInput.value || navigator.language || 'en-US',
+          timeFormat: elements.timeFormatSelect.value,
+          titleLanguage: elements.titleLanguageSelect.value,
+        }),
+      });
+      state.user = result.user;
+      renderAuthState();
+      await Promise.all([loadAnime(), loadEpisodes(), loadWatchlist(), loadReminders()]);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.messageTemplateForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    try {
+      const result = await api('/api/auth/me', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ messageTemplate: elements.userMessageTemplate.value }),
+      });
+      state.user = result.user;
+      renderMessageTemplate();
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.previewUserTemplateBtn.addEventListener('click', () => {
+    previewTemplate(elements.userMessageTemplate.value, null, elements.userTemplatePreview);
+  });
+
+  elements.previewReminderTemplateBtn.addEventListener('click', () => {
+    previewTemplate(
+      elements.reminderMessageTemplate.value,
+      document.getElementById('animeSelect').value || null,
+      elements.reminderTemplatePreview
+    );
+  });
+
+  elements.digestFrequency.addEventListener('change', () => {
+    elements.digestWeekday.disabled = elements.digestFrequency.value !== 'weekly';
+  });
+
+  elements.digestForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    try {
+      if (!elements.digestFrequency.value) {
+        await api('/api/digest', { method: 'DELETE' });
+        state.digest = null;
+      } else {
+        const result = await api('/api/digest', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            frequency: elements.digestFrequency.value,
+            sendHour: Number(elements.digestSendHour.value),
+            weekday: Number(elements.digestWeekday.value),
+            scope: elements.digestScope.value,
+          }),
+        });
+        state.digest = result.subscription;
+      }
+      renderDigest();
+    } catch (error) {
+      alert(error.message);
+    }
   });
 
   elements.episodeFilters.addEventListener('click', (event) => {
@@ -702,46 +1730,108 @@ function registerEvents() {
       return;
     }
 
+    let offsets;
+    try {
+      offsets = parseLeadTimes(document.getElementById('leadTimes').value);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
     const payload = {
       animeId: document.getElementById('animeSelect').value || null,
-      minutesBefore: document.getElementById('minutesBefore').value,
-      email: document.getElementById('email').value,
-      discordWebhookUrl: document.getElementById('discordWebhookUrl').value,
+      offsets,
+      maxBehind: document.getElementById('maxBehind').value || null,
+      skipDropped: document.getElementById('skipDropped').checked,
+      catchUpAfterRelease: document.getElementById('catchUpAfterRelease').checked,
+      quietHoursMode: document.getElementById('quietHoursMode').value,
+      messageTemplate: elements.reminderMessageTemplate.value,
+      destinations: collectDestinations(),
     };
 
     try {
-      await api('/api/reminders', {
-        method: 'POST',
+      const editingId = state.editingReminderId;
+      await api(editingId ? `/api/reminders/${editingId}` : '/api/reminders', {
+        method: editingId ? 'PATCH' : 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
       });
-      elements.reminderForm.reset();
-      document.getElementById('minutesBefore').value = 60;
+      resetReminderForm();
       await loadReminders();
     } catch (error) {
       alert(error.message);
     }
   });
 
+  elements.cancelReminderEditBtn.addEventListener('click', resetReminderForm);
+
+  elements.watchlistForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    if (!state.user) {
+      alert('Sign in first to use your watchlist.');
+      return;
+    }
+
+    const payload = {
+      animeId: elements.watchlistAnimeSelect.value,
+      status: document.getElementById('watchlistStatus').value,
+      score: document.getElementById('watchlistScore').value || null,
+      notes: document.getElementById('watchlistNotes').value,
+    };
+
+    try {
+      await api('/api/watchlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      elements.watchlistForm.reset();
+      await Promise.all([loadWatchlist(), loadEpisodes()]);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
+  elements.addDestinationBtn.addEventListener('click', () => {
+    addDestinationRow();
+  });
+
   elements.calendarBtn.addEventListener('click', () => {
     const animeId = elements.animeSelect.value;
     const url = animeId ? `/api/calendar.ics?animeId=${animeId}` : '/api/calendar.ics';
     window.location.href = url;
   });
 
+  elements.olderSyncRunsBtn.addEventListener('click', async () => {
+    try {
+      await loadSyncRuns(state.syncRunsPage + 1);
+    } catch (error) {
+      alert(error.message);
+    }
+  });
+
   elements.syncBtn.addEventListener('click', async () => {
     elements.syncBtn.disabled = true;
     elements.syncBtn.textContent = 'Syncing...';
 
+    const failures = [];
+    for (const provider of enabledSyncProviders()) {
+      try {
+        await api(`/api/sync/${provider.name}`, { method: 'POST' });
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+
     try {
-      await api('/api/sync/anilist', { method: 'POST' });
       await Promise.all([loadAnime(), loadEpisodes(), loadSyncStatus()]);
+      if (failures.length) alert(failures.join('\n'));
     } catch (error) {
       alert(error.message);
-      await loadSyncStatus();
     } finally {
       elements.syncBtn.disabled = false;
-      elements.syncBtn.textContent = 'Sync from AniList';
+      elements.syncBtn.textContent = 'Sync schedules';
     }
   });
 }
@@ -753,7 +1843,20 @@ async function bootstrap() {
   await handleAuthUrlActions();
   await ensureAuthSession();
   await maybeAutoSyncTimezone();
-  await Promise.all([loadAnime(), loadEpisodes(), loadReminders(), loadSyncStatus(), loadOAuthProviders()]);
+  await Promise.all([
+    loadAnime(),
+    loadEpisodes(),
+    loadReminders(),
+    loadWatchlist(),
+    loadCalendarFeed(),
+    loadDigest(),
+    loadWebhooks(),
+    loadTelegram(),
+    loadPushState(),
+    loadSyncStatus(),
+    loadOAuthProviders(),
+    loadChannels(),
+  ]);
   setInterval(refreshCountdowns, 1000 * 30);
 }
 
@@ -0,0 +1,37 @@
+const { sendDiscordReminder } = require('../services/discordService');
+const { renderTemplate, escapeDiscordMarkdown } = require('../services/templateService');
+const { isRetryableHttpError } = require('./httpErrors');
+
+function validateTarget(rawTarget) {
+  const target = rawTarget ? String(rawTarget).trim() : '';
+  try {
+    const url = new URL(target);
+    const isDiscordHost = /(^|\.)discord(app)?\.com$/.test(url.hostname);
+    if (url.protocol === 'https:' && isDiscordHost && url.pathname.startsWith('/api/webhooks/')) {
+      return { target };
+    }
+  } catch (_error) {
+    // Fall through to the validation error below.
+  }
+
+  return { error: 'Discord webhook URL must look like https://discord.com/api/webhooks/...' };
+}
+
+function render(context) {
+  return { content: `:tv: ${renderTemplate(context.template, context, escapeDiscordMarkdown)}` };
+}
+
+async function send(target, payload) {
+  await sendDiscordReminder(target, payload.content);
+}
+
+module.exports = {
+  name: 'discord',
+  label: 'Discord',
+  targetHint: 'https://discord.com/api/webhooks/...',
+  targetRequired: true,
+  validateTarget,
+  render,
+  send,
+  isRetryableError: isRetryableHttpError,
+};
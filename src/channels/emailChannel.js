@@ -0,0 +1,37 @@
+const { sendEmailReminder } = require('../services/emailService');
+
+function validateTarget(rawTarget) {
+  const target = rawTarget ? String(rawTarget).trim().toLowerCase() : '';
+  if (!target) return { target: null };
+  if (!target.includes('@')) return { error: 'Enter a valid email address.' };
+  return { target };
+}
+
+function render(context) {
+  return {
+    subject: context.scheduleChange ? 'Anime Schedule Change' : 'Anime Episode Reminder',
+    text: context.message,
+  };
+}
+
+async function send(target, payload, context) {
+  await sendEmailReminder(target || context.userEmail, payload.subject, payload.text);
+}
+
+// SMTP 4xx replies are transient by definition; 5xx replies are permanent.
+function isRetryableError(error) {
+  const code = Number(error?.responseCode);
+  if (!code) return true;
+  return code >= 400 && code < 500;
+}
+
+module.exports = {
+  name: 'email',
+  label: 'Email',
+  targetHint: 'Leave empty to use your account email',
+  targetRequired: false,
+  validateTarget,
+  render,
+  send,
+  isRetryableError,
+};
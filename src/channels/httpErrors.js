@@ -0,0 +1,12 @@
+// Webhook services attach the HTTP status to thrown errors. Anything without a
+// status failed before a response arrived (DNS, reset, timeout) and is worth
+// another try, as are rate limits and server-side failures.
+function isRetryableHttpError(error) {
+  const status = Number(error?.status);
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+module.exports = {
+  isRetryableHttpError,
+};
@@ -0,0 +1,82 @@
+const PROVIDER_METHODS = ['validateTarget', 'render', 'send', 'isRetryableError'];
+const MAX_DESTINATIONS = 10;
+
+const channels = new Map();
+
+function registerChannel(provider) {
+  if (!provider?.name) {
+    throw new Error('Notification channel must have a name');
+  }
+
+  const missing = PROVIDER_METHODS.filter((method) => typeof provider[method] !== 'function');
+  if (missing.length) {
+    throw new Error(`Notification channel "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  channels.set(provider.name, provider);
+}
+
+function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+// Providers may expose `isAvailable()` to stay hidden until the server is
+// configured for them.
+function listChannels() {
+  return Array.from(channels.values())
+    .filter((provider) => (provider.isAvailable ? provider.isAvailable() : true))
+    .map((provider) => ({
+      name: provider.name,
+      label: provider.label || provider.name,
+      targetHint: provider.targetHint || '',
+      targetRequired: provider.targetRequired !== false,
+    }));
+}
+
+function validateDestinations(rawDestinations) {
+  if (!Array.isArray(rawDestinations) || !rawDestinations.length) {
+    return { error: 'Provide at least one notification channel.' };
+  }
+
+  if (rawDestinations.length > MAX_DESTINATIONS) {
+    return { error: `A reminder can have at most ${MAX_DESTINATIONS} channels.` };
+  }
+
+  const destinations = [];
+  const seen = new Set();
+
+  for (const raw of rawDestinations) {
+    const channel = String(raw?.channel || '').trim().toLowerCase();
+    const provider = getChannel(channel);
+    if (!provider) {
+      return { error: `Unknown notification channel: ${channel || '(empty)'}.` };
+    }
+
+    const result = provider.validateTarget(raw.target);
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const key = `${channel}:${result.target || ''}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      destinations.push({ channel, target: result.target });
+    }
+  }
+
+  return { destinations };
+}
+
+registerChannel(require('./emailChannel'));
+registerChannel(require('./discordChannel'));
+registerChannel(require('./slackChannel'));
+registerChannel(require('./webpushChannel'));
+registerChannel(require('./webhookChannel'));
+registerChannel(require('./telegramChannel'));
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  listChannels,
+  validateDestinations,
+};
@@ -0,0 +1,39 @@
+const { isValidSlackWebhookUrl, buildSlackReminderPayload, sendSlackReminder } = require('../services/slackService');
+const { renderTemplate, escapeSlackMrkdwn } = require('../services/templateService');
+const { isRetryableHttpError } = require('./httpErrors');
+
+function validateTarget(rawTarget) {
+  const target = rawTarget ? String(rawTarget).trim() : '';
+  if (!isValidSlackWebhookUrl(target)) {
+    return { error: 'Slack webhook URL must look like https://hooks.slack.com/services/...' };
+  }
+  return { target };
+}
+
+function render(context) {
+  return buildSlackReminderPayload({
+    text: renderTemplate(context.template, context, escapeSlackMrkdwn),
+    animeTitle: context.animeTitle,
+    episodeTitle: context.episodeTitle,
+    releaseAt: context.releaseAt,
+    countdown: context.countdown,
+    coverImageUrl: context.coverImageUrl,
+    appUrl: context.appUrl,
+    prefs: context,
+  });
+}
+
+async function send(target, payload) {
+  await sendSlackReminder(target, payload);
+}
+
+module.exports = {
+  name: 'slack',
+  label: 'Slack',
+  targetHint: 'https://hooks.slack.com/services/...',
+  targetRequired: true,
+  validateTarget,
+  render,
+  send,
+  isRetryableError: isRetryableHttpError,
+};
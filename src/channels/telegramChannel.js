@@ -0,0 +1,43 @@
+const { isTelegramConfigured, getChatIdForUser, sendTelegramMessage } = require('../services/telegramService');
+const { renderTemplate } = require('../services/templateService');
+const { isRetryableHttpError } = require('./httpErrors');
+
+function validateTarget() {
+  if (!isTelegramConfigured()) {
+    return { error: 'Telegram is not configured on this server.' };
+  }
+  return { target: null };
+}
+
+// Sent as plain text, so no escaping is needed for titles or the user's template.
+function render(context) {
+  const buttons = [{ text: 'Mark watched', callback_data: `watched:${context.animeId}:${context.episodeNumber}` }];
+  if (context.reminderId) {
+    buttons.push({ text: 'Snooze to next episode', callback_data: `snooze:${context.reminderId}` });
+  }
+
+  return {
+    text: `📺 ${renderTemplate(context.template, context)}`,
+    reply_markup: { inline_keyboard: [buttons] },
+  };
+}
+
+async function send(_target, payload, context) {
+  const chatId = getChatIdForUser(context.userId);
+  if (!chatId) {
+    throw Object.assign(new Error('No Telegram chat is linked to this account.'), { permanent: true });
+  }
+  await sendTelegramMessage(chatId, payload);
+}
+
+module.exports = {
+  name: 'telegram',
+  label: 'Telegram',
+  targetHint: 'Sent to the chat linked under Telegram',
+  targetRequired: false,
+  isAvailable: isTelegramConfigured,
+  validateTarget,
+  render,
+  send,
+  isRetryableError: isRetryableHttpError,
+};
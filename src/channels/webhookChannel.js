@@ -0,0 +1,47 @@
+const { buildEvent, deliverEvent } = require('../services/webhookService');
+const { renderTemplate } = require('../services/templateService');
+const { isRetryableHttpError } = require('./httpErrors');
+
+// The target is the id of one of the user's registered webhooks; ownership is
+// checked when the reminder is saved.
+function validateTarget(rawTarget) {
+  const target = String(rawTarget ?? '').trim();
+  if (!/^[1-9]\d*$/.test(target)) {
+    return { error: 'Pick one of your registered webhooks.' };
+  }
+  return { target };
+}
+
+// Retries of the same outbox entry reuse its event id so receivers can dedupe.
+function render(context) {
+  return buildEvent(
+    context.released ? 'episode.released' : 'episode.upcoming',
+    {
+      anime: { id: context.animeId, title: context.animeTitle, coverImageUrl: context.coverImageUrl || null },
+      episode: {
+        number: context.episodeNumber,
+        title: context.episodeTitle || null,
+        releaseAt: context.releaseAt.toISOString(),
+      },
+      countdown: context.countdown,
+      message: renderTemplate(context.template, context),
+      url: context.appUrl,
+    },
+    context.notificationId ? `notification-${context.notificationId}` : undefined
+  );
+}
+
+async function send(target, payload) {
+  return deliverEvent(Number(target), payload);
+}
+
+module.exports = {
+  name: 'webhook',
+  label: 'Webhook',
+  targetHint: 'Webhook id (see Webhooks)',
+  targetRequired: true,
+  validateTarget,
+  render,
+  send,
+  isRetryableError: isRetryableHttpError,
+};
@@ -0,0 +1,36 @@
+const { isPushConfigured, sendPushToUser } = require('../services/pushService');
+const { renderTemplate } = require('../services/templateService');
+const { isRetryableHttpError } = require('./httpErrors');
+
+function validateTarget() {
+  if (!isPushConfigured()) {
+    return { error: 'Browser push is not configured on this server.' };
+  }
+  return { target: null };
+}
+
+function render(context) {
+  return {
+    title: `${context.animeTitle} - Episode ${context.episodeNumber}`,
+    body: renderTemplate(context.template, context),
+    icon: context.coverImageUrl || undefined,
+    tag: `anime-${context.animeId}-episode-${context.episodeNumber}`,
+    url: context.appUrl,
+  };
+}
+
+async function send(_target, payload, context) {
+  await sendPushToUser(context.userId, payload);
+}
+
+module.exports = {
+  name: 'webpush',
+  label: 'Browser push',
+  targetHint: 'Sent to every browser you enabled push on',
+  targetRequired: false,
+  isAvailable: isPushConfigured,
+  validateTarget,
+  render,
+  send,
+  isRetryableError: isRetryableHttpError,
+};
@@ -29,12 +29,28 @@ module.exports = {
     from: process.env.SMTP_FROM || 'anime-tracker@example.com',
   },
   anilist: {
+    enabled: bool(process.env.ANILIST_ENABLED, true),
+    apiUrl: process.env.ANILIST_API_URL || 'https://graphql.anilist.co',
     syncCron: process.env.ANILIST_SYNC_CRON || '15 */6 * * *',
     pageLimit: Math.max(1, Math.min(10, number(process.env.ANILIST_PAGE_LIMIT, 3))),
     perPage: Math.max(10, Math.min(50, number(process.env.ANILIST_PER_PAGE, 50))),
   },
+  kitsu: {
+    enabled: bool(process.env.KITSU_ENABLED, false),
+    apiUrl: (process.env.KITSU_API_URL || 'https://kitsu.io/api/edge').replace(/\/+$/, ''),
+    syncCron: process.env.KITSU_SYNC_CRON || '45 */6 * * *',
+    pageLimit: Math.max(1, Math.min(10, number(process.env.KITSU_PAGE_LIMIT, 3))),
+    perPage: Math.max(1, Math.min(20, number(process.env.KITSU_PER_PAGE, 20))),
+  },
   auth: {
     sessionDays: Math.max(1, Math.min(180, number(process.env.AUTH_SESSION_DAYS, 30))),
+    adminEmails: (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map((email) => email.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  calendar: {
+    defaultEventMinutes: Math.max(5, Math.min(300, number(process.env.CALENDAR_EVENT_MINUTES, 30))),
   },
   oauth: {
     google: {
@@ -46,7 +62,48 @@ module.exports = {
       clientSecret: process.env.OAUTH_GITHUB_CLIENT_SECRET || '',
     },
   },
+  outbox: {
+    maxAttempts: Math.max(1, Math.min(20, number(process.env.NOTIFY_MAX_ATTEMPTS, 6))),
+    retryBaseMs: Math.max(1000, number(process.env.NOTIFY_RETRY_BASE_MS, 30 * 1000)),
+    retryMaxMs: Math.max(1000, number(process.env.NOTIFY_RETRY_MAX_MS, 60 * 60 * 1000)),
+    batchSize: Math.max(1, Math.min(500, number(process.env.NOTIFY_BATCH_SIZE, 50))),
+  },
+  telegram: {
+    botToken: process.env.TELEGRAM_BOT_TOKEN || '',
+    botUsername: process.env.TELEGRAM_BOT_USERNAME || '',
+    apiBaseUrl: (process.env.TELEGRAM_API_BASE_URL || 'https://api.telegram.org').replace(/\/+$/, ''),
+    webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET || '',
+    polling: bool(process.env.TELEGRAM_POLLING, false),
+  },
+  webPush: {
+    publicKey: process.env.VAPID_PUBLIC_KEY || '',
+    privateKey: process.env.VAPID_PRIVATE_KEY || '',
+    subject: process.env.VAPID_SUBJECT || `mailto:${process.env.SMTP_FROM || 'anime-tracker@example.com'}`,
+    allowedHosts: (process.env.WEB_PUSH_ALLOWED_HOSTS
+      || 'fcm.googleapis.com,push.services.mozilla.com,notify.windows.com,push.apple.com')
+      .split(',')
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  webhooks: {
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+      .split(',')
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  digest: {
+    cron: process.env.DIGEST_CRON || '*/5 * * * *',
+  },
+  schedule: {
+    changeThresholdMinutes: Math.max(1, number(process.env.SCHEDULE_CHANGE_THRESHOLD_MINUTES, 15)),
+  },
+  reminders: {
+    catchUpGraceMinutes: Math.max(1, Math.min(24 * 60, number(process.env.REMINDER_CATCHUP_GRACE_MINUTES, 60))),
+  },
   jobs: {
     disableStartup: bool(process.env.DISABLE_STARTUP_JOBS, false),
   },
+  scheduler: {
+    leaseSeconds: Math.max(3, Math.min(600, number(process.env.SCHEDULER_LEASE_SECONDS, 30))),
+  },
 };
@@ -30,11 +30,36 @@ function initDb() {
       synopsis TEXT,
       total_episodes INTEGER,
       popularity INTEGER NOT NULL DEFAULT 0,
+      runtime_minutes INTEGER,
+      event_duration_minutes INTEGER,
       source TEXT NOT NULL DEFAULT 'local',
       external_id TEXT,
       created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
     );
 
+    CREATE TABLE IF NOT EXISTS anime_identities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      anime_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      external_id TEXT NOT NULL,
+      origin_anime_id INTEGER NOT NULL,
+      match_method TEXT NOT NULL DEFAULT 'source',
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE,
+      UNIQUE(source, external_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS anime_titles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      anime_id INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      title TEXT NOT NULL,
+      search_key TEXT NOT NULL,
+      FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE,
+      UNIQUE(anime_id, source, kind, title)
+    );
+
     CREATE TABLE IF NOT EXISTS episodes (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       anime_id INTEGER NOT NULL,
@@ -43,35 +68,125 @@ function initDb() {
       release_at TEXT NOT NULL,
       source TEXT NOT NULL DEFAULT 'local',
       external_id TEXT,
+      schedule_status TEXT,
+      original_release_at TEXT,
+      unconfirmed_at TEXT,
       created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE,
       UNIQUE(anime_id, episode_number)
     );
 
+    CREATE TABLE IF NOT EXISTS episode_schedule_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      episode_id INTEGER NOT NULL,
+      previous_release_at TEXT NOT NULL,
+      release_at TEXT NOT NULL,
+      shift_minutes INTEGER NOT NULL,
+      significant INTEGER NOT NULL DEFAULT 0,
+      detected_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE
+    );
+
     CREATE TABLE IF NOT EXISTS reminders (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER,
       anime_id INTEGER,
-      email TEXT,
-      discord_webhook_url TEXT,
-      minutes_before INTEGER NOT NULL DEFAULT 60,
+      skip_dropped INTEGER NOT NULL DEFAULT 1,
+      max_behind INTEGER,
+      catch_up_after_release INTEGER NOT NULL DEFAULT 0,
+      quiet_hours_mode TEXT NOT NULL DEFAULT 'defer',
+      snoozed_until TEXT,
+      message_template TEXT,
       is_active INTEGER NOT NULL DEFAULT 1,
       created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS reminder_offsets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reminder_id INTEGER NOT NULL,
+      minutes_before INTEGER NOT NULL,
+      FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
+      UNIQUE(reminder_id, minutes_before)
+    );
+
+    CREATE TABLE IF NOT EXISTS reminder_channels (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reminder_id INTEGER NOT NULL,
+      channel TEXT NOT NULL,
+      target TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE
+    );
+
     CREATE TABLE IF NOT EXISTS users (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       email TEXT NOT NULL UNIQUE,
       password_hash TEXT NOT NULL,
       display_name TEXT NOT NULL,
       timezone TEXT NOT NULL DEFAULT 'UTC',
+      locale TEXT NOT NULL DEFAULT 'en-US',
+      time_format TEXT NOT NULL DEFAULT 'auto',
       email_verified INTEGER NOT NULL DEFAULT 0,
       oauth_provider TEXT,
       oauth_subject TEXT,
+      calendar_feed_token TEXT,
+      quiet_start TEXT,
+      quiet_end TEXT,
+      message_template TEXT,
+      telegram_chat_id TEXT,
       created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
     );
 
+    CREATE TABLE IF NOT EXISTS digest_subscriptions (
+      user_id INTEGER PRIMARY KEY,
+      frequency TEXT NOT NULL DEFAULT 'daily',
+      send_hour INTEGER NOT NULL DEFAULT 8,
+      weekday INTEGER NOT NULL DEFAULT 1,
+      scope TEXT NOT NULL DEFAULT 'mine',
+      last_sent_on TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      endpoint TEXT NOT NULL UNIQUE,
+      p256dh TEXT NOT NULL,
+      auth TEXT NOT NULL,
+      user_agent TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      request_body TEXT NOT NULL,
+      response_status INTEGER,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    );
+
     CREATE TABLE IF NOT EXISTS user_sessions (
       token TEXT PRIMARY KEY,
       user_id INTEGER NOT NULL,
@@ -80,6 +195,14 @@ function initDb() {
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS telegram_link_codes (
+      code TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
     CREATE TABLE IF NOT EXISTS email_verification_tokens (
       token TEXT PRIMARY KEY,
       user_id INTEGER NOT NULL,
@@ -109,11 +232,67 @@ function initDb() {
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       reminder_id INTEGER NOT NULL,
       episode_id INTEGER NOT NULL,
+      reminder_channel_id INTEGER NOT NULL,
+      offset_minutes INTEGER NOT NULL,
       channel TEXT NOT NULL,
+      release_at TEXT NOT NULL,
       sent_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
       FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
-      UNIQUE(reminder_id, episode_id, channel)
+      FOREIGN KEY (reminder_channel_id) REFERENCES reminder_channels(id) ON DELETE CASCADE,
+      UNIQUE(reminder_channel_id, episode_id, offset_minutes, release_at)
+    );
+
+    CREATE TABLE IF NOT EXISTS watch_progress (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      anime_id INTEGER NOT NULL,
+      episode_id INTEGER NOT NULL,
+      watched_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE,
+      FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+      UNIQUE(user_id, episode_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS watchlist_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      anime_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'planning',
+      score INTEGER,
+      notes TEXT,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (anime_id) REFERENCES anime(id) ON DELETE CASCADE,
+      UNIQUE(user_id, anime_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      reminder_id INTEGER,
+      reminder_channel_id INTEGER,
+      webhook_id INTEGER,
+      episode_id INTEGER NOT NULL,
+      offset_minutes INTEGER NOT NULL,
+      release_at TEXT,
+      channel TEXT NOT NULL,
+      context_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      next_attempt_at TEXT NOT NULL,
+      last_error TEXT,
+      sent_at TEXT,
+      schedule_change_id INTEGER,
+      created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
+      FOREIGN KEY (reminder_channel_id) REFERENCES reminder_channels(id) ON DELETE CASCADE,
+      FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE,
+      FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+      FOREIGN KEY (schedule_change_id) REFERENCES episode_schedule_changes(id) ON DELETE CASCADE
     );
 
     CREATE TABLE IF NOT EXISTS sync_state (
@@ -122,6 +301,29 @@ function initDb() {
       updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
     );
 
+    CREATE TABLE IF NOT EXISTS job_leases (
+      name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      acquired_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sync_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source TEXT NOT NULL,
+      trigger TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'running',
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      duration_ms INTEGER,
+      pages_fetched INTEGER NOT NULL DEFAULT 0,
+      rows_fetched INTEGER NOT NULL DEFAULT 0,
+      rows_inserted INTEGER NOT NULL DEFAULT 0,
+      rows_updated INTEGER NOT NULL DEFAULT 0,
+      rows_skipped INTEGER NOT NULL DEFAULT 0,
+      error TEXT
+    );
+
     CREATE INDEX IF NOT EXISTS idx_episodes_release_at ON episodes(release_at);
     CREATE INDEX IF NOT EXISTS idx_reminders_active ON reminders(is_active);
   `);
@@ -129,25 +331,73 @@ function initDb() {
   ensureColumn('anime', 'source', "TEXT NOT NULL DEFAULT 'local'");
   ensureColumn('anime', 'external_id', 'TEXT');
   ensureColumn('anime', 'popularity', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn('anime', 'runtime_minutes', 'INTEGER');
+  ensureColumn('anime', 'event_duration_minutes', 'INTEGER');
+  ensureColumn('anime', 'title_english', 'TEXT');
+  ensureColumn('anime', 'title_romaji', 'TEXT');
+  ensureColumn('anime', 'title_native', 'TEXT');
+  ensureColumn('anime_identities', 'folded_episodes', 'INTEGER NOT NULL DEFAULT 0');
   ensureColumn('episodes', 'source', "TEXT NOT NULL DEFAULT 'local'");
   ensureColumn('episodes', 'external_id', 'TEXT');
+  ensureColumn('episodes', 'schedule_status', 'TEXT');
+  ensureColumn('episodes', 'original_release_at', 'TEXT');
+  ensureColumn('episodes', 'unconfirmed_at', 'TEXT');
+  ensureColumn('episodes', 'displaced_at', 'TEXT');
   ensureColumn('reminders', 'user_id', 'INTEGER');
+  ensureColumn('reminders', 'skip_dropped', 'INTEGER NOT NULL DEFAULT 1');
+  ensureColumn('reminders', 'max_behind', 'INTEGER');
+  ensureColumn('reminders', 'catch_up_after_release', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn('reminders', 'quiet_hours_mode', "TEXT NOT NULL DEFAULT 'defer'");
+  ensureColumn('reminders', 'snoozed_until', 'TEXT');
+  ensureColumn('reminders', 'message_template', 'TEXT');
   ensureColumn('users', 'email_verified', 'INTEGER NOT NULL DEFAULT 0');
   ensureColumn('users', 'oauth_provider', 'TEXT');
   ensureColumn('users', 'oauth_subject', 'TEXT');
+  ensureColumn('users', 'calendar_feed_token', 'TEXT');
+  ensureColumn('users', 'quiet_start', 'TEXT');
+  ensureColumn('users', 'quiet_end', 'TEXT');
+  ensureColumn('users', 'message_template', 'TEXT');
+  ensureColumn('users', 'locale', "TEXT NOT NULL DEFAULT 'en-US'");
+  ensureColumn('users', 'time_format', "TEXT NOT NULL DEFAULT 'auto'");
+  ensureColumn('users', 'telegram_chat_id', 'TEXT');
+  ensureColumn('users', 'title_language', "TEXT NOT NULL DEFAULT 'english'");
+
+  migrateReminderChannels();
+  migrateReminderOffsets();
+  migrateNotificationReleaseTimes();
 
   db.exec(`
     DROP INDEX IF EXISTS idx_anime_source_external;
     DROP INDEX IF EXISTS idx_episode_source_external;
     CREATE UNIQUE INDEX IF NOT EXISTS idx_anime_source_external ON anime(source, external_id);
     CREATE UNIQUE INDEX IF NOT EXISTS idx_episode_source_external ON episodes(source, external_id);
+    CREATE INDEX IF NOT EXISTS idx_anime_identities_anime ON anime_identities(anime_id);
+    CREATE INDEX IF NOT EXISTS idx_anime_identities_origin ON anime_identities(origin_anime_id);
+    CREATE INDEX IF NOT EXISTS idx_anime_titles_anime ON anime_titles(anime_id);
     CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_channels_destination
+      ON reminder_channels(reminder_id, channel, IFNULL(target, ''));
+    CREATE INDEX IF NOT EXISTS idx_watch_progress_user_anime ON watch_progress(user_id, anime_id);
+    CREATE INDEX IF NOT EXISTS idx_watchlist_user_status ON watchlist_entries(user_id, status);
+    CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_outbox_release
+      ON notification_outbox(reminder_channel_id, episode_id, offset_minutes, release_at) WHERE schedule_change_id IS NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_outbox_schedule_change
+      ON notification_outbox(reminder_channel_id, schedule_change_id) WHERE schedule_change_id IS NOT NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_outbox_webhook_event
+      ON notification_outbox(webhook_id, schedule_change_id) WHERE webhook_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_episode_schedule_changes_episode ON episode_schedule_changes(episode_id, id);
+    CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_telegram_chat ON users(telegram_chat_id);
     CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
     CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at);
     CREATE INDEX IF NOT EXISTS idx_email_verification_user ON email_verification_tokens(user_id);
     CREATE INDEX IF NOT EXISTS idx_email_verification_expires ON email_verification_tokens(expires_at);
     CREATE INDEX IF NOT EXISTS idx_password_reset_user ON password_reset_tokens(user_id);
     CREATE INDEX IF NOT EXISTS idx_password_reset_expires ON password_reset_tokens(expires_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_feed_token ON users(calendar_feed_token);
     CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oauth_identity ON users(oauth_provider, oauth_subject);
     CREATE INDEX IF NOT EXISTS idx_oauth_state_provider ON oauth_state_tokens(provider);
     CREATE INDEX IF NOT EXISTS idx_oauth_state_expires ON oauth_state_tokens(expires_at);
@@ -157,6 +407,154 @@ function initDb() {
   if (animeCount === 0) {
     seedData();
   }
+
+  backfillAnimeIdentities();
+}
+
+// Every anime is its own identity until it is merged into another one. Local
+// anime have no external id, so their row id stands in.
+function backfillAnimeIdentities() {
+  db.exec(`
+    INSERT INTO anime_identities (anime_id, source, external_id, origin_anime_id)
+    SELECT id, source, COALESCE(external_id, CAST(id AS TEXT)), id
+    FROM anime
+    WHERE true
+    ON CONFLICT(source, external_id) DO NOTHING
+  `);
+}
+
+function migrateReminderChannels() {
+  if (!hasColumn('reminders', 'email')) return;
+
+  const legacyChannels = [
+    ['email', 'email'],
+    ['discord', 'discord_webhook_url'],
+  ].filter(([, column]) => hasColumn('reminders', column));
+
+  const tx = db.transaction(() => {
+    legacyChannels.forEach(([channel, column]) => {
+      // Legacy reminders always emailed the account address, so every row gets
+      // an email destination; NULL means "use the account email".
+      const where = channel === 'email' ? '' : `WHERE ${column} IS NOT NULL AND ${column} <> ''`;
+      db.exec(`
+        INSERT INTO reminder_channels (reminder_id, channel, target)
+        SELECT id, '${channel}', NULLIF(${column}, '')
+        FROM reminders
+        ${where}
+      `);
+    });
+
+    db.exec(`
+      ALTER TABLE notification_log RENAME TO notification_log_legacy;
+
+      CREATE TABLE notification_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reminder_id INTEGER NOT NULL,
+        episode_id INTEGER NOT NULL,
+        reminder_channel_id INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        sent_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
+        FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+        FOREIGN KEY (reminder_channel_id) REFERENCES reminder_channels(id) ON DELETE CASCADE,
+        UNIQUE(reminder_channel_id, episode_id)
+      );
+
+      INSERT INTO notification_log (reminder_id, episode_id, reminder_channel_id, channel, sent_at)
+      SELECT l.reminder_id, l.episode_id, rc.id, l.channel, l.sent_at
+      FROM notification_log_legacy l
+      JOIN reminder_channels rc ON rc.reminder_id = l.reminder_id AND rc.channel = l.channel
+      WHERE true
+      ON CONFLICT(reminder_channel_id, episode_id) DO NOTHING;
+
+      DROP TABLE notification_log_legacy;
+    `);
+
+    legacyChannels.forEach(([, column]) => {
+      db.exec(`ALTER TABLE reminders DROP COLUMN ${column}`);
+    });
+  });
+
+  tx();
+}
+
+// Rebuilds a table through `<name>_legacy`, copying rows with `selectSql`.
+function rebuildTable(name, createSql, columns, selectSql) {
+  db.exec(`
+    ALTER TABLE ${name} RENAME TO ${name}_legacy;
+    ${createSql};
+    INSERT INTO ${name} (${columns.join(', ')}) ${selectSql};
+    DROP TABLE ${name}_legacy;
+  `);
+}
+
+function migrateReminderOffsets() {
+  if (!hasColumn('reminders', 'minutes_before')) return;
+
+  const tx = db.transaction(() => {
+    db.exec(`
+      INSERT INTO reminder_offsets (reminder_id, minutes_before)
+      SELECT id, minutes_before FROM reminders;
+    `);
+
+    rebuildTable(
+      'notification_log',
+      `CREATE TABLE notification_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reminder_id INTEGER NOT NULL,
+        episode_id INTEGER NOT NULL,
+        reminder_channel_id INTEGER NOT NULL,
+        offset_minutes INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        sent_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
+        FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+        FOREIGN KEY (reminder_channel_id) REFERENCES reminder_channels(id) ON DELETE CASCADE,
+        UNIQUE(reminder_channel_id, episode_id, offset_minutes)
+      )`,
+      ['id', 'reminder_id', 'episode_id', 'reminder_channel_id', 'offset_minutes', 'channel', 'sent_at'],
+      `SELECT l.id, l.reminder_id, l.episode_id, l.reminder_channel_id, r.minutes_before, l.channel, l.sent_at
+       FROM notification_log_legacy l
+       JOIN reminders r ON r.id = l.reminder_id`
+    );
+
+    db.exec('ALTER TABLE reminders DROP COLUMN minutes_before');
+  });
+
+  tx();
+}
+
+// Reminders are keyed on the release time they announced, so a rescheduled
+// episode re-arms its lead times without losing the delivery history.
+// Existing rows are assumed to be for the current release time.
+function migrateNotificationReleaseTimes() {
+  if (hasColumn('notification_log', 'release_at')) return;
+
+  const columns = ['id', 'reminder_id', 'episode_id', 'reminder_channel_id', 'offset_minutes', 'channel', 'release_at', 'sent_at'];
+
+  db.transaction(() => {
+    rebuildTable(
+      'notification_log',
+      `CREATE TABLE notification_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        reminder_id INTEGER NOT NULL,
+        episode_id INTEGER NOT NULL,
+        reminder_channel_id INTEGER NOT NULL,
+        offset_minutes INTEGER NOT NULL,
+        channel TEXT NOT NULL,
+        release_at TEXT NOT NULL,
+        sent_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (reminder_id) REFERENCES reminders(id) ON DELETE CASCADE,
+        FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+        FOREIGN KEY (reminder_channel_id) REFERENCES reminder_channels(id) ON DELETE CASCADE,
+        UNIQUE(reminder_channel_id, episode_id, offset_minutes, release_at)
+      )`,
+      columns,
+      `SELECT l.id, l.reminder_id, l.episode_id, l.reminder_channel_id, l.offset_minutes, l.channel, e.release_at, l.sent_at
+       FROM notification_log_legacy l
+       JOIN episodes e ON e.id = l.episode_id`
+    );
+  })();
 }
 
 function seedData() {
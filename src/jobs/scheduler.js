@@ -2,117 +2,293 @@ const cron = require('node-cron');
 
 const config = require('../config');
 const { db } = require('../db');
-const { runAniListSyncSafe } = require('../services/anilistSyncService');
-const { sendEmailReminder } = require('../services/emailService');
-const { sendDiscordReminder } = require('../services/discordService');
+const { listEnabledProviders } = require('../providers');
+const { runScheduleSync } = require('../services/scheduleSyncService');
+const { runDigestScan } = require('../services/digestService');
+const { buildReminderContext } = require('../services/reminderContextService');
+const { enqueueForDestination, processOutbox } = require('../services/outboxService');
+const { getBehindCounts } = require('../services/watchProgressService');
+const { getStatus: getWatchlistStatus } = require('../services/watchlistService');
+const { quietHoursEndAt } = require('../services/quietHoursService');
+const { isTelegramConfigured, pollTelegramUpdates } = require('../services/telegramService');
+const { INSTANCE_ID, acquireLease, renewLease, releaseLease, getLease } = require('../services/leaseService');
+
+const ON_TIME_WINDOW_MS = 60 * 1000;
+const LEADER_LEASE_NAME = 'scheduler_leader';
 
 let statements = null;
+let isLeader = false;
+let heartbeatTimer = null;
+const cronTasks = [];
 
 function getStatements() {
   if (statements) return statements;
 
   statements = {
     selectReminders: db.prepare(`
-      SELECT r.*, u.email AS user_email, a.title AS anime_title
+      SELECT r.*, u.email AS user_email, u.timezone AS user_timezone, u.locale AS user_locale,
+             u.time_format AS user_time_format, u.message_template AS user_message_template,
+             u.title_language AS user_title_language,
+             u.quiet_start AS user_quiet_start, u.quiet_end AS user_quiet_end, a.title AS anime_title
       FROM reminders r
       JOIN users u ON u.id = r.user_id
       LEFT JOIN anime a ON a.id = r.anime_id
       WHERE r.is_active = 1
     `),
     selectCandidateEpisodes: db.prepare(`
-      SELECT e.id, e.anime_id, e.episode_number, e.title, e.release_at, a.title AS anime_title
+      SELECT e.id, e.anime_id, e.episode_number, e.title, e.release_at, a.title AS anime_title,
+             a.title_english AS anime_title_english, a.title_romaji AS anime_title_romaji,
+             a.title_native AS anime_title_native, a.cover_image_url AS anime_cover_image_url
       FROM episodes e
       JOIN anime a ON a.id = e.anime_id
-      WHERE e.release_at BETWEEN ? AND ?
+      WHERE e.release_at BETWEEN ? AND ? AND e.displaced_at IS NULL
       ORDER BY e.release_at ASC
     `),
+    selectOffsets: db.prepare(`
+      SELECT ro.reminder_id, ro.minutes_before
+      FROM reminder_offsets ro
+      JOIN reminders r ON r.id = ro.reminder_id
+      WHERE r.is_active = 1
+      ORDER BY ro.minutes_before DESC
+    `),
+    selectDestinations: db.prepare(`
+      SELECT rc.id, rc.reminder_id, rc.channel, rc.target
+      FROM reminder_channels rc
+      JOIN reminders r ON r.id = rc.reminder_id
+      WHERE r.is_active = 1
+      ORDER BY rc.id ASC
+    `),
+    // Lead times before release are re-armed when the episode is rescheduled;
+    // anything sent at or after release is never repeated.
     wasSentStmt: db.prepare(`
       SELECT 1
       FROM notification_log
-      WHERE reminder_id = ? AND episode_id = ? AND channel = ?
-    `),
-    insertLogStmt: db.prepare(`
-      INSERT INTO notification_log (reminder_id, episode_id, channel)
-      VALUES (?, ?, ?)
+      WHERE reminder_channel_id = ? AND episode_id = ? AND offset_minutes = ?
+        AND (offset_minutes <= 0 OR release_at = ?)
     `),
   };
 
   return statements;
 }
 
+function groupByReminder(rows) {
+  const grouped = new Map();
+  rows.forEach((row) => {
+    if (!grouped.has(row.reminder_id)) grouped.set(row.reminder_id, []);
+    grouped.get(row.reminder_id).push(row);
+  });
+  return grouped;
+}
+
+function shouldSkipForProgress(reminder, episode, behindByUser, now) {
+  if (reminder.skip_dropped && getWatchlistStatus(reminder.user_id, episode.anime_id) === 'dropped') {
+    return true;
+  }
+
+  if (reminder.max_behind === null || reminder.max_behind === undefined) {
+    return false;
+  }
+
+  if (!behindByUser.has(reminder.user_id)) {
+    behindByUser.set(reminder.user_id, getBehindCounts(reminder.user_id, now));
+  }
+
+  const behindBy = behindByUser.get(reminder.user_id).get(episode.anime_id) || 0;
+  return behindBy > reminder.max_behind;
+}
+
+function parseDbTimestamp(value) {
+  return new Date(/[zZ]|[+-]\d\d:\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+// On-time reminders fire within a minute of their trigger; anything later is a
+// catch-up for a tick missed during downtime and is bounded by the grace period.
+// Negative offsets trigger after release, so only pre-release offsets are held
+// back once the episode is out.
+function isDue(reminder, offsetMinutes, releaseAt, now) {
+  const triggerAt = new Date(releaseAt.getTime() - offsetMinutes * 60 * 1000);
+  const lateMs = now.getTime() - triggerAt.getTime();
+
+  if (lateMs < 0) return false;
+  if (lateMs <= ON_TIME_WINDOW_MS) return true;
+  if (lateMs > config.reminders.catchUpGraceMinutes * 60 * 1000) return false;
+  if (offsetMinutes > 0 && releaseAt <= now && !reminder.catch_up_after_release) return false;
+
+  return parseDbTimestamp(reminder.created_at) <= triggerAt;
+}
+
 async function runReminderScan() {
-  const { selectCandidateEpisodes, selectReminders, wasSentStmt, insertLogStmt } = getStatements();
+  const {
+    selectCandidateEpisodes,
+    selectReminders,
+    selectOffsets,
+    selectDestinations,
+    wasSentStmt,
+  } = getStatements();
   const now = new Date();
+  const offsetRows = selectOffsets.all();
+  const maxAfterMinutes = Math.max(0, ...offsetRows.map((row) => -row.minutes_before));
+  const earliest = new Date(now.getTime() - (maxAfterMinutes + config.reminders.catchUpGraceMinutes) * 60 * 1000);
   const lookahead = new Date(now.getTime() + 48 * 60 * 60 * 1000);
-  const candidates = selectCandidateEpisodes.all(now.toISOString(), lookahead.toISOString());
+  const candidates = selectCandidateEpisodes.all(earliest.toISOString(), lookahead.toISOString());
   const reminders = selectReminders.all();
+  const offsets = groupByReminder(offsetRows);
+  const destinations = groupByReminder(selectDestinations.all());
+  const behindByUser = new Map();
 
   for (const reminder of reminders) {
+    const quietUntil = quietHoursEndAt({
+      timezone: reminder.user_timezone,
+      quietStart: reminder.user_quiet_start,
+      quietEnd: reminder.user_quiet_end,
+    }, now);
+
     for (const episode of candidates) {
       if (reminder.anime_id && reminder.anime_id !== episode.anime_id) {
         continue;
       }
 
       const releaseAt = new Date(episode.release_at);
-      const triggerAt = new Date(releaseAt.getTime() - reminder.minutes_before * 60 * 1000);
-      const diffMs = now.getTime() - triggerAt.getTime();
+      const dueOffsets = (offsets.get(reminder.id) || [])
+        .map((row) => row.minutes_before)
+        .filter((offsetMinutes) => isDue(reminder, offsetMinutes, releaseAt, now));
 
-      if (diffMs < 0 || diffMs > 60 * 1000) {
+      if (!dueOffsets.length || shouldSkipForProgress(reminder, episode, behindByUser, now)) {
         continue;
       }
 
-      const message = `${episode.anime_title} - Episode ${episode.episode_number} releases at ${releaseAt.toUTCString()}.`;
-
-      const emailTarget = reminder.email || reminder.user_email;
-      if (emailTarget && !wasSentStmt.get(reminder.id, episode.id, 'email')) {
-        try {
-          await sendEmailReminder(emailTarget, 'Anime Episode Reminder', message);
-          insertLogStmt.run(reminder.id, episode.id, 'email');
-        } catch (error) {
-          console.error('Failed to send email reminder:', error.message);
-        }
-      }
-
-      if (reminder.discord_webhook_url && !wasSentStmt.get(reminder.id, episode.id, 'discord')) {
-        try {
-          await sendDiscordReminder(reminder.discord_webhook_url, `:tv: ${message}`);
-          insertLogStmt.run(reminder.id, episode.id, 'discord');
-        } catch (error) {
-          console.error('Failed to send Discord reminder:', error.message);
+      const context = buildReminderContext(reminder, episode, now);
+      for (const offsetMinutes of dueOffsets) {
+        for (const destination of destinations.get(reminder.id) || []) {
+          if (wasSentStmt.get(destination.id, episode.id, offsetMinutes, episode.release_at)) continue;
+          enqueueForDestination(reminder, destination, episode, offsetMinutes, context, now, quietUntil);
         }
       }
     }
   }
+
+  return processOutbox({ now });
+}
+
+function logSyncFailure(prefix) {
+  return (error) => {
+    if (error.inProgress !== undefined) console.log(`${prefix} skipped:`, error.message);
+    else console.error(`${prefix} failed:`, error.message);
+  };
 }
 
+// Jobs that run once whenever this instance becomes the leader, including after
+// taking over from a leader that died.
+function runLeaderStartupJobs() {
+  runReminderScan().catch((error) => {
+    console.error('Initial reminder scan failed:', error.message);
+  });
+
+  listEnabledProviders().forEach((provider) => {
+    runScheduleSync(provider.name, { trigger: 'startup' }).catch(logSyncFailure(`Initial ${provider.label} sync`));
+  });
+}
+
+// Renews the leader lease, or tries to take it when it is free or expired.
+function heartbeat() {
+  const ttlMs = config.scheduler.leaseSeconds * 1000;
+  const wasLeader = isLeader;
+
+  try {
+    isLeader = (wasLeader && renewLease(LEADER_LEASE_NAME, INSTANCE_ID, ttlMs))
+      || acquireLease(LEADER_LEASE_NAME, INSTANCE_ID, ttlMs);
+  } catch (error) {
+    console.error('Scheduler heartbeat failed:', error.message);
+    isLeader = false;
+  }
+
+  if (isLeader && !wasLeader) {
+    console.log(`Scheduler leadership acquired by ${INSTANCE_ID}`);
+    runLeaderStartupJobs();
+  } else if (!isLeader && wasLeader) {
+    console.log(`Scheduler leadership lost by ${INSTANCE_ID}`);
+  }
+}
+
+function scheduleLeaderJob(expression, job) {
+  cronTasks.push(cron.schedule(expression, () => {
+    if (isLeader) job();
+  }));
+}
+
+// Every instance schedules the jobs, but only the holder of the leader lease
+// runs them, so scaling out does not multiply deliveries.
 function startScheduler() {
   if (config.jobs.disableStartup) {
     console.log('Scheduler disabled via DISABLE_STARTUP_JOBS');
     return;
   }
 
-  cron.schedule('* * * * *', () => {
+  scheduleLeaderJob('* * * * *', () => {
     runReminderScan().catch((error) => {
       console.error('Reminder job failed:', error.message);
     });
   });
 
-  runReminderScan().catch((error) => {
-    console.error('Initial reminder scan failed:', error.message);
+  scheduleLeaderJob(config.digest.cron, () => {
+    runDigestScan().catch((error) => {
+      console.error('Digest job failed:', error.message);
+    });
   });
 
-  cron.schedule(config.anilist.syncCron, () => {
-    runAniListSyncSafe().catch((error) => {
-      console.error('AniList sync failed:', error.message);
+  if (config.telegram.polling && isTelegramConfigured()) {
+    scheduleLeaderJob('* * * * *', () => {
+      pollTelegramUpdates().catch((error) => {
+        console.error('Telegram polling failed:', error.message);
+      });
     });
-  });
+  }
 
-  runAniListSyncSafe().catch((error) => {
-    console.error('Initial AniList sync failed:', error.message);
+  listEnabledProviders().forEach((provider) => {
+    scheduleLeaderJob(provider.settings.syncCron, () => {
+      runScheduleSync(provider.name, { trigger: 'cron' }).catch(logSyncFailure(`${provider.label} sync`));
+    });
   });
+
+  heartbeat();
+  heartbeatTimer = setInterval(heartbeat, Math.max(1000, (config.scheduler.leaseSeconds * 1000) / 3));
+}
+
+// Hands leadership over right away instead of letting the lease run out.
+function stopScheduler() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  cronTasks.splice(0).forEach((task) => task.stop());
+
+  if (isLeader) {
+    releaseLease(LEADER_LEASE_NAME, INSTANCE_ID);
+    isLeader = false;
+  }
+}
+
+// Instance ids name the host and process, so only `detailed` callers (admins)
+// see them.
+function getSchedulerStatus({ detailed = false } = {}) {
+  const leader = getLease(LEADER_LEASE_NAME);
+  if (!detailed) {
+    return {
+      enabled: !config.jobs.disableStartup,
+      isLeader,
+      leaderExpiresAt: leader?.expiresAt || null,
+    };
+  }
+
+  return {
+    enabled: !config.jobs.disableStartup,
+    instanceId: INSTANCE_ID,
+    isLeader,
+    leader,
+  };
 }
 
 module.exports = {
   startScheduler,
+  stopScheduler,
+  getSchedulerStatus,
   runReminderScan,
 };
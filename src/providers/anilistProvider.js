@@ -0,0 +1,106 @@
+const config = require('../config');
+
+const AIRING_SCHEDULE_QUERY = `
+  query ($page: Int, $perPage: Int) {
+    Page(page: $page, perPage: $perPage) {
+      airingSchedules(notYetAired: true, sort: TIME) {
+        id
+        episode
+        airingAt
+        media {
+          id
+          type
+          title {
+            english
+            romaji
+            native
+          }
+          synonyms
+          coverImage {
+            large
+            medium
+          }
+          description(asHtml: false)
+          episodes
+          duration
+          popularity
+          status
+        }
+      }
+    }
+  }
+`;
+
+function sanitizeText(value) {
+  if (!value) return null;
+  const cleaned = String(value)
+    .replace(/<br\s*\/?>(\s*)/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .trim();
+
+  return cleaned.length ? cleaned : null;
+}
+
+async function fetchPage(page) {
+  const { apiUrl, perPage } = config.anilist;
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+    body: JSON.stringify({ query: AIRING_SCHEDULE_QUERY, variables: { page, perPage } }),
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`AniList request failed (${response.status}): ${body}`);
+  }
+
+  const json = await response.json();
+  if (json.errors) {
+    throw new Error(`AniList GraphQL error: ${JSON.stringify(json.errors)}`);
+  }
+
+  const items = json?.data?.Page?.airingSchedules || [];
+  return { items, hasNextPage: items.length >= perPage };
+}
+
+function mapItem(item) {
+  if (!item?.media || item.media.type !== 'ANIME' || !item.episode || !item.airingAt) return null;
+
+  const externalId = String(item.media.id);
+  const { english = null, romaji = null, native = null } = item.media.title || {};
+  return {
+    anime: {
+      externalId,
+      title: english || romaji || native || `Anime ${externalId}`,
+      titles: { english, romaji, native, synonyms: item.media.synonyms || [] },
+      coverImageUrl: item.media.coverImage?.large || item.media.coverImage?.medium || null,
+      synopsis: sanitizeText(item.media.description),
+      totalEpisodes: item.media.episodes || null,
+      popularity: Number(item.media.popularity) || 0,
+      runtimeMinutes: Number(item.media.duration) || null,
+    },
+    episode: {
+      externalId: String(item.id),
+      number: item.episode,
+      releaseAt: new Date(item.airingAt * 1000).toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  name: 'anilist',
+  label: 'AniList',
+  settings: config.anilist,
+  capabilities: {
+    airingOrder: true,
+    upcomingEpisodes: 'all',
+  },
+  fetchPage,
+  mapItem,
+};
@@ -0,0 +1,40 @@
+const PROVIDER_METHODS = ['fetchPage', 'mapItem'];
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider?.name) {
+    throw new Error('Schedule provider must have a name');
+  }
+
+  const missing = PROVIDER_METHODS.filter((method) => typeof provider[method] !== 'function');
+  if (missing.length) {
+    throw new Error(`Schedule provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+// `settings` is the provider's config section: `enabled`, `apiUrl`, `syncCron`,
+// `pageLimit` and `perPage`.
+function listEnabledProviders() {
+  return listProviders().filter((provider) => provider.settings.enabled);
+}
+
+registerProvider(require('./anilistProvider'));
+registerProvider(require('./kitsuProvider'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  listEnabledProviders,
+};
@@ -0,0 +1,109 @@
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EPISODE_PAGE_SIZE = 20;
+
+async function requestJson(path, params) {
+  const response = await fetch(`${config.kitsu.apiUrl}${path}?${params}`, {
+    headers: { Accept: 'application/vnd.api+json' },
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Kitsu request failed (${response.status}): ${body}`);
+  }
+
+  return response.json();
+}
+
+async function fetchPage(page) {
+  const { perPage } = config.kitsu;
+  const json = await requestJson('/anime', new URLSearchParams({
+    'filter[status]': 'current',
+    sort: 'popularityRank',
+    'page[limit]': String(perPage),
+    'page[offset]': String((page - 1) * perPage),
+  }));
+  return { items: json?.data || [], hasNextPage: Boolean(json?.links?.next) };
+}
+
+// Kitsu's anime only says when the next episode airs, so its number comes from
+// the show's episode list: the episode whose air date is within a day of the
+// release (air dates are calendar days in the broadcast's time zone). Without
+// one the release cannot be numbered and the item is skipped.
+async function findEpisodeNumber(animeId, nextRelease) {
+  const json = await requestJson(`/anime/${encodeURIComponent(animeId)}/episodes`, new URLSearchParams({
+    sort: '-number',
+    'page[limit]': String(EPISODE_PAGE_SIZE),
+  }));
+  const releaseDay = Date.parse(String(nextRelease).slice(0, 10));
+
+  let match = null;
+  (json?.data || []).forEach((episode) => {
+    const number = Number(episode?.attributes?.number);
+    const airDay = Date.parse(episode?.attributes?.airdate || '');
+    if (!Number.isInteger(number) || number < 1 || Number.isNaN(airDay)) return;
+
+    const distance = Math.abs(airDay - releaseDay);
+    if (distance > DAY_MS) return;
+    if (!match || distance < match.distance || (distance === match.distance && number < match.number)) {
+      match = { number, distance };
+    }
+  });
+  return match ? match.number : null;
+}
+
+async function mapItem(item) {
+  const attributes = item?.attributes;
+  if (item?.type !== 'anime' || !attributes?.nextRelease) return null;
+
+  const releaseAt = new Date(attributes.nextRelease);
+  if (Number.isNaN(releaseAt.getTime())) return null;
+
+  const externalId = String(item.id);
+  let number;
+  try {
+    number = await findEpisodeNumber(externalId, attributes.nextRelease);
+  } catch (error) {
+    // One show's episode list failing skips that show, not the whole page.
+    console.error(`Kitsu episode lookup for anime ${externalId} failed:`, error.message);
+    return null;
+  }
+  if (!number) return null;
+
+  const titles = {
+    english: attributes.titles?.en || null,
+    romaji: attributes.titles?.en_jp || null,
+    native: attributes.titles?.ja_jp || null,
+    synonyms: [attributes.canonicalTitle, ...(attributes.abbreviatedTitles || [])],
+  };
+  return {
+    anime: {
+      externalId,
+      title: titles.english || titles.romaji || attributes.canonicalTitle || `Anime ${externalId}`,
+      titles,
+      coverImageUrl: attributes.posterImage?.large || attributes.posterImage?.medium || null,
+      synopsis: attributes.synopsis ? String(attributes.synopsis).trim() || null : null,
+      totalEpisodes: attributes.episodeCount || null,
+      popularity: Number(attributes.userCount) || 0,
+      runtimeMinutes: Number(attributes.episodeLength) || null,
+    },
+    episode: {
+      externalId: `${externalId}:${number}`,
+      number,
+      releaseAt: releaseAt.toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  name: 'kitsu',
+  label: 'Kitsu',
+  settings: config.kitsu,
+  capabilities: {
+    airingOrder: false,
+    upcomingEpisodes: 'next',
+  },
+  fetchPage,
+  mapItem,
+};
@@ -4,14 +4,83 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const ical = require('ical-generator').default;
 
 const config = require('./config');
 const { db, initDb } = require('./db');
-const { startScheduler, runReminderScan } = require('./jobs/scheduler');
-const { runAniListSyncSafe, getAniListSyncStatus } = require('./services/anilistSyncService');
+const { startScheduler, stopScheduler, getSchedulerStatus, runReminderScan } = require('./jobs/scheduler');
+const { runScheduleSync, getSyncStatus, listSyncRuns } = require('./services/scheduleSyncService');
 const { hashPassword, verifyPassword, createSessionToken } = require('./services/authService');
 const { sendEmailReminder } = require('./services/emailService');
+const { markWatched, unmarkWatched, getBehindCounts, listProgress } = require('./services/watchProgressService');
+const {
+  WATCHLIST_STATUSES,
+  listEntries: listWatchlistEntries,
+  getEntry: getWatchlistEntry,
+  createEntry: createWatchlistEntry,
+  updateEntry: updateWatchlistEntry,
+  deleteEntry: deleteWatchlistEntry,
+  getFollowedAnimeIds,
+  FOLLOWED_STATUSES,
+} = require('./services/watchlistService');
+const { buildEpisodeCalendar } = require('./services/calendarService');
+const { QUIET_HOURS_MODES, isValidQuietTime } = require('./services/quietHoursService');
+const { TIME_FORMATS, normalizeLocale, formatDateTime } = require('./services/localeService');
+const {
+  TITLE_LANGUAGES,
+  DEFAULT_TITLE_LANGUAGE,
+  normalizeTitleLanguage,
+  titleSql,
+  titleSearchSql,
+  searchParams,
+  listTitles,
+} = require('./services/titleService');
+const { TEMPLATE_PLACEHOLDERS, DEFAULT_TEMPLATE, validateTemplate } = require('./services/templateService');
+const { buildReminderContext, episodeSnoozeEnd } = require('./services/reminderContextService');
+const { getChannel, listChannels, validateDestinations } = require('./channels');
+const { getProvider } = require('./providers');
+const { listOutboxForUser, retryOutboxEntry } = require('./services/outboxService');
+const { getScheduleHistory } = require('./services/scheduleChangeService');
+const {
+  listIdentities,
+  resolveAnimeId,
+  mergeAnime,
+  unmergeIdentity,
+  autoMatchAnime,
+} = require('./services/animeIdentityService');
+const {
+  isTelegramConfigured,
+  createLinkCode: createTelegramLinkCode,
+  getLinkStatus: getTelegramLinkStatus,
+  unlinkChat: unlinkTelegramChat,
+  handleTelegramUpdate,
+} = require('./services/telegramService');
+const {
+  validateWebhookFields,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries: listWebhookDeliveries,
+  sendTestEvent: sendWebhookTestEvent,
+} = require('./services/webhookService');
+const {
+  isPushConfigured,
+  validateSubscription: validatePushSubscription,
+  saveSubscription: savePushSubscription,
+  listSubscriptions: listPushSubscriptions,
+  deleteSubscription: deletePushSubscription,
+} = require('./services/pushService');
+const {
+  DIGEST_FREQUENCIES,
+  DIGEST_SCOPES,
+  getSubscription: getDigestSubscription,
+  saveSubscription: saveDigestSubscription,
+  deleteSubscription: deleteDigestSubscription,
+  buildDigest,
+  runDigestScan,
+} = require('./services/digestService');
 
 initDb();
 
@@ -45,22 +114,43 @@ app.use(globalRateLimit);
 app.use(express.json({ limit: '200kb' }));
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
+const animeColumns = `
+  id, ${titleSql('anime')} AS title,
+  title_english AS titleEnglish, title_romaji AS titleRomaji, title_native AS titleNative,
+  cover_image_url AS coverImageUrl, synopsis, total_episodes AS totalEpisodes, popularity, source,
+  runtime_minutes AS runtimeMinutes, event_duration_minutes AS eventDurationMinutes
+`;
+
 const listAnimeStmt = db.prepare(`
-  SELECT id, title, cover_image_url AS coverImageUrl, synopsis, total_episodes AS totalEpisodes, popularity, source
+  SELECT ${animeColumns}
   FROM anime
+  WHERE ${titleSearchSql('anime')}
   ORDER BY title ASC
 `);
+const findAnimeDetailStmt = db.prepare(`
+  SELECT ${animeColumns}
+  FROM anime
+  WHERE id = ?
+`);
 
 const listUpcomingEpisodesStmt = db.prepare(`
-  SELECT e.id, e.anime_id AS animeId, a.title AS animeTitle,
+  SELECT e.id, e.anime_id AS animeId, ${titleSql('a')} AS animeTitle,
          e.episode_number AS episodeNumber, e.title, e.release_at AS releaseAt,
          e.source, a.source AS animeSource, a.popularity AS animePopularity,
-         a.cover_image_url AS animeCoverImage
+         a.cover_image_url AS animeCoverImage,
+         e.schedule_status AS scheduleStatus, e.original_release_at AS originalReleaseAt,
+         e.unconfirmed_at AS unconfirmedAt
   FROM episodes e
   JOIN anime a ON a.id = e.anime_id
-  WHERE e.release_at BETWEEN ? AND ?
+  WHERE e.release_at BETWEEN ? AND ? AND e.displaced_at IS NULL AND ${titleSearchSql('a')}
   ORDER BY e.release_at ASC
 `);
+const findEpisodeByIdStmt = db.prepare(`
+  SELECT id, anime_id AS animeId, episode_number AS episodeNumber, release_at AS releaseAt,
+         schedule_status AS scheduleStatus, original_release_at AS originalReleaseAt
+  FROM episodes
+  WHERE id = ?
+`);
 
 const createUserStmt = db.prepare(`
   INSERT INTO users (email, password_hash, display_name, timezone)
@@ -69,7 +159,9 @@ const createUserStmt = db.prepare(`
 
 const findUserByEmailStmt = db.prepare(`
   SELECT id, email, password_hash AS passwordHash, display_name AS displayName,
-         timezone, email_verified AS emailVerified,
+         timezone, locale, time_format AS timeFormat, title_language AS titleLanguage,
+         quiet_start AS quietStart, quiet_end AS quietEnd, message_template AS messageTemplate,
+         email_verified AS emailVerified,
          oauth_provider AS oauthProvider, oauth_subject AS oauthSubject,
          created_at AS createdAt
   FROM users
@@ -77,7 +169,9 @@ const findUserByEmailStmt = db.prepare(`
 `);
 const findUserByIdStmt = db.prepare(`
   SELECT id, email, password_hash AS passwordHash, display_name AS displayName,
-         timezone, email_verified AS emailVerified,
+         timezone, locale, time_format AS timeFormat, title_language AS titleLanguage,
+         quiet_start AS quietStart, quiet_end AS quietEnd, message_template AS messageTemplate,
+         email_verified AS emailVerified,
          oauth_provider AS oauthProvider, oauth_subject AS oauthSubject,
          created_at AS createdAt
   FROM users
@@ -85,7 +179,9 @@ const findUserByIdStmt = db.prepare(`
 `);
 const findUserByOAuthStmt = db.prepare(`
   SELECT id, email, password_hash AS passwordHash, display_name AS displayName,
-         timezone, email_verified AS emailVerified,
+         timezone, locale, time_format AS timeFormat, title_language AS titleLanguage,
+         quiet_start AS quietStart, quiet_end AS quietEnd, message_template AS messageTemplate,
+         email_verified AS emailVerified,
          oauth_provider AS oauthProvider, oauth_subject AS oauthSubject,
          created_at AS createdAt
   FROM users
@@ -96,6 +192,37 @@ const updateUserTimezoneStmt = db.prepare(`
   SET timezone = ?
   WHERE id = ?
 `);
+const updateUserQuietHoursStmt = db.prepare(`
+  UPDATE users
+  SET quiet_start = ?, quiet_end = ?
+  WHERE id = ?
+`);
+const updateUserLocaleStmt = db.prepare(`
+  UPDATE users
+  SET locale = ?, time_format = ?
+  WHERE id = ?
+`);
+const updateUserTitleLanguageStmt = db.prepare(`
+  UPDATE users
+  SET title_language = ?
+  WHERE id = ?
+`);
+const updateUserMessageTemplateStmt = db.prepare(`
+  UPDATE users
+  SET message_template = ?
+  WHERE id = ?
+`);
+const findUserByFeedTokenStmt = db.prepare(`
+  SELECT id, timezone, display_name AS displayName, title_language AS titleLanguage
+  FROM users
+  WHERE calendar_feed_token = ?
+`);
+const findUserFeedTokenStmt = db.prepare('SELECT calendar_feed_token AS feedToken FROM users WHERE id = ?');
+const updateUserFeedTokenStmt = db.prepare(`
+  UPDATE users
+  SET calendar_feed_token = ?
+  WHERE id = ?
+`);
 const updateUserEmailVerifiedStmt = db.prepare(`
   UPDATE users
   SET email_verified = 1
@@ -119,7 +246,9 @@ const createSessionStmt = db.prepare(`
 const deleteSessionsByUserStmt = db.prepare('DELETE FROM user_sessions WHERE user_id = ?');
 
 const findSessionUserStmt = db.prepare(`
-  SELECT u.id, u.email, u.display_name AS displayName, u.timezone,
+  SELECT u.id, u.email, u.display_name AS displayName, u.timezone, u.locale, u.time_format AS timeFormat,
+         u.title_language AS titleLanguage,
+         u.quiet_start AS quietStart, u.quiet_end AS quietEnd, u.message_template AS messageTemplate,
          u.email_verified AS emailVerified,
          s.token, s.expires_at AS expiresAt
   FROM user_sessions s
@@ -180,19 +309,117 @@ const deleteOAuthStateStmt = db.prepare('DELETE FROM oauth_state_tokens WHERE st
 const deleteExpiredOAuthStateStmt = db.prepare('DELETE FROM oauth_state_tokens WHERE expires_at <= ?');
 
 const insertReminderStmt = db.prepare(`
-  INSERT INTO reminders (user_id, anime_id, email, discord_webhook_url, minutes_before)
-  VALUES (?, ?, ?, ?, ?)
+  INSERT INTO reminders (
+    user_id, anime_id, skip_dropped, max_behind, catch_up_after_release, quiet_hours_mode, message_template, is_active
+  )
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const updateReminderStmt = db.prepare(`
+  UPDATE reminders
+  SET anime_id = ?, skip_dropped = ?, max_behind = ?, catch_up_after_release = ?, quiet_hours_mode = ?,
+      message_template = ?, is_active = ?, snoozed_until = ?
+  WHERE id = ?
+`);
+const insertReminderOffsetStmt = db.prepare(`
+  INSERT INTO reminder_offsets (reminder_id, minutes_before)
+  VALUES (?, ?)
+`);
+const deleteReminderOffsetsStmt = db.prepare('DELETE FROM reminder_offsets WHERE reminder_id = ?');
+const deleteReminderChannelStmt = db.prepare('DELETE FROM reminder_channels WHERE id = ?');
+const listSnoozeEpisodesStmt = db.prepare(`
+  SELECT release_at AS releaseAt
+  FROM episodes
+  WHERE release_at > ? AND (? IS NULL OR anime_id = ?) AND displaced_at IS NULL
+  ORDER BY release_at ASC
+  LIMIT ?
+`);
+const insertReminderChannelStmt = db.prepare(`
+  INSERT INTO reminder_channels (reminder_id, channel, target)
+  VALUES (?, ?, ?)
 `);
 
 const listRemindersStmt = db.prepare(`
-  SELECT r.id, r.anime_id AS animeId, a.title AS animeTitle, r.email,
-         r.discord_webhook_url AS discordWebhookUrl,
-         r.minutes_before AS minutesBefore, r.is_active AS isActive, r.created_at AS createdAt
+  SELECT r.id, r.anime_id AS animeId, ${titleSql('a')} AS animeTitle,
+         r.skip_dropped AS skipDropped, r.max_behind AS maxBehind, r.catch_up_after_release AS catchUpAfterRelease,
+         r.quiet_hours_mode AS quietHoursMode, r.message_template AS messageTemplate,
+         r.is_active AS isActive, r.snoozed_until AS snoozedUntil, r.created_at AS createdAt
   FROM reminders r
   LEFT JOIN anime a ON a.id = r.anime_id
   WHERE r.user_id = ?
   ORDER BY r.created_at DESC
 `);
+const listReminderChannelsStmt = db.prepare('SELECT id, channel, target FROM reminder_channels WHERE reminder_id = ?');
+const listReminderOffsetsByUserStmt = db.prepare(`
+  SELECT ro.reminder_id AS reminderId, ro.minutes_before AS minutesBefore
+  FROM reminder_offsets ro
+  JOIN reminders r ON r.id = ro.reminder_id
+  WHERE r.user_id = ?
+  ORDER BY ro.minutes_before DESC
+`);
+const listReminderChannelsByUserStmt = db.prepare(`
+  SELECT rc.id, rc.reminder_id AS reminderId, rc.channel, rc.target
+  FROM reminder_channels rc
+  JOIN reminders r ON r.id = rc.reminder_id
+  WHERE r.user_id = ?
+  ORDER BY rc.id ASC
+`);
+
+const calendarEpisodeColumns = `
+  e.id, e.anime_id AS animeId, ${titleSql('a')} AS animeTitle,
+  e.episode_number AS episodeNumber, e.title, e.release_at AS releaseAt,
+  a.cover_image_url AS animeCoverImage, a.synopsis AS animeSynopsis,
+  COALESCE(a.event_duration_minutes, a.runtime_minutes) AS durationMinutes
+`;
+
+const listCalendarEpisodesStmt = db.prepare(`
+  SELECT ${calendarEpisodeColumns}
+  FROM episodes e
+  JOIN anime a ON a.id = e.anime_id
+  WHERE e.release_at BETWEEN ? AND ? AND e.displaced_at IS NULL AND (? IS NULL OR e.anime_id = ?)
+  ORDER BY e.release_at ASC
+`);
+
+const listFeedEpisodesStmt = db.prepare(`
+  SELECT ${calendarEpisodeColumns}
+  FROM episodes e
+  JOIN anime a ON a.id = e.anime_id
+  WHERE e.release_at BETWEEN ? AND ? AND e.displaced_at IS NULL
+    AND (
+      EXISTS (
+        SELECT 1 FROM reminders r
+        WHERE r.user_id = ? AND r.is_active = 1 AND (r.anime_id IS NULL OR r.anime_id = e.anime_id)
+      )
+      OR EXISTS (
+        SELECT 1 FROM watchlist_entries w
+        WHERE w.user_id = ? AND w.anime_id = e.anime_id
+          AND w.status IN (${FOLLOWED_STATUSES.map(() => '?').join(', ')})
+      )
+    )
+  ORDER BY e.release_at ASC
+`);
+
+const listFeedRemindersStmt = db.prepare(`
+  SELECT r.anime_id AS animeId, ro.minutes_before AS minutesBefore
+  FROM reminders r
+  JOIN reminder_offsets ro ON ro.reminder_id = r.id
+  WHERE r.user_id = ? AND r.is_active = 1
+`);
+
+const findPreviewEpisodeStmt = db.prepare(`
+  SELECT e.id, e.anime_id, e.episode_number, e.title, e.release_at, a.title AS anime_title,
+         a.title_english AS anime_title_english, a.title_romaji AS anime_title_romaji,
+         a.title_native AS anime_title_native, a.cover_image_url AS anime_cover_image_url
+  FROM episodes e
+  JOIN anime a ON a.id = e.anime_id
+  WHERE e.release_at > ? AND e.displaced_at IS NULL AND (? IS NULL OR e.anime_id = ?)
+  ORDER BY e.release_at ASC
+  LIMIT 1
+`);
+const updateAnimeEventDurationStmt = db.prepare(`
+  UPDATE anime
+  SET event_duration_minutes = ?
+  WHERE id = ?
+`);
 
 const deleteReminderByUserStmt = db.prepare('DELETE FROM reminders WHERE id = ? AND user_id = ?');
 
@@ -389,7 +616,7 @@ async function issueEmailVerification(user) {
     'Please verify your email to activate your account:',
     verifyUrl,
     '',
-    'This link expires in 24 hours.',
+    `This link expires in 24 hours (${formatDateTime(new Date(expiresAt), user)}).`,
   ].join('\n');
 
   await sendEmailReminder(user.email, 'Verify your Anime Tracker email', message);
@@ -410,7 +637,7 @@ async function issuePasswordReset(user) {
     'You requested a password reset:',
     resetUrl,
     '',
-    'This link expires in 1 hour.',
+    `This link expires in 1 hour (${formatDateTime(new Date(expiresAt), user)}).`,
   ].join('\n');
 
   await sendEmailReminder(user.email, 'Anime Tracker password reset', message);
@@ -429,10 +656,113 @@ function sanitizeUser(user) {
     email: user.email,
     displayName: user.displayName,
     timezone: user.timezone,
+    locale: user.locale,
+    timeFormat: user.timeFormat,
+    titleLanguage: user.titleLanguage || DEFAULT_TITLE_LANGUAGE,
+    quietHours: user.quietStart && user.quietEnd ? { start: user.quietStart, end: user.quietEnd } : null,
+    messageTemplate: user.messageTemplate || null,
     emailVerified: Boolean(user.emailVerified),
   };
 }
 
+// Binds @titleLanguage for statements that show anime titles; signed-out
+// visitors get the default language.
+function titleParams(user) {
+  return { titleLanguage: user?.titleLanguage || DEFAULT_TITLE_LANGUAGE };
+}
+
+function listRemindersForUser(user) {
+  const userId = user.id;
+  const destinationsByReminder = new Map();
+  listReminderChannelsByUserStmt.all(userId).forEach(({ reminderId, ...destination }) => {
+    if (!destinationsByReminder.has(reminderId)) destinationsByReminder.set(reminderId, []);
+    destinationsByReminder.get(reminderId).push(destination);
+  });
+
+  const offsetsByReminder = new Map();
+  listReminderOffsetsByUserStmt.all(userId).forEach(({ reminderId, minutesBefore }) => {
+    if (!offsetsByReminder.has(reminderId)) offsetsByReminder.set(reminderId, []);
+    offsetsByReminder.get(reminderId).push(minutesBefore);
+  });
+
+  return listRemindersStmt.all(userId, titleParams(user)).map((reminder) => ({
+    ...reminder,
+    offsets: offsetsByReminder.get(reminder.id) || [],
+    destinations: destinationsByReminder.get(reminder.id) || [],
+  }));
+}
+
+function legacyReminderDestinations(body) {
+  return [
+    ['email', body.email],
+    ['discord', body.discordWebhookUrl],
+    ['slack', body.slackWebhookUrl],
+  ]
+    .filter(([, target]) => target && String(target).trim())
+    .map(([channel, target]) => ({ channel, target }));
+}
+
+const createReminderWithDestinations = db.transaction((userId, fields, destinations) => {
+  const result = insertReminderStmt.run(
+    userId,
+    fields.animeId,
+    fields.skipDropped,
+    fields.maxBehind,
+    fields.catchUpAfterRelease,
+    fields.quietHoursMode,
+    fields.messageTemplate,
+    fields.isActive
+  );
+  fields.offsets.forEach((offset) => insertReminderOffsetStmt.run(result.lastInsertRowid, offset));
+  destinations.forEach((destination) => {
+    insertReminderChannelStmt.run(result.lastInsertRowid, destination.channel, destination.target);
+  });
+  return result.lastInsertRowid;
+});
+
+// Destinations that survive an edit keep their row id, and with it their
+// delivery history, so an edit never re-sends an already delivered reminder.
+// Delivery history is keyed by offset value, so offsets can simply be replaced.
+const updateReminderWithDestinations = db.transaction((id, fields, destinations) => {
+  updateReminderStmt.run(
+    fields.animeId,
+    fields.skipDropped,
+    fields.maxBehind,
+    fields.catchUpAfterRelease,
+    fields.quietHoursMode,
+    fields.messageTemplate,
+    fields.isActive,
+    fields.snoozedUntil,
+    id
+  );
+  deleteReminderOffsetsStmt.run(id);
+  fields.offsets.forEach((offset) => insertReminderOffsetStmt.run(id, offset));
+  if (!destinations) return;
+
+  const destinationKey = ({ channel, target }) => `${channel}|${target || ''}`;
+  const existing = new Map(listReminderChannelsStmt.all(id).map((row) => [destinationKey(row), row.id]));
+  destinations.forEach((destination) => {
+    const key = destinationKey(destination);
+    if (existing.has(key)) {
+      existing.delete(key);
+    } else {
+      insertReminderChannelStmt.run(id, destination.channel, destination.target);
+    }
+  });
+  existing.forEach((channelId) => deleteReminderChannelStmt.run(channelId));
+});
+
+function buildFeedUrl(feedToken) {
+  if (!feedToken) return null;
+  return new URL(`/api/calendar/${feedToken}.ics`, config.appBaseUrl).toString();
+}
+
+function sendCalendar(res, calendar, filename) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(calendar.toString());
+}
+
 function getBearerToken(req) {
   const authHeader = req.header('authorization') || '';
   const [scheme, token] = authHeader.split(' ');
@@ -470,8 +800,21 @@ function requireAuth(req, res, next) {
   return next();
 }
 
+function requireAdmin(req, res, next) {
+  return requireAuth(req, res, () => {
+    if (!config.auth.adminEmails.includes(req.user.email)) {
+      return res.status(403).json({ error: 'Admin access required.' });
+    }
+    return next();
+  });
+}
+
 app.get('/api/health', (_, res) => {
-  res.json({ ok: true, now: new Date().toISOString() });
+  res.json({ ok: true, now: new Date().toISOString(), scheduler: getSchedulerStatus() });
+});
+
+app.get('/api/health/scheduler', requireAdmin, (_, res) => {
+  res.json(getSchedulerStatus({ detailed: true }));
 });
 
 app.get('/api/auth/oauth/providers', (_req, res) => {
@@ -704,17 +1047,68 @@ app.get('/api/auth/me', requireAuth, (req, res) => {
   res.json({ user: req.user });
 });
 
+function parseQuietHours(raw) {
+  if (raw === null) return { start: null, end: null };
+
+  const start = String(raw?.start || '').trim();
+  const end = String(raw?.end || '').trim();
+  if (!isValidQuietTime(start) || !isValidQuietTime(end)) {
+    return { error: 'Quiet hours need a start and end time in HH:MM (24-hour) format.' };
+  }
+
+  if (start === end) {
+    return { error: 'Quiet hours start and end must differ.' };
+  }
+
+  return { start, end };
+}
+
 app.patch('/api/auth/me', requireAuth, (req, res) => {
+  const hasQuietHours = req.body.quietHours !== undefined;
+  const hasMessageTemplate = req.body.messageTemplate !== undefined;
+  const hasLocale = req.body.locale !== undefined || req.body.timeFormat !== undefined;
+  const hasTitleLanguage = req.body.titleLanguage !== undefined;
   const timezone = String(req.body.timezone || '').trim();
-  if (!timezone) {
+  if (!timezone && !hasQuietHours && !hasMessageTemplate && !hasLocale && !hasTitleLanguage) {
     return res.status(400).json({ error: 'Timezone is required.' });
   }
 
-  if (!isValidTimeZone(timezone)) {
+  if (timezone && !isValidTimeZone(timezone)) {
     return res.status(400).json({ error: 'Invalid IANA timezone.' });
   }
 
-  updateUserTimezoneStmt.run(timezone, req.user.id);
+  const quietHours = hasQuietHours ? parseQuietHours(req.body.quietHours) : null;
+  if (quietHours?.error) {
+    return res.status(400).json({ error: quietHours.error });
+  }
+
+  const messageTemplate = hasMessageTemplate ? validateTemplate(req.body.messageTemplate) : null;
+  if (messageTemplate?.error) {
+    return res.status(400).json({ error: messageTemplate.error });
+  }
+
+  const locale = req.body.locale === undefined ? req.user.locale : normalizeLocale(req.body.locale);
+  if (!locale) {
+    return res.status(400).json({ error: 'Invalid locale. Use a BCP 47 tag such as en-US or de-DE.' });
+  }
+
+  const timeFormat = req.body.timeFormat === undefined
+    ? req.user.timeFormat
+    : String(req.body.timeFormat).trim().toLowerCase();
+  if (!TIME_FORMATS.includes(timeFormat)) {
+    return res.status(400).json({ error: `Time format must be one of: ${TIME_FORMATS.join(', ')}.` });
+  }
+
+  const titleLanguage = hasTitleLanguage ? normalizeTitleLanguage(req.body.titleLanguage) : null;
+  if (hasTitleLanguage && !titleLanguage) {
+    return res.status(400).json({ error: `Title language must be one of: ${TITLE_LANGUAGES.join(', ')}.` });
+  }
+
+  if (timezone) updateUserTimezoneStmt.run(timezone, req.user.id);
+  if (quietHours) updateUserQuietHoursStmt.run(quietHours.start, quietHours.end, req.user.id);
+  if (messageTemplate) updateUserMessageTemplateStmt.run(messageTemplate.template, req.user.id);
+  if (hasLocale) updateUserLocaleStmt.run(locale, timeFormat, req.user.id);
+  if (titleLanguage) updateUserTitleLanguageStmt.run(titleLanguage, req.user.id);
   const refreshed = findSessionUserStmt.get(req.user.token);
   return res.json({ user: sanitizeUser(refreshed) });
 });
@@ -724,8 +1118,90 @@ app.post('/api/auth/logout', requireAuth, (req, res) => {
   res.status(204).send();
 });
 
-app.get('/api/anime', (_, res) => {
-  res.json(listAnimeStmt.all());
+app.get('/api/anime', (req, res) => {
+  const user = getCurrentUserFromRequest(req);
+  res.json(listAnimeStmt.all({ ...titleParams(user), ...searchParams(req.query.search) }));
+});
+
+app.get('/api/anime/:id', (req, res) => {
+  const id = resolveAnimeId(Number(req.params.id));
+  if (!id) {
+    return res.status(404).json({ error: 'Anime not found.' });
+  }
+  return res.json(findAnimeDetailStmt.get(id, titleParams(getCurrentUserFromRequest(req))));
+});
+
+app.patch('/api/anime/:id', requireAdmin, (req, res) => {
+  const id = resolveAnimeId(Number(req.params.id));
+  if (!id) {
+    return res.status(404).json({ error: 'Anime not found.' });
+  }
+
+  const raw = req.body.eventDurationMinutes;
+  const eventDurationMinutes = raw === null || raw === '' ? null : Number(raw);
+  const validDuration = Number.isInteger(eventDurationMinutes)
+    && eventDurationMinutes >= 5
+    && eventDurationMinutes <= 300;
+  if (eventDurationMinutes !== null && !validDuration) {
+    return res.status(400).json({ error: 'Event duration must be a whole number of minutes from 5 to 300, or null.' });
+  }
+
+  updateAnimeEventDurationStmt.run(eventDurationMinutes, id);
+  return res.json(findAnimeDetailStmt.get(id, titleParams(req.user)));
+});
+
+app.get('/api/anime/:id/identities', (req, res) => {
+  const id = resolveAnimeId(Number(req.params.id));
+  if (!id) {
+    return res.status(404).json({ error: 'Anime not found.' });
+  }
+  return res.json({ animeId: id, identities: listIdentities(id) });
+});
+
+app.get('/api/anime/:id/titles', (req, res) => {
+  const id = resolveAnimeId(Number(req.params.id));
+  if (!id) {
+    return res.status(404).json({ error: 'Anime not found.' });
+  }
+  return res.json({ animeId: id, titles: listTitles(id) });
+});
+
+app.post('/api/anime/match', requireAdmin, (_, res) => {
+  res.json({ ok: true, merged: autoMatchAnime() });
+});
+
+app.post('/api/anime/:id/merge', requireAdmin, (req, res) => {
+  const id = resolveAnimeId(Number(req.params.id));
+  const duplicateId = Number(req.body.duplicateId);
+  if (!Number.isInteger(duplicateId) || duplicateId === id) {
+    return res.status(400).json({ error: 'Provide the id of another anime as duplicateId.' });
+  }
+
+  const result = mergeAnime(id, duplicateId);
+  if (!result) {
+    return res.status(404).json({ error: 'Anime not found.' });
+  }
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  return res.json(result);
+});
+
+app.post('/api/anime/:id/unmerge', requireAdmin, (req, res) => {
+  const source = String(req.body.source || '').trim();
+  const externalId = String(req.body.externalId ?? '').trim();
+  if (!source || !externalId) {
+    return res.status(400).json({ error: 'Provide the source and externalId of the identity to unmerge.' });
+  }
+
+  const result = unmergeIdentity(resolveAnimeId(Number(req.params.id)), source, externalId);
+  if (!result) {
+    return res.status(404).json({ error: 'That identity is not linked to this anime.' });
+  }
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  return res.status(201).json(result);
 });
 
 app.get('/api/episodes/upcoming', (req, res) => {
@@ -733,27 +1209,567 @@ app.get('/api/episodes/upcoming', (req, res) => {
   const start = new Date();
   const end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
 
-  const rows = listUpcomingEpisodesStmt.all(start.toISOString(), end.toISOString());
-  res.json(rows);
+  const mineOnly = ['1', 'true'].includes(String(req.query.mine || '').toLowerCase());
+
+  const user = getCurrentUserFromRequest(req);
+  const rows = listUpcomingEpisodesStmt.all(
+    start.toISOString(),
+    end.toISOString(),
+    { ...titleParams(user), ...searchParams(req.query.search) }
+  );
+  if (!user) {
+    if (mineOnly) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    return res.json(rows);
+  }
+
+  const followed = getFollowedAnimeIds(user.id);
+  const behind = getBehindCounts(user.id, start);
+  return res.json(
+    rows
+      .filter((row) => !mineOnly || followed.has(row.animeId))
+      .map((row) => ({
+        ...row,
+        behindBy: behind.get(row.animeId) || 0,
+        onWatchlist: followed.has(row.animeId),
+      }))
+  );
+});
+
+app.get('/api/episodes/:id/schedule-history', (req, res) => {
+  const episode = findEpisodeByIdStmt.get(Number(req.params.id));
+  if (!episode) {
+    return res.status(404).json({ error: 'Episode not found.' });
+  }
+  return res.json({ ...episode, changes: getScheduleHistory(episode.id) });
+});
+
+app.get('/api/progress', requireAuth, (req, res) => {
+  res.json(listProgress(req.user.id));
 });
 
+app.post('/api/progress/:animeId/watched', requireAuth, (req, res) => {
+  const animeId = resolveAnimeId(Number(req.params.animeId));
+  const episodeNumber = Number(req.body.episodeNumber);
+  const upTo = Boolean(req.body.upTo);
+
+  if (!animeId) {
+    return res.status(404).json({ error: 'Anime not found.' });
+  }
+
+  if (!Number.isInteger(episodeNumber) || episodeNumber < (upTo ? 0 : 1)) {
+    return res.status(400).json({ error: 'Provide a valid episode number.' });
+  }
+
+  const marked = markWatched(req.user.id, animeId, episodeNumber, { upTo });
+  if (marked === null) {
+    return res.status(404).json({ error: 'Episode not found.' });
+  }
+
+  return res.json({ ok: true, marked });
+});
+
+app.delete('/api/progress/:animeId/watched/:episodeNumber', requireAuth, (req, res) => {
+  const animeId = resolveAnimeId(Number(req.params.animeId));
+  const episodeNumber = Number(req.params.episodeNumber);
+
+  const removed = unmarkWatched(req.user.id, animeId, episodeNumber);
+  if (!removed) {
+    return res.status(404).json({ error: 'Watched episode not found.' });
+  }
+  return res.status(204).send();
+});
+
+function parseWatchlistFields(body, current = {}) {
+  const status = body.status === undefined ? current.status || 'planning' : String(body.status).trim().toLowerCase();
+  const rawScore = body.score === undefined ? current.score : body.score;
+  const score = rawScore === null || rawScore === '' || rawScore === undefined ? null : Number(rawScore);
+  const rawNotes = body.notes === undefined ? current.notes : body.notes;
+  const notes = rawNotes ? String(rawNotes).trim().slice(0, 2000) || null : null;
+
+  if (!WATCHLIST_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${WATCHLIST_STATUSES.join(', ')}.` };
+  }
+
+  if (score !== null && (!Number.isInteger(score) || score < 1 || score > 10)) {
+    return { error: 'Score must be a whole number from 1 to 10.' };
+  }
+
+  return { status, score, notes };
+}
+
+app.get('/api/watchlist', requireAuth, (req, res) => {
+  const status = req.query.status ? String(req.query.status).trim().toLowerCase() : null;
+  if (status && !WATCHLIST_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${WATCHLIST_STATUSES.join(', ')}.` });
+  }
+
+  return res.json(listWatchlistEntries(req.user.id, status));
+});
+
+app.post('/api/watchlist', requireAuth, (req, res) => {
+  const animeId = resolveAnimeId(Number(req.body.animeId));
+  if (!animeId) {
+    return res.status(404).json({ error: 'Anime not found.' });
+  }
+
+  const fields = parseWatchlistFields(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const entry = createWatchlistEntry(req.user.id, { animeId, ...fields });
+  if (!entry) {
+    return res.status(409).json({ error: 'Anime is already on your watchlist.' });
+  }
+
+  return res.status(201).json(entry);
+});
+
+app.get('/api/watchlist/:id', requireAuth, (req, res) => {
+  const entry = getWatchlistEntry(req.user.id, Number(req.params.id));
+  if (!entry) {
+    return res.status(404).json({ error: 'Watchlist entry not found.' });
+  }
+  return res.json(entry);
+});
+
+app.patch('/api/watchlist/:id', requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+  const current = getWatchlistEntry(req.user.id, id);
+  if (!current) {
+    return res.status(404).json({ error: 'Watchlist entry not found.' });
+  }
+
+  const fields = parseWatchlistFields(req.body, current);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  return res.json(updateWatchlistEntry(req.user.id, id, fields));
+});
+
+app.delete('/api/watchlist/:id', requireAuth, (req, res) => {
+  if (!deleteWatchlistEntry(req.user.id, Number(req.params.id))) {
+    return res.status(404).json({ error: 'Watchlist entry not found.' });
+  }
+  return res.status(204).send();
+});
+
+function parseDigestFields(body, current = {}) {
+  const frequency = body.frequency === undefined
+    ? current.frequency || 'daily'
+    : String(body.frequency).trim().toLowerCase();
+  const sendHour = body.sendHour === undefined ? current.sendHour ?? 8 : Number(body.sendHour);
+  const weekday = body.weekday === undefined ? current.weekday ?? 1 : Number(body.weekday);
+  const scope = body.scope === undefined ? current.scope || 'mine' : String(body.scope).trim().toLowerCase();
+
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    return { error: `Frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}.` };
+  }
+
+  if (!Number.isInteger(sendHour) || sendHour < 0 || sendHour > 23) {
+    return { error: 'Send hour must be a whole number from 0 to 23.' };
+  }
+
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    return { error: 'Weekday must be a whole number from 0 (Sunday) to 6 (Saturday).' };
+  }
+
+  if (!DIGEST_SCOPES.includes(scope)) {
+    return { error: `Scope must be one of: ${DIGEST_SCOPES.join(', ')}.` };
+  }
+
+  return { frequency, sendHour, weekday, scope };
+}
+
+app.get('/api/digest', requireAuth, (req, res) => {
+  res.json({ subscription: getDigestSubscription(req.user.id) });
+});
+
+app.put('/api/digest', requireAuth, (req, res) => {
+  const fields = parseDigestFields(req.body, getDigestSubscription(req.user.id) || {});
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  return res.json({ subscription: saveDigestSubscription(req.user.id, fields) });
+});
+
+app.delete('/api/digest', requireAuth, (req, res) => {
+  deleteDigestSubscription(req.user.id);
+  res.status(204).send();
+});
+
+app.get('/api/digest/preview', requireAuth, (req, res) => {
+  const fields = parseDigestFields(req.query, getDigestSubscription(req.user.id) || {});
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  return res.json(buildDigest(req.user, fields));
+});
+
+const MAX_REMINDER_OFFSETS = 10;
+
+// Offsets are minutes before release: 0 fires at release, negative values fire
+// that many minutes after. `minutesBefore` is the legacy single-offset form.
+function parseReminderOffsets(body, current) {
+  if (body.offsets === undefined) {
+    if (body.minutesBefore === undefined && current) return { offsets: current.offsets };
+    return { offsets: [Math.max(5, Math.min(1440, Number(body.minutesBefore) || 60))] };
+  }
+
+  const raw = Array.isArray(body.offsets) ? body.offsets : [];
+  const offsets = [...new Set(raw.map((value) => (value === '' || value === null ? NaN : Number(value))))];
+  if (!offsets.length || offsets.length > MAX_REMINDER_OFFSETS) {
+    return { error: `Add between 1 and ${MAX_REMINDER_OFFSETS} lead times.` };
+  }
+
+  if (offsets.some((offset) => !Number.isInteger(offset) || offset < -1440 || offset > 1440)) {
+    return { error: 'Lead times must be whole minutes from 1440 before release to 1440 after release.' };
+  }
+
+  return { offsets: offsets.sort((a, b) => b - a) };
+}
+
+function parseReminderFields(body, current = null) {
+  const pick = (key, fallback) => (body[key] === undefined ? fallback : body[key]);
+
+  const rawAnimeId = pick('animeId', current ? current.animeId : null);
+  const animeId = rawAnimeId ? resolveAnimeId(Number(rawAnimeId)) : null;
+  const { offsets, error: offsetsError } = parseReminderOffsets(body, current);
+  const skipDropped = body.skipDropped === undefined && current
+    ? current.skipDropped
+    : body.skipDropped === false ? 0 : 1;
+  const rawMaxBehind = pick('maxBehind', current ? current.maxBehind : null);
+  const hasMaxBehind = rawMaxBehind !== undefined && rawMaxBehind !== null && rawMaxBehind !== '';
+  const maxBehind = hasMaxBehind ? Number(rawMaxBehind) : null;
+  const catchUpAfterRelease = body.catchUpAfterRelease === undefined
+    ? (current ? current.catchUpAfterRelease : 0)
+    : body.catchUpAfterRelease ? 1 : 0;
+  const quietHoursMode = String(pick('quietHoursMode', current ? current.quietHoursMode : 'defer')).trim().toLowerCase();
+  const isActive = body.isActive === undefined ? (current ? current.isActive : 1) : body.isActive ? 1 : 0;
+  const messageTemplate = validateTemplate(pick('messageTemplate', current ? current.messageTemplate : null));
+
+  if (rawAnimeId && !animeId) {
+    return { error: 'Anime not found.' };
+  }
+
+  if (offsetsError) {
+    return { error: offsetsError };
+  }
+
+  if (hasMaxBehind && (!Number.isInteger(maxBehind) || maxBehind < 0)) {
+    return { error: 'Max episodes behind must be a non-negative whole number.' };
+  }
+
+  if (!QUIET_HOURS_MODES.includes(quietHoursMode)) {
+    return { error: `Quiet hours mode must be one of: ${QUIET_HOURS_MODES.join(', ')}.` };
+  }
+
+  if (messageTemplate.error) {
+    return { error: messageTemplate.error };
+  }
+
+  return {
+    animeId,
+    offsets,
+    skipDropped,
+    maxBehind,
+    catchUpAfterRelease,
+    quietHoursMode,
+    messageTemplate: messageTemplate.template,
+    isActive,
+  };
+}
+
+function parseReminderSnooze(raw, animeId, offsets, now = new Date()) {
+  if (raw === null) return { snoozedUntil: null };
+
+  if (raw?.until !== undefined) {
+    const until = new Date(raw.until);
+    if (Number.isNaN(until.getTime()) || until <= now) {
+      return { error: 'Snooze date must be a valid date in the future.' };
+    }
+    return { snoozedUntil: until.toISOString() };
+  }
+
+  const episodes = Number(raw?.episodes);
+  if (!Number.isInteger(episodes) || episodes < 1 || episodes > 50) {
+    return { error: 'Snooze needs either an `until` date or a number of `episodes` from 1 to 50.' };
+  }
+
+  // Snoozing N episodes holds the reminder until the Nth upcoming episode has
+  // aired and its after-release lead times have passed.
+  const upcoming = listSnoozeEpisodesStmt.all(now.toISOString(), animeId, animeId, episodes);
+  if (!upcoming.length) {
+    return { error: 'There are no upcoming episodes to snooze.' };
+  }
+  return { snoozedUntil: episodeSnoozeEnd(upcoming[upcoming.length - 1].releaseAt, offsets) };
+}
+
+function validateOwnedWebhooks(userId, destinations) {
+  const foreign = destinations.find((destination) => destination.channel === 'webhook'
+    && !getWebhook(userId, Number(destination.target)));
+  return foreign ? { error: `Webhook ${foreign.target} not found.` } : {};
+}
+
 app.post('/api/reminders', requireAuth, (req, res) => {
-  const animeId = req.body.animeId ? Number(req.body.animeId) : null;
-  const email = req.body.email ? String(req.body.email).trim() : null;
-  const discordWebhookUrl = req.body.discordWebhookUrl ? String(req.body.discordWebhookUrl).trim() : null;
-  const minutesBefore = Math.max(5, Math.min(1440, Number(req.body.minutesBefore) || 60));
+  const fields = parseReminderFields(req.body);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  const rawDestinations = Array.isArray(req.body.destinations)
+    ? req.body.destinations
+    : legacyReminderDestinations(req.body);
+  const { destinations, error } = validateDestinations(rawDestinations);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  if (!email && !discordWebhookUrl) {
-    return res.status(400).json({ error: 'Provide at least one channel: email or Discord webhook URL.' });
+  const ownership = validateOwnedWebhooks(req.user.id, destinations);
+  if (ownership.error) {
+    return res.status(400).json({ error: ownership.error });
   }
 
-  const result = insertReminderStmt.run(req.user.id, animeId, email, discordWebhookUrl, minutesBefore);
-  const reminder = db.prepare('SELECT * FROM reminders WHERE id = ?').get(result.lastInsertRowid);
+  const id = createReminderWithDestinations(req.user.id, fields, destinations);
+  const reminder = listRemindersForUser(req.user).find((entry) => entry.id === id);
   return res.status(201).json(reminder);
 });
 
+app.patch('/api/reminders/:id', requireAuth, (req, res) => {
+  const id = Number(req.params.id);
+  const current = listRemindersForUser(req.user).find((entry) => entry.id === id);
+  if (!current) {
+    return res.status(404).json({ error: 'Reminder not found.' });
+  }
+
+  const fields = parseReminderFields(req.body, current);
+  if (fields.error) {
+    return res.status(400).json({ error: fields.error });
+  }
+
+  let destinations = null;
+  if (req.body.destinations !== undefined) {
+    const validated = validateDestinations(Array.isArray(req.body.destinations) ? req.body.destinations : []);
+    if (validated.error) {
+      return res.status(400).json({ error: validated.error });
+    }
+    const ownership = validateOwnedWebhooks(req.user.id, validated.destinations);
+    if (ownership.error) {
+      return res.status(400).json({ error: ownership.error });
+    }
+    destinations = validated.destinations;
+  }
+
+  const snooze = req.body.snooze === undefined
+    ? { snoozedUntil: current.snoozedUntil }
+    : parseReminderSnooze(req.body.snooze, fields.animeId, fields.offsets);
+  if (snooze.error) {
+    return res.status(400).json({ error: snooze.error });
+  }
+
+  updateReminderWithDestinations(id, { ...fields, snoozedUntil: snooze.snoozedUntil }, destinations);
+  return res.json(listRemindersForUser(req.user).find((entry) => entry.id === id));
+});
+
 app.get('/api/reminders', requireAuth, (req, res) => {
-  res.json(listRemindersStmt.all(req.user.id));
+  res.json(listRemindersForUser(req.user));
+});
+
+app.get('/api/channels', (_, res) => {
+  res.json(listChannels());
+});
+
+app.get('/api/push/public-key', (_, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: 'Browser push is not configured on this server.' });
+  }
+  return res.json({ publicKey: config.webPush.publicKey });
+});
+
+app.get('/api/push/subscriptions', requireAuth, (req, res) => {
+  res.json(listPushSubscriptions(req.user.id));
+});
+
+app.post('/api/push/subscriptions', requireAuth, (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: 'Browser push is not configured on this server.' });
+  }
+
+  const { subscription, error } = validatePushSubscription(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const saved = savePushSubscription(req.user.id, subscription, req.header('user-agent'));
+  if (!saved) {
+    return res.status(409).json({ error: 'This browser is subscribed by another account.' });
+  }
+  return res.status(201).json(saved);
+});
+
+app.delete('/api/push/subscriptions', requireAuth, (req, res) => {
+  if (!deletePushSubscription(req.user.id, req.body?.endpoint)) {
+    return res.status(404).json({ error: 'Push subscription not found.' });
+  }
+  return res.status(204).send();
+});
+
+app.get('/api/telegram', requireAuth, (req, res) => {
+  res.json(getTelegramLinkStatus(req.user.id));
+});
+
+app.post('/api/telegram/link', requireAuth, (req, res) => {
+  if (!isTelegramConfigured()) {
+    return res.status(503).json({ error: 'Telegram is not configured on this server.' });
+  }
+  return res.status(201).json(createTelegramLinkCode(req.user.id));
+});
+
+app.delete('/api/telegram/link', requireAuth, (req, res) => {
+  unlinkTelegramChat(req.user.id);
+  res.status(204).send();
+});
+
+// Bot webhook target (setWebhook with `secret_token`); disabled without a secret.
+app.post('/api/telegram/updates', async (req, res) => {
+  const secret = config.telegram.webhookSecret;
+  if (!isTelegramConfigured() || !secret) {
+    return res.status(404).json({ error: 'Telegram webhook is not enabled.' });
+  }
+
+  if (req.header('x-telegram-bot-api-secret-token') !== secret) {
+    return res.status(401).json({ error: 'Invalid Telegram secret token.' });
+  }
+
+  try {
+    await handleTelegramUpdate(req.body);
+  } catch (error) {
+    console.error('Telegram update failed:', error.message);
+  }
+  return res.json({ ok: true });
+});
+
+app.get('/api/webhooks', requireAuth, (req, res) => {
+  res.json(listWebhooks(req.user.id));
+});
+
+app.post('/api/webhooks', requireAuth, async (req, res) => {
+  const { fields, error } = await validateWebhookFields(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const created = createWebhook(req.user.id, fields);
+  if (created.error) {
+    return res.status(400).json({ error: created.error });
+  }
+  return res.status(201).json(created.webhook);
+});
+
+app.patch('/api/webhooks/:id', requireAuth, async (req, res) => {
+  const current = getWebhook(req.user.id, Number(req.params.id));
+  if (!current) {
+    return res.status(404).json({ error: 'Webhook not found.' });
+  }
+
+  const { fields, error } = await validateWebhookFields(req.body, current);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  return res.json(updateWebhook(req.user.id, current.id, fields));
+});
+
+app.delete('/api/webhooks/:id', requireAuth, (req, res) => {
+  if (!deleteWebhook(req.user.id, Number(req.params.id))) {
+    return res.status(404).json({ error: 'Webhook not found.' });
+  }
+  return res.status(204).send();
+});
+
+app.post('/api/webhooks/:id/secret', requireAuth, (req, res) => {
+  const secret = rotateWebhookSecret(req.user.id, Number(req.params.id));
+  if (!secret) {
+    return res.status(404).json({ error: 'Webhook not found.' });
+  }
+  return res.json({ secret });
+});
+
+app.get('/api/webhooks/:id/deliveries', requireAuth, (req, res) => {
+  const webhook = getWebhook(req.user.id, Number(req.params.id));
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found.' });
+  }
+  return res.json(listWebhookDeliveries(webhook.id));
+});
+
+app.post('/api/webhooks/:id/test', requireAuth, async (req, res) => {
+  const webhook = getWebhook(req.user.id, Number(req.params.id));
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found.' });
+  }
+  return res.json(await sendWebhookTestEvent(webhook.id));
+});
+
+app.get('/api/templates', requireAuth, (req, res) => {
+  res.json({
+    placeholders: TEMPLATE_PLACEHOLDERS,
+    defaultTemplate: DEFAULT_TEMPLATE,
+    userTemplate: req.user.messageTemplate,
+  });
+});
+
+// Renders a template against the next upcoming episode (of `animeId` when
+// given) exactly as each channel would send it. Omitting `template` previews
+// the user's saved default.
+app.post('/api/templates/preview', requireAuth, (req, res) => {
+  const { template, error } = validateTemplate(req.body.template);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const rawAnimeId = req.body.animeId ? Number(req.body.animeId) : null;
+  const animeId = rawAnimeId === null ? null : resolveAnimeId(rawAnimeId) ?? rawAnimeId;
+  const now = new Date();
+  const episode = findPreviewEpisodeStmt.get(now.toISOString(), animeId, animeId) || {
+    id: null,
+    anime_id: animeId,
+    anime_title: 'Sample Anime',
+    episode_number: 1,
+    title: 'The Beginning',
+    release_at: new Date(now.getTime() + 2 * 60 * 60 * 1000).toISOString(),
+    anime_cover_image_url: null,
+  };
+
+  const context = buildReminderContext({
+    user_email: req.user.email,
+    user_timezone: req.user.timezone,
+    user_locale: req.user.locale,
+    user_time_format: req.user.timeFormat,
+    user_title_language: req.user.titleLanguage,
+    user_message_template: req.user.messageTemplate,
+    message_template: template,
+  }, episode, now);
+
+  const channels = {};
+  listChannels().forEach(({ name }) => {
+    channels[name] = getChannel(name).render(context);
+  });
+
+  return res.json({
+    template: context.template || DEFAULT_TEMPLATE,
+    episode: {
+      animeTitle: context.animeTitle,
+      episodeNumber: context.episodeNumber,
+      releaseAt: context.releaseAt.toISOString(),
+    },
+    channels,
+  });
 });
 
 app.delete('/api/reminders/:id', requireAuth, (req, res) => {
@@ -765,61 +1781,127 @@ app.delete('/api/reminders/:id', requireAuth, (req, res) => {
   return res.status(204).send();
 });
 
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead', 'suppressed'];
+
+app.get('/api/notifications', requireAuth, (req, res) => {
+  const status = req.query.status ? String(req.query.status).trim().toLowerCase() : null;
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${OUTBOX_STATUSES.join(', ')}.` });
+  }
+
+  return res.json(listOutboxForUser(req.user.id, status));
+});
+
+app.post('/api/notifications/:id/retry', requireAuth, (req, res) => {
+  if (!retryOutboxEntry(req.user.id, Number(req.params.id))) {
+    return res.status(404).json({ error: 'No dead-lettered notification with that id.' });
+  }
+  return res.json({ ok: true });
+});
+
 app.post('/api/jobs/reminders/run', async (_, res) => {
-  await runReminderScan();
-  res.json({ ok: true });
+  const result = await runReminderScan();
+  res.json({ ok: true, result });
+});
+
+app.post('/api/jobs/digests/run', async (_, res) => {
+  const result = await runDigestScan();
+  res.json({ ok: true, result });
 });
 
 app.get('/api/sync/status', (_, res) => {
-  res.json(getAniListSyncStatus());
+  res.json(getSyncStatus());
 });
 
-app.post('/api/sync/anilist', async (_, res) => {
+app.get('/api/sync/runs', (req, res) => {
+  const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+  const pageSize = Math.max(1, Math.min(100, Math.floor(Number(req.query.pageSize)) || 20));
+  const source = req.query.source ? String(req.query.source) : null;
+  res.json(listSyncRuns({ page, pageSize, source }));
+});
+
+app.post('/api/sync/:provider', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown schedule provider: ${req.params.provider}.` });
+  }
+  if (!provider.settings.enabled) {
+    return res.status(400).json({ error: `${provider.label} sync is disabled.` });
+  }
+
   try {
-    const result = await runAniListSyncSafe();
+    const result = await runScheduleSync(provider.name, { trigger: 'manual' });
     return res.json({ ok: true, result });
   } catch (error) {
+    if (error.inProgress !== undefined) {
+      return res.status(409).json({ error: error.message, run: error.inProgress });
+    }
     return res.status(502).json({ error: `Sync failed: ${error.message}` });
   }
 });
 
 app.get('/api/calendar.ics', (req, res) => {
-  const animeId = req.query.animeId ? Number(req.query.animeId) : null;
+  const rawAnimeId = req.query.animeId ? Number(req.query.animeId) : null;
+  if (rawAnimeId !== null && (!Number.isInteger(rawAnimeId) || rawAnimeId < 1)) {
+    return res.status(400).json({ error: 'animeId must be a positive integer.' });
+  }
+  // An unknown id keeps the feed valid, just empty.
+  const animeId = rawAnimeId === null ? null : resolveAnimeId(rawAnimeId) ?? rawAnimeId;
+
   const start = new Date();
   const end = new Date(start.getTime() + 30 * 24 * 60 * 60 * 1000);
 
-  const rows = animeId
-    ? db.prepare(`
-      SELECT e.episode_number AS episodeNumber, e.title, e.release_at AS releaseAt, a.title AS animeTitle
-      FROM episodes e
-      JOIN anime a ON a.id = e.anime_id
-      WHERE e.anime_id = ? AND e.release_at BETWEEN ? AND ?
-      ORDER BY e.release_at ASC
-    `).all(animeId, start.toISOString(), end.toISOString())
-    : listUpcomingEpisodesStmt.all(start.toISOString(), end.toISOString());
-
-  const calendar = ical({
-    name: 'Anime Episode Releases',
-    prodId: { company: 'anime-tracker', product: 'episode-calendar' },
-    timezone: 'UTC',
-  });
+  const rows = listCalendarEpisodesStmt.all(
+    start.toISOString(),
+    end.toISOString(),
+    animeId,
+    animeId,
+    titleParams(getCurrentUserFromRequest(req))
+  );
 
-  rows.forEach((episode) => {
-    const startAt = new Date(episode.releaseAt);
-    const endAt = new Date(startAt.getTime() + 30 * 60 * 1000);
+  return sendCalendar(res, buildEpisodeCalendar(rows), 'anime-episode-releases.ics');
+});
 
-    calendar.createEvent({
-      start: startAt,
-      end: endAt,
-      summary: `${episode.animeTitle} - Episode ${episode.episodeNumber}`,
-      description: episode.title,
-      url: config.appBaseUrl,
-    });
-  });
+app.get('/api/calendar/feed', requireAuth, (req, res) => {
+  const { feedToken } = findUserFeedTokenStmt.get(req.user.id);
+  res.json({ feedUrl: buildFeedUrl(feedToken) });
+});
 
-  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
-  res.setHeader('Content-Disposition', 'attachment; filename="anime-episode-releases.ics"');
-  res.send(calendar.toString());
+app.post('/api/calendar/feed', requireAuth, (req, res) => {
+  const feedToken = createSessionToken();
+  updateUserFeedTokenStmt.run(feedToken, req.user.id);
+  res.status(201).json({ feedUrl: buildFeedUrl(feedToken) });
+});
+
+app.delete('/api/calendar/feed', requireAuth, (req, res) => {
+  updateUserFeedTokenStmt.run(null, req.user.id);
+  res.status(204).send();
+});
+
+app.get('/api/calendar/:feedToken.ics', (req, res) => {
+  const user = findUserByFeedTokenStmt.get(String(req.params.feedToken || ''));
+  if (!user) {
+    return res.status(404).json({ error: 'Calendar feed not found.' });
+  }
+
+  const start = new Date();
+  const end = new Date(start.getTime() + 30 * 24 * 60 * 60 * 1000);
+  const rows = listFeedEpisodesStmt.all(
+    start.toISOString(),
+    end.toISOString(),
+    user.id,
+    user.id,
+    ...FOLLOWED_STATUSES,
+    titleParams(user)
+  );
+
+  const calendar = buildEpisodeCalendar(rows, {
+    name: `${user.displayName}'s Anime Releases`,
+    timezone: user.timezone,
+    reminders: listFeedRemindersStmt.all(user.id),
+  });
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  return sendCalendar(res, calendar, 'my-anime-releases.ics');
 });
 
 app.use((req, res) => {
@@ -839,3 +1921,10 @@ app.listen(config.port, () => {
   console.log(`Anime tracker listening on port ${config.port}`);
   startScheduler();
 });
+
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, () => {
+    stopScheduler();
+    process.exit(0);
+  });
+});
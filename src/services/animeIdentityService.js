@@ -0,0 +1,269 @@
+const { db } = require('../db');
+const { listProviders } = require('../providers');
+const { deleteEpisode } = require('./episodeService');
+const { normalizeTitle } = require('./titleService');
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    findAnimeStmt: db.prepare('SELECT id FROM anime WHERE id = ?'),
+    listAnimeStmt: db.prepare('SELECT id, title, source, total_episodes AS totalEpisodes FROM anime ORDER BY id'),
+    findIdentityStmt: db.prepare(`
+      SELECT i.id, i.anime_id AS animeId, i.folded_episodes AS foldedEpisodes,
+             (a.source = i.source AND COALESCE(a.external_id, CAST(a.id AS TEXT)) = i.external_id) AS isPrimary
+      FROM anime_identities i
+      JOIN anime a ON a.id = i.anime_id
+      WHERE i.source = ? AND i.external_id = ?
+    `),
+    insertIdentityStmt: db.prepare(`
+      INSERT INTO anime_identities (anime_id, source, external_id, origin_anime_id)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(source, external_id) DO NOTHING
+    `),
+    listIdentitiesStmt: db.prepare(`
+      SELECT i.source, i.external_id AS externalId, i.origin_anime_id AS originAnimeId,
+             i.match_method AS matchMethod, i.folded_episodes AS foldedEpisodes, i.created_at AS createdAt,
+             (a.source = i.source AND COALESCE(a.external_id, CAST(a.id AS TEXT)) = i.external_id) AS isPrimary
+      FROM anime_identities i
+      JOIN anime a ON a.id = i.anime_id
+      WHERE i.anime_id = ?
+      ORDER BY isPrimary DESC, i.id
+    `),
+    listAllIdentitiesStmt: db.prepare('SELECT anime_id AS animeId, source, match_method AS matchMethod FROM anime_identities'),
+    resolveOriginStmt: db.prepare('SELECT anime_id AS animeId FROM anime_identities WHERE origin_anime_id = ? LIMIT 1'),
+    listEpisodesStmt: db.prepare('SELECT id, episode_number AS episodeNumber, source FROM episodes WHERE anime_id = ?'),
+    moveEpisodeStmt: db.prepare('UPDATE episodes SET anime_id = ? WHERE id = ?'),
+    moveEpisodeProgressStmt: db.prepare('UPDATE watch_progress SET anime_id = ? WHERE episode_id = ?'),
+    foldEpisodeProgressStmt: db.prepare('UPDATE OR IGNORE watch_progress SET anime_id = ?, episode_id = ? WHERE episode_id = ?'),
+    countFoldedEpisodeStmt: db.prepare(`
+      UPDATE anime_identities SET folded_episodes = folded_episodes + 1 WHERE anime_id = ? AND source = ?
+    `),
+    moveRemindersStmt: db.prepare('UPDATE reminders SET anime_id = ? WHERE anime_id = ?'),
+    moveWatchlistStmt: db.prepare('UPDATE OR IGNORE watchlist_entries SET anime_id = ? WHERE anime_id = ?'),
+    deleteWatchlistStmt: db.prepare('DELETE FROM watchlist_entries WHERE anime_id = ?'),
+    moveIdentitiesStmt: db.prepare('UPDATE anime_identities SET anime_id = ?, match_method = ? WHERE anime_id = ?'),
+    moveTitlesStmt: db.prepare('UPDATE OR IGNORE anime_titles SET anime_id = ? WHERE anime_id = ?'),
+    deleteTitlesStmt: db.prepare('DELETE FROM anime_titles WHERE anime_id = ?'),
+    keepEventDurationStmt: db.prepare(`
+      UPDATE anime
+      SET event_duration_minutes = COALESCE(event_duration_minutes, (SELECT event_duration_minutes FROM anime WHERE id = ?))
+      WHERE id = ?
+    `),
+    deleteAnimeStmt: db.prepare('DELETE FROM anime WHERE id = ?'),
+    insertSplitAnimeStmt: db.prepare(`
+      INSERT INTO anime (
+        title, title_english, title_romaji, title_native, cover_image_url, synopsis,
+        total_episodes, popularity, runtime_minutes, source, external_id
+      )
+      SELECT title, title_english, title_romaji, title_native, cover_image_url, synopsis,
+             total_episodes, popularity, runtime_minutes, ?, ?
+      FROM anime
+      WHERE id = ?
+    `),
+    splitIdentityStmt: db.prepare(`
+      UPDATE anime_identities
+      SET anime_id = ?, external_id = ?, match_method = 'split', folded_episodes = 0
+      WHERE id = ?
+    `),
+    moveSourceEpisodesStmt: db.prepare('UPDATE episodes SET anime_id = ? WHERE anime_id = ? AND source = ?'),
+    moveSourceTitlesStmt: db.prepare('UPDATE anime_titles SET anime_id = ? WHERE anime_id = ? AND source = ?'),
+    moveSourceProgressStmt: db.prepare(`
+      UPDATE watch_progress
+      SET anime_id = ?
+      WHERE anime_id = ? AND episode_id IN (SELECT id FROM episodes WHERE anime_id = ?)
+    `),
+  };
+
+  return statements;
+}
+
+function findIdentity(source, externalId) {
+  const { findIdentityStmt } = getStatements();
+  const row = findIdentityStmt.get(source, externalId);
+  return row ? { ...row, isPrimary: Boolean(row.isPrimary) } : null;
+}
+
+function recordIdentity(animeId, source, externalId) {
+  const { insertIdentityStmt } = getStatements();
+  insertIdentityStmt.run(animeId, source, externalId, animeId);
+}
+
+// The anime's own identity comes first.
+function listIdentities(animeId) {
+  const { listIdentitiesStmt } = getStatements();
+  return listIdentitiesStmt.all(animeId).map((row) => ({ ...row, isPrimary: Boolean(row.isPrimary) }));
+}
+
+// Ids of anime merged away keep resolving to the anime they were merged into.
+function resolveAnimeId(animeId) {
+  const { findAnimeStmt, resolveOriginStmt } = getStatements();
+  if (findAnimeStmt.get(animeId)) return animeId;
+  return resolveOriginStmt.get(animeId)?.animeId ?? null;
+}
+
+function identitySources(animeId) {
+  return new Set(listIdentities(animeId).map((identity) => identity.source));
+}
+
+// Moves everything of `duplicateId` onto `canonicalId` and deletes the
+// duplicate. Episode numbers the canonical anime already has keep its episode;
+// watch progress moves over, the duplicate episode goes and is counted on the
+// identity of its source so an unmerge can report it.
+function mergeAnime(canonicalId, duplicateId, method = 'manual') {
+  const {
+    findAnimeStmt,
+    listEpisodesStmt,
+    moveEpisodeStmt,
+    moveEpisodeProgressStmt,
+    foldEpisodeProgressStmt,
+    countFoldedEpisodeStmt,
+    moveRemindersStmt,
+    moveWatchlistStmt,
+    deleteWatchlistStmt,
+    moveIdentitiesStmt,
+    moveTitlesStmt,
+    deleteTitlesStmt,
+    keepEventDurationStmt,
+    deleteAnimeStmt,
+  } = getStatements();
+
+  return db.transaction(() => {
+    if (!findAnimeStmt.get(canonicalId) || !findAnimeStmt.get(duplicateId)) return null;
+
+    const canonicalSources = identitySources(canonicalId);
+    const shared = [...identitySources(duplicateId)].filter((source) => canonicalSources.has(source));
+    if (shared.length) {
+      return { error: `Both anime already have an identity from ${shared.join(', ')}.` };
+    }
+
+    const canonicalEpisodes = new Map(listEpisodesStmt.all(canonicalId).map((episode) => [episode.episodeNumber, episode.id]));
+    let movedEpisodes = 0;
+    let foldedEpisodes = 0;
+
+    for (const episode of listEpisodesStmt.all(duplicateId)) {
+      const existingId = canonicalEpisodes.get(episode.episodeNumber);
+      if (existingId) {
+        foldEpisodeProgressStmt.run(canonicalId, existingId, episode.id);
+        countFoldedEpisodeStmt.run(duplicateId, episode.source);
+        deleteEpisode(episode.id);
+        foldedEpisodes += 1;
+      } else {
+        moveEpisodeStmt.run(canonicalId, episode.id);
+        moveEpisodeProgressStmt.run(canonicalId, episode.id);
+        movedEpisodes += 1;
+      }
+    }
+
+    moveRemindersStmt.run(canonicalId, duplicateId);
+    moveWatchlistStmt.run(canonicalId, duplicateId);
+    deleteWatchlistStmt.run(duplicateId);
+    moveIdentitiesStmt.run(canonicalId, method, duplicateId);
+    moveTitlesStmt.run(canonicalId, duplicateId);
+    deleteTitlesStmt.run(duplicateId);
+    keepEventDurationStmt.run(duplicateId, canonicalId);
+    deleteAnimeStmt.run(duplicateId);
+
+    return { animeId: canonicalId, movedEpisodes, foldedEpisodes, identities: listIdentities(canonicalId) };
+  })();
+}
+
+// Gives a merged identity its own anime again, starting from a copy of the
+// canonical record, and takes that source's episodes and titles along.
+// Reminders and watchlist entries stay with the canonical anime, and episodes
+// folded away by the merge are gone: the result reports how many.
+function unmergeIdentity(animeId, source, externalId) {
+  const {
+    insertSplitAnimeStmt,
+    splitIdentityStmt,
+    moveSourceEpisodesStmt,
+    moveSourceTitlesStmt,
+    moveSourceProgressStmt,
+  } = getStatements();
+  const identity = findIdentity(source, externalId);
+  if (!identity || identity.animeId !== animeId) return null;
+  if (identity.isPrimary) {
+    return { error: 'This is the anime\'s own identity; unmerge the other identities instead.' };
+  }
+
+  return db.transaction(() => {
+    // Local anime have no external id; their identity is keyed by the row id.
+    const isLocal = source === 'local';
+    const splitId = Number(insertSplitAnimeStmt.run(source, isLocal ? null : externalId, animeId).lastInsertRowid);
+    splitIdentityStmt.run(splitId, isLocal ? String(splitId) : externalId, identity.id);
+    moveSourceEpisodesStmt.run(splitId, animeId, source);
+    moveSourceTitlesStmt.run(splitId, animeId, source);
+    moveSourceProgressStmt.run(splitId, animeId, splitId);
+
+    const result = { animeId: splitId, foldedEpisodes: identity.foldedEpisodes, identities: listIdentities(splitId) };
+    if (identity.foldedEpisodes) {
+      result.note = `${identity.foldedEpisodes} ${source} episode(s) were folded into episodes of the canonical anime `
+        + 'when it was merged and are not restored; watch progress on them stays with the canonical anime.';
+    }
+    return result;
+  })();
+}
+
+// Provider rows make better canonical records than local ones because their
+// sync keeps the metadata fresh; earlier rows win ties.
+function canonicalRank(anime) {
+  const order = listProviders().map((provider) => provider.name);
+  const rank = order.indexOf(anime.source);
+  return rank === -1 ? order.length : rank;
+}
+
+// Merges anime from different sources whose normalized title and episode count
+// agree. Anime split off by an admin are left alone.
+function autoMatchAnime() {
+  const { listAnimeStmt, listAllIdentitiesStmt } = getStatements();
+  const sourcesByAnime = new Map();
+  const pinned = new Set();
+
+  listAllIdentitiesStmt.all().forEach(({ animeId, source, matchMethod }) => {
+    if (!sourcesByAnime.has(animeId)) sourcesByAnime.set(animeId, new Set());
+    sourcesByAnime.get(animeId).add(source);
+    if (matchMethod === 'split') pinned.add(animeId);
+  });
+
+  const groups = new Map();
+  listAnimeStmt.all().forEach((anime) => {
+    const title = normalizeTitle(anime.title);
+    if (!title || pinned.has(anime.id)) return;
+    const key = `${title}|${anime.totalEpisodes ?? ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(anime);
+  });
+
+  let merged = 0;
+  db.transaction(() => {
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+
+      const [canonical, ...candidates] = group.sort((a, b) => canonicalRank(a) - canonicalRank(b) || a.id - b.id);
+      const sources = sourcesByAnime.get(canonical.id) || new Set([canonical.source]);
+
+      for (const candidate of candidates) {
+        const candidateSources = [...(sourcesByAnime.get(candidate.id) || [candidate.source])];
+        if (candidateSources.some((source) => sources.has(source))) continue;
+
+        mergeAnime(canonical.id, candidate.id, 'auto');
+        candidateSources.forEach((source) => sources.add(source));
+        merged += 1;
+      }
+    }
+  })();
+
+  return merged;
+}
+
+module.exports = {
+  findIdentity,
+  recordIdentity,
+  listIdentities,
+  resolveAnimeId,
+  mergeAnime,
+  unmergeIdentity,
+  autoMatchAnime,
+};
@@ -0,0 +1,86 @@
+const ical = require('ical-generator').default;
+
+const config = require('../config');
+
+// ical-generator writes TZID times using the Date's local getters, so a zoned
+// event needs a wall-clock string that round-trips through `new Date()`.
+function toZonedWallTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type).value;
+
+  return `${get('year')}-${get('month')}-${get('day')}T${get('hour')}:${get('minute')}:${get('second')}`;
+}
+
+function buildEventUid(episode) {
+  return `episode-${episode.id}@${new URL(config.appBaseUrl).hostname}`;
+}
+
+function buildEventDescription(episode) {
+  return [episode.title, episode.animeSynopsis].filter(Boolean).join('\n\n') || null;
+}
+
+function alarmMinutesFor(episode, reminders) {
+  const minutes = reminders
+    .filter((reminder) => !reminder.animeId || reminder.animeId === episode.animeId)
+    .map((reminder) => reminder.minutesBefore);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+}
+
+function describeAlarm(summary, minutesBefore) {
+  if (minutesBefore > 0) return `${summary} starts in ${minutesBefore} minutes`;
+  if (minutesBefore === 0) return `${summary} is out now`;
+  return `${summary} came out ${-minutesBefore} minutes ago`;
+}
+
+function buildEpisodeCalendar(rows, { name = 'Anime Episode Releases', timezone = 'UTC', reminders = [] } = {}) {
+  const zoned = timezone !== 'UTC';
+  const calendar = ical({
+    name,
+    prodId: { company: 'anime-tracker', product: 'episode-calendar' },
+    timezone,
+  });
+
+  rows.forEach((episode) => {
+    const startAt = new Date(episode.releaseAt);
+    const durationMinutes = Number(episode.durationMinutes) || config.calendar.defaultEventMinutes;
+    const endAt = new Date(startAt.getTime() + durationMinutes * 60 * 1000);
+    const summary = `${episode.animeTitle} - Episode ${episode.episodeNumber}`;
+
+    const event = calendar.createEvent({
+      id: buildEventUid(episode),
+      start: zoned ? toZonedWallTime(startAt, timezone) : startAt,
+      end: zoned ? toZonedWallTime(endAt, timezone) : endAt,
+      timezone: zoned ? timezone : null,
+      summary,
+      description: buildEventDescription(episode),
+      attachments: episode.animeCoverImage ? [episode.animeCoverImage] : [],
+      url: config.appBaseUrl,
+    });
+
+    alarmMinutesFor(episode, reminders).forEach((minutesBefore) => {
+      const alarm = event.createAlarm({
+        type: 'display',
+        trigger: minutesBefore * 60,
+        description: describeAlarm(summary, minutesBefore),
+      });
+      // ical-generator relates after-start triggers to END unless told otherwise.
+      if (minutesBefore < 0) alarm.relatesTo('START');
+    });
+  });
+
+  return calendar;
+}
+
+module.exports = {
+  toZonedWallTime,
+  buildEpisodeCalendar,
+};
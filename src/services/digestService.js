@@ -0,0 +1,244 @@
+const config = require('../config');
+const { db } = require('../db');
+const { sendEmail } = require('./emailService');
+const { toZonedWallTime } = require('./calendarService');
+const { formatDay, formatTime } = require('./localeService');
+const { FOLLOWED_STATUSES } = require('./watchlistService');
+const { DEFAULT_TITLE_LANGUAGE, titleSql } = require('./titleService');
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const DIGEST_SCOPES = ['mine', 'all'];
+const WINDOW_DAYS = { daily: 1, weekly: 7 };
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  const subscriptionColumns = `
+    s.user_id AS userId, s.frequency, s.send_hour AS sendHour, s.weekday, s.scope,
+    s.last_sent_on AS lastSentOn, s.created_at AS createdAt, s.updated_at AS updatedAt
+  `;
+
+  statements = {
+    findSubscriptionStmt: db.prepare(`
+      SELECT ${subscriptionColumns}
+      FROM digest_subscriptions s
+      WHERE s.user_id = ?
+    `),
+    upsertSubscriptionStmt: db.prepare(`
+      INSERT INTO digest_subscriptions (user_id, frequency, send_hour, weekday, scope)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(user_id) DO UPDATE SET
+        frequency = excluded.frequency,
+        send_hour = excluded.send_hour,
+        weekday = excluded.weekday,
+        scope = excluded.scope,
+        updated_at = CURRENT_TIMESTAMP
+    `),
+    deleteSubscriptionStmt: db.prepare('DELETE FROM digest_subscriptions WHERE user_id = ?'),
+    listSubscriptionsStmt: db.prepare(`
+      SELECT ${subscriptionColumns}, u.email, u.display_name AS displayName, u.timezone,
+             u.locale, u.time_format AS timeFormat, u.title_language AS titleLanguage
+      FROM digest_subscriptions s
+      JOIN users u ON u.id = s.user_id
+      WHERE u.email_verified = 1
+    `),
+    markSentStmt: db.prepare('UPDATE digest_subscriptions SET last_sent_on = ? WHERE user_id = ?'),
+    listEpisodesStmt: db.prepare(`
+      SELECT e.id, e.anime_id AS animeId, ${titleSql('a')} AS animeTitle, e.episode_number AS episodeNumber,
+             e.title, e.release_at AS releaseAt
+      FROM episodes e
+      JOIN anime a ON a.id = e.anime_id
+      WHERE e.release_at >= ? AND e.release_at < ? AND e.displaced_at IS NULL
+        AND (
+          ? = 'all'
+          OR EXISTS (
+            SELECT 1 FROM reminders r
+            WHERE r.user_id = ? AND r.is_active = 1 AND (r.anime_id IS NULL OR r.anime_id = e.anime_id)
+          )
+          OR EXISTS (
+            SELECT 1 FROM watchlist_entries w
+            WHERE w.user_id = ? AND w.anime_id = e.anime_id
+              AND w.status IN (${FOLLOWED_STATUSES.map(() => '?').join(', ')})
+          )
+        )
+      ORDER BY e.release_at ASC, animeTitle ASC
+    `),
+  };
+
+  return statements;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function localParts(date, timezone) {
+  const wall = toZonedWallTime(date, timezone);
+  const dateKey = wall.slice(0, 10);
+
+  return {
+    dateKey,
+    hour: Number(wall.slice(11, 13)),
+    weekday: new Date(`${dateKey}T00:00:00Z`).getUTCDay(),
+  };
+}
+
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// The instant local midnight starts `dateKey` in `timezone`. The offset is
+// measured twice so a DST change on that day still lands on midnight.
+function localMidnight(dateKey, timezone) {
+  const guess = new Date(`${dateKey}T00:00:00Z`);
+  const offsetAt = (date) => new Date(`${toZonedWallTime(date, timezone)}Z`).getTime() - date.getTime();
+  const first = new Date(guess.getTime() - offsetAt(guess));
+  return new Date(guess.getTime() - offsetAt(first));
+}
+
+// A daily digest covers the user's local calendar day; a weekly one the seven
+// local days starting on its send day.
+function digestWindow(frequency, timezone, now) {
+  const today = localParts(now, timezone).dateKey;
+  return {
+    start: localMidnight(today, timezone),
+    end: localMidnight(addDays(today, WINDOW_DAYS[frequency]), timezone),
+  };
+}
+
+function groupEpisodesByDay(episodes, timezone) {
+  const groups = new Map();
+
+  episodes.forEach((episode) => {
+    const key = localParts(new Date(episode.releaseAt), timezone).dateKey;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(episode);
+  });
+
+  return groups;
+}
+
+// Day keys are already local dates, so format them as UTC noon to keep the date.
+function formatDayHeading(dateKey, prefs) {
+  return formatDay(new Date(`${dateKey}T12:00:00Z`), { ...prefs, timezone: 'UTC' });
+}
+
+function getSubscription(userId) {
+  const { findSubscriptionStmt } = getStatements();
+  return findSubscriptionStmt.get(userId) || null;
+}
+
+function saveSubscription(userId, { frequency, sendHour, weekday, scope }) {
+  const { upsertSubscriptionStmt } = getStatements();
+  upsertSubscriptionStmt.run(userId, frequency, sendHour, weekday, scope);
+  return getSubscription(userId);
+}
+
+function deleteSubscription(userId) {
+  const { deleteSubscriptionStmt } = getStatements();
+  return deleteSubscriptionStmt.run(userId).changes > 0;
+}
+
+function buildDigest(user, subscription, now = new Date()) {
+  const { listEpisodesStmt } = getStatements();
+  const timezone = user.timezone || 'UTC';
+  const prefs = { timezone, locale: user.locale, timeFormat: user.timeFormat };
+  const { start, end } = digestWindow(subscription.frequency, timezone, now);
+  const episodes = listEpisodesStmt.all(
+    start.toISOString(),
+    end.toISOString(),
+    subscription.scope,
+    user.id,
+    user.id,
+    ...FOLLOWED_STATUSES,
+    { titleLanguage: user.titleLanguage || DEFAULT_TITLE_LANGUAGE }
+  );
+  const groups = Array.from(groupEpisodesByDay(episodes, timezone).entries());
+
+  const period = subscription.frequency === 'weekly' ? 'this week' : 'today';
+  const subject = `Airing ${period}: ${episodes.length} episode${episodes.length === 1 ? '' : 's'}`;
+
+  const textSections = groups.map(([dateKey, dayEpisodes]) => [
+    formatDayHeading(dateKey, prefs),
+    ...dayEpisodes.map((episode) => `  ${formatTime(new Date(episode.releaseAt), prefs)}  ${episode.animeTitle} - Episode ${episode.episodeNumber}`),
+  ].join('\n'));
+  const text = [
+    `Hi ${user.displayName}, here is what airs ${period} (${timezone}).`,
+    ...(textSections.length ? textSections : ['Nothing scheduled.']),
+    `Open the tracker: ${config.appBaseUrl}`,
+  ].join('\n\n');
+
+  const htmlSections = groups.map(([dateKey, dayEpisodes]) => `
+    <h3>${escapeHtml(formatDayHeading(dateKey, prefs))}</h3>
+    <ul>
+      ${dayEpisodes.map((episode) => `<li><strong>${escapeHtml(formatTime(new Date(episode.releaseAt), prefs))}</strong> ${escapeHtml(episode.animeTitle)} - Episode ${escapeHtml(episode.episodeNumber)}</li>`).join('\n      ')}
+    </ul>`).join('');
+  const html = `<p>Hi ${escapeHtml(user.displayName)}, here is what airs ${period} (${escapeHtml(timezone)}).</p>
+    ${htmlSections || '<p>Nothing scheduled.</p>'}
+    <p><a href="${escapeHtml(config.appBaseUrl)}">Open the tracker</a></p>`;
+
+  return { subject, text, html, episodeCount: episodes.length };
+}
+
+function isDigestDue(subscription, timezone, now) {
+  const local = localParts(now, timezone || 'UTC');
+  if (local.dateKey === subscription.lastSentOn) return false;
+  if (local.hour < subscription.sendHour) return false;
+  if (subscription.frequency === 'weekly' && local.weekday !== subscription.weekday) return false;
+  return true;
+}
+
+async function runDigestScan(now = new Date()) {
+  const { listSubscriptionsStmt, markSentStmt } = getStatements();
+  const summary = { sent: 0, empty: 0, failed: 0 };
+
+  for (const subscription of listSubscriptionsStmt.all()) {
+    if (!isDigestDue(subscription, subscription.timezone, now)) continue;
+
+    const user = {
+      id: subscription.userId,
+      displayName: subscription.displayName,
+      timezone: subscription.timezone,
+      locale: subscription.locale,
+      timeFormat: subscription.timeFormat,
+      titleLanguage: subscription.titleLanguage,
+    };
+    const digest = buildDigest(user, subscription, now);
+    const sentOn = localParts(now, subscription.timezone || 'UTC').dateKey;
+
+    if (!digest.episodeCount) {
+      markSentStmt.run(sentOn, subscription.userId);
+      summary.empty += 1;
+      continue;
+    }
+
+    try {
+      await sendEmail({ to: subscription.email, subject: digest.subject, text: digest.text, html: digest.html });
+      markSentStmt.run(sentOn, subscription.userId);
+      summary.sent += 1;
+    } catch (error) {
+      console.error(`Digest for user ${subscription.userId} failed:`, error.message);
+      summary.failed += 1;
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  DIGEST_SCOPES,
+  getSubscription,
+  saveSubscription,
+  deleteSubscription,
+  buildDigest,
+  runDigestScan,
+};
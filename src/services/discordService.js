@@ -1,3 +1,5 @@
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
 async function sendDiscordReminder(webhookUrl, content) {
   if (!webhookUrl) return;
 
@@ -5,11 +7,14 @@ async function sendDiscordReminder(webhookUrl, content) {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ content }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
   });
 
   if (!response.ok) {
     const body = await response.text();
-    throw new Error(`Discord webhook failed (${response.status}): ${body}`);
+    const error = new Error(`Discord webhook failed (${response.status}): ${body}`);
+    error.status = response.status;
+    throw error;
   }
 }
 
@@ -1,6 +1,8 @@
 const nodemailer = require('nodemailer');
 const config = require('../config');
 
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
 function createTransporter() {
   if (!config.smtp.host || !config.smtp.user || !config.smtp.pass) {
     return null;
@@ -14,12 +16,15 @@ function createTransporter() {
       user: config.smtp.user,
       pass: config.smtp.pass,
     },
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS,
   });
 }
 
 const transporter = createTransporter();
 
-async function sendEmailReminder(to, subject, text) {
+async function sendEmail({ to, subject, text, html }) {
   if (!to) return;
 
   if (!transporter) {
@@ -32,9 +37,15 @@ async function sendEmailReminder(to, subject, text) {
     to,
     subject,
     text,
+    html,
   });
 }
 
+async function sendEmailReminder(to, subject, text) {
+  await sendEmail({ to, subject, text });
+}
+
 module.exports = {
+  sendEmail,
   sendEmailReminder,
 };
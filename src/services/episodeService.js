@@ -0,0 +1,29 @@
+const { db } = require('../db');
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    deleteEpisodeStmts: [
+      'DELETE FROM notification_outbox WHERE episode_id = ?',
+      'DELETE FROM notification_log WHERE episode_id = ?',
+      'DELETE FROM episode_schedule_changes WHERE episode_id = ?',
+      'DELETE FROM watch_progress WHERE episode_id = ?',
+      'DELETE FROM episodes WHERE id = ?',
+    ].map((sql) => db.prepare(sql)),
+  };
+
+  return statements;
+}
+
+// Foreign keys are not enforced, so the rows pointing at the episode go first.
+function deleteEpisode(episodeId) {
+  const { deleteEpisodeStmts } = getStatements();
+  deleteEpisodeStmts.forEach((stmt) => stmt.run(episodeId));
+}
+
+module.exports = {
+  deleteEpisode,
+};
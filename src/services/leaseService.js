@@ -0,0 +1,66 @@
+const crypto = require('node:crypto');
+const os = require('node:os');
+
+const { db } = require('../db');
+
+// Identifies this process in lease rows; replicas sharing the database each get their own.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    acquireStmt: db.prepare(`
+      INSERT INTO job_leases (name, owner, acquired_at, expires_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        owner = excluded.owner,
+        acquired_at = excluded.acquired_at,
+        expires_at = excluded.expires_at
+      WHERE job_leases.expires_at <= excluded.acquired_at
+    `),
+    renewStmt: db.prepare('UPDATE job_leases SET expires_at = ? WHERE name = ? AND owner = ? AND expires_at > ?'),
+    releaseStmt: db.prepare('DELETE FROM job_leases WHERE name = ? AND owner = ?'),
+    findStmt: db.prepare(`
+      SELECT name, owner, acquired_at AS acquiredAt, expires_at AS expiresAt
+      FROM job_leases
+      WHERE name = ? AND expires_at > ?
+    `),
+  };
+
+  return statements;
+}
+
+// Takes the lease when it is free or expired. Owners are unique per holder,
+// so a second acquire from the same process is refused too.
+function acquireLease(name, owner, ttlMs, now = new Date()) {
+  const { acquireStmt } = getStatements();
+  const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+  return acquireStmt.run(name, owner, now.toISOString(), expiresAt).changes > 0;
+}
+
+// Returns false once the lease has expired or passed to another owner.
+function renewLease(name, owner, ttlMs, now = new Date()) {
+  const { renewStmt } = getStatements();
+  return renewStmt.run(new Date(now.getTime() + ttlMs).toISOString(), name, owner, now.toISOString()).changes > 0;
+}
+
+function releaseLease(name, owner) {
+  const { releaseStmt } = getStatements();
+  releaseStmt.run(name, owner);
+}
+
+function getLease(name, now = new Date()) {
+  const { findStmt } = getStatements();
+  return findStmt.get(name, now.toISOString()) || null;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  acquireLease,
+  renewLease,
+  releaseLease,
+  getLease,
+};
@@ -0,0 +1,57 @@
+const DEFAULT_LOCALE = 'en-US';
+const TIME_FORMATS = ['auto', '12h', '24h'];
+
+// Returns the canonical tag (e.g. "pt-br" -> "pt-BR") or null when Intl has no
+// data for it, so stored locales always format predictably.
+function normalizeLocale(raw) {
+  try {
+    const [locale] = Intl.getCanonicalLocales(String(raw || '').trim());
+    if (!locale || !Intl.DateTimeFormat.supportedLocalesOf(locale).length) return null;
+    return locale;
+  } catch (_error) {
+    return null;
+  }
+}
+
+function hourCycleOptions(timeFormat) {
+  if (timeFormat === '12h') return { hour12: true };
+  if (timeFormat === '24h') return { hourCycle: 'h23' };
+  return {};
+}
+
+// `prefs` is the recipient's `{ timezone, locale, timeFormat }`.
+function formatInZone(date, prefs = {}, options = {}) {
+  return new Intl.DateTimeFormat(prefs.locale || DEFAULT_LOCALE, {
+    ...options,
+    ...(options.hour ? hourCycleOptions(prefs.timeFormat) : {}),
+    timeZone: prefs.timezone || 'UTC',
+  }).format(date);
+}
+
+function formatDateTime(date, prefs) {
+  return formatInZone(date, prefs, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+  });
+}
+
+function formatTime(date, prefs) {
+  return formatInZone(date, prefs, { hour: 'numeric', minute: '2-digit' });
+}
+
+function formatDay(date, prefs) {
+  return formatInZone(date, prefs, { weekday: 'long', month: 'short', day: 'numeric' });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  TIME_FORMATS,
+  normalizeLocale,
+  formatDateTime,
+  formatTime,
+  formatDay,
+};
@@ -0,0 +1,288 @@
+const config = require('../config');
+const { db } = require('../db');
+const { getChannel } = require('../channels');
+const { serializeReminderContext, hydrateReminderContext } = require('./reminderContextService');
+const { titleSql } = require('./titleService');
+
+// Channel requests time out in seconds, so a row still `sending` after this
+// long belongs to a process that died mid-send and is claimed again.
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    enqueueStmt: db.prepare(`
+      INSERT INTO notification_outbox (
+        reminder_id, reminder_channel_id, episode_id, offset_minutes, release_at, channel, context_json, status,
+        max_attempts, next_attempt_at, last_error, schedule_change_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `),
+    enqueueWebhookEventStmt: db.prepare(`
+      INSERT INTO notification_outbox (
+        webhook_id, episode_id, offset_minutes, channel, context_json, max_attempts, next_attempt_at, schedule_change_id
+      )
+      VALUES (?, ?, 0, 'webhook', ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `),
+    releaseStaleStmt: db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'pending', updated_at = ?
+      WHERE status = 'sending' AND updated_at <= ?
+    `),
+    selectDueStmt: db.prepare(`
+      SELECT o.id, o.reminder_id, o.reminder_channel_id, o.episode_id, o.offset_minutes, o.release_at, o.channel,
+             o.context_json, o.attempts, o.max_attempts, o.schedule_change_id, rc.id AS destination_id, rc.target,
+             r.id AS current_reminder_id, r.is_active AS reminder_active, r.snoozed_until AS reminder_snoozed_until,
+             o.webhook_id, wh.id AS current_webhook_id, e.displaced_at AS episode_displaced_at
+      FROM notification_outbox o
+      JOIN episodes e ON e.id = o.episode_id
+      LEFT JOIN reminder_channels rc ON rc.id = o.reminder_channel_id
+      LEFT JOIN reminders r ON r.id = o.reminder_id
+      LEFT JOIN webhooks wh ON wh.id = o.webhook_id
+      WHERE o.status = 'pending' AND o.next_attempt_at <= ?
+      ORDER BY o.next_attempt_at ASC, o.id ASC
+      LIMIT ?
+    `),
+    claimStmt: db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'sending', updated_at = ?
+      WHERE id = ? AND status = 'pending'
+    `),
+    markSentStmt: db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = ?, updated_at = ?
+      WHERE id = ?
+    `),
+    markSuppressedStmt: db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'suppressed', last_error = ?, updated_at = ?
+      WHERE id = ?
+    `),
+    markFailedStmt: db.prepare(`
+      UPDATE notification_outbox
+      SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+      WHERE id = ?
+    `),
+    insertLogStmt: db.prepare(`
+      INSERT INTO notification_log (reminder_id, episode_id, reminder_channel_id, offset_minutes, channel, release_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(reminder_channel_id, episode_id, offset_minutes, release_at) DO NOTHING
+    `),
+    listForUserStmt: db.prepare(`
+      SELECT o.id, o.reminder_id AS reminderId, o.webhook_id AS webhookId, o.episode_id AS episodeId,
+             o.offset_minutes AS offsetMinutes, o.schedule_change_id AS scheduleChangeId, o.channel, o.status,
+             o.attempts, o.max_attempts AS maxAttempts, o.last_error AS lastError,
+             o.next_attempt_at AS nextAttemptAt, o.sent_at AS sentAt,
+             o.created_at AS createdAt, o.updated_at AS updatedAt,
+             ${titleSql('a', 'u.title_language')} AS animeTitle, e.episode_number AS episodeNumber
+      FROM notification_outbox o
+      LEFT JOIN reminders r ON r.id = o.reminder_id
+      LEFT JOIN webhooks wh ON wh.id = o.webhook_id
+      JOIN users u ON u.id = COALESCE(r.user_id, wh.user_id)
+      JOIN episodes e ON e.id = o.episode_id
+      JOIN anime a ON a.id = e.anime_id
+      WHERE u.id = ? AND (? IS NULL OR o.status = ?)
+      ORDER BY o.updated_at DESC, o.id DESC
+      LIMIT 100
+    `),
+    retryForUserStmt: db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'pending', attempts = 0, next_attempt_at = @now, updated_at = @now
+      WHERE id = @id AND status = 'dead'
+        AND (reminder_id IN (SELECT id FROM reminders WHERE user_id = @userId)
+          OR webhook_id IN (SELECT id FROM webhooks WHERE user_id = @userId))
+    `),
+  };
+
+  return statements;
+}
+
+function retryDelayMs(attempts) {
+  const delay = config.outbox.retryBaseMs * 2 ** Math.max(0, attempts - 1);
+  return Math.min(config.outbox.retryMaxMs, delay);
+}
+
+// `deliverAt` holds delivery back (e.g. until quiet hours end). A `suppressed`
+// entry is never sent but still claims the unique slot so later scans skip it.
+function enqueueNotification(
+  reminder,
+  destination,
+  episode,
+  offsetMinutes,
+  context,
+  deliverAt = new Date(),
+  { status = 'pending', note = null, scheduleChangeId = null } = {}
+) {
+  const { enqueueStmt } = getStatements();
+  const result = enqueueStmt.run(
+    reminder.id,
+    destination.id,
+    episode.id,
+    offsetMinutes,
+    episode.release_at,
+    destination.channel,
+    serializeReminderContext(context),
+    status,
+    config.outbox.maxAttempts,
+    deliverAt.toISOString(),
+    note,
+    scheduleChangeId
+  );
+  return result.changes > 0;
+}
+
+// `schedule.changed` events go to a subscribed webhook rather than a reminder
+// destination. The row keeps the built event, so retries send the same payload.
+function enqueueWebhookEvent(webhookId, episodeId, scheduleChangeId, event, deliverAt = new Date()) {
+  const { enqueueWebhookEventStmt } = getStatements();
+  const result = enqueueWebhookEventStmt.run(
+    webhookId,
+    episodeId,
+    JSON.stringify(event),
+    config.outbox.maxAttempts,
+    deliverAt.toISOString(),
+    scheduleChangeId
+  );
+  return result.changes > 0;
+}
+
+// Applies the reminder's snooze and quiet hours (`quietUntil`) before queueing.
+// A lead time that triggered before the snooze ended stays snoozed even when
+// the scan reaches it a little later.
+function enqueueForDestination(reminder, destination, episode, offsetMinutes, context, now, quietUntil, options = {}) {
+  const triggerAt = new Date(new Date(episode.release_at).getTime() - offsetMinutes * 60 * 1000);
+  const snoozed = reminder.snoozed_until
+    && Math.min(now.getTime(), triggerAt.getTime()) <= new Date(reminder.snoozed_until).getTime();
+
+  if (snoozed) {
+    enqueueNotification(reminder, destination, episode, offsetMinutes, context, now, {
+      ...options,
+      status: 'suppressed',
+      note: 'Snoozed',
+    });
+  } else if (!quietUntil) {
+    enqueueNotification(reminder, destination, episode, offsetMinutes, context, now, options);
+  } else if (reminder.quiet_hours_mode === 'drop') {
+    enqueueNotification(reminder, destination, episode, offsetMinutes, context, now, {
+      ...options,
+      status: 'suppressed',
+      note: 'Dropped during quiet hours',
+    });
+  } else {
+    enqueueNotification(reminder, destination, episode, offsetMinutes, context, quietUntil, options);
+  }
+}
+
+// The reminder may have been deleted, paused or snoozed since the entry was
+// queued; returns why the entry should no longer go out.
+function suppressionReason(entry, now) {
+  if (entry.episode_displaced_at) return 'Episode renumbered';
+  if (entry.webhook_id) return entry.current_webhook_id ? null : 'Webhook deleted';
+  if (!entry.current_reminder_id || !entry.destination_id) return 'Reminder deleted';
+  if (!entry.reminder_active) return 'Reminder paused';
+  if (entry.reminder_snoozed_until && now < new Date(entry.reminder_snoozed_until)) return 'Snoozed';
+  return null;
+}
+
+async function deliverEntry(entry, now) {
+  const { markSentStmt, markFailedStmt, markSuppressedStmt, insertLogStmt } = getStatements();
+  const provider = getChannel(entry.channel);
+  const attempts = entry.attempts + 1;
+
+  try {
+    if (!provider) {
+      throw Object.assign(new Error(`Unknown notification channel "${entry.channel}"`), { permanent: true });
+    }
+
+    let result;
+    if (entry.webhook_id) {
+      result = await provider.send(String(entry.webhook_id), JSON.parse(entry.context_json));
+    } else {
+      const context = { ...hydrateReminderContext(entry.context_json, now), notificationId: entry.id };
+      result = await provider.send(entry.target, provider.render(context), context);
+    }
+
+    // A paused webhook, or one not subscribed to the event, takes nothing.
+    if (result?.skipped) {
+      markSuppressedStmt.run(`Skipped: ${result.reason}`, new Date().toISOString(), entry.id);
+      return 'suppressed';
+    }
+
+    const sentAt = new Date().toISOString();
+    db.transaction(() => {
+      markSentStmt.run(sentAt, sentAt, entry.id);
+      if (entry.schedule_change_id) return;
+      insertLogStmt.run(
+        entry.reminder_id,
+        entry.episode_id,
+        entry.reminder_channel_id,
+        entry.offset_minutes,
+        entry.channel,
+        entry.release_at
+      );
+    })();
+    return 'sent';
+  } catch (error) {
+    const retryable = !error.permanent && provider.isRetryableError(error);
+    const exhausted = attempts >= entry.max_attempts;
+    const status = retryable && !exhausted ? 'pending' : 'dead';
+    const nextAttemptAt = new Date(Date.now() + retryDelayMs(attempts)).toISOString();
+
+    markFailedStmt.run(status, attempts, error.message, nextAttemptAt, new Date().toISOString(), entry.id);
+    console.error(`Notification ${entry.id} via ${entry.channel} failed (attempt ${attempts}, ${status}):`, error.message);
+    return status;
+  }
+}
+
+async function processOutbox({ now = new Date(), limit = config.outbox.batchSize } = {}) {
+  const { releaseStaleStmt, selectDueStmt, claimStmt, markSuppressedStmt } = getStatements();
+  const nowIso = now.toISOString();
+  releaseStaleStmt.run(nowIso, new Date(now.getTime() - STALE_SENDING_MS).toISOString());
+
+  const summary = { sent: 0, retrying: 0, dead: 0, suppressed: 0 };
+  const due = selectDueStmt.all(nowIso, limit);
+
+  for (const entry of due) {
+    if (!claimStmt.run(new Date().toISOString(), entry.id).changes) continue;
+
+    const reason = suppressionReason(entry, now);
+    if (reason) {
+      markSuppressedStmt.run(reason, new Date().toISOString(), entry.id);
+      summary.suppressed += 1;
+      continue;
+    }
+
+    const status = await deliverEntry(entry, now);
+    if (status === 'sent') summary.sent += 1;
+    else if (status === 'suppressed') summary.suppressed += 1;
+    else if (status === 'pending') summary.retrying += 1;
+    else summary.dead += 1;
+  }
+
+  return summary;
+}
+
+function listOutboxForUser(userId, status = null) {
+  const { listForUserStmt } = getStatements();
+  return listForUserStmt.all(userId, status, status);
+}
+
+function retryOutboxEntry(userId, id) {
+  const { retryForUserStmt } = getStatements();
+  const nowIso = new Date().toISOString();
+  return retryForUserStmt.run({ now: nowIso, id, userId }).changes > 0;
+}
+
+module.exports = {
+  enqueueNotification,
+  enqueueForDestination,
+  enqueueWebhookEvent,
+  processOutbox,
+  listOutboxForUser,
+  retryOutboxEntry,
+};
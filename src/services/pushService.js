@@ -0,0 +1,167 @@
+const webpush = require('web-push');
+
+const config = require('../config');
+const { db } = require('../db');
+
+const PUSH_TTL_SECONDS = 60 * 60;
+const GONE_STATUSES = [404, 410];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    upsertSubscriptionStmt: db.prepare(`
+      INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(endpoint) DO UPDATE SET
+        p256dh = excluded.p256dh,
+        auth = excluded.auth,
+        user_agent = excluded.user_agent
+      WHERE push_subscriptions.user_id = excluded.user_id
+    `),
+    findSubscriptionStmt: db.prepare(`
+      SELECT id, endpoint, user_agent AS userAgent, created_at AS createdAt, last_used_at AS lastUsedAt
+      FROM push_subscriptions
+      WHERE user_id = ? AND endpoint = ?
+    `),
+    listSubscriptionsStmt: db.prepare(`
+      SELECT id, endpoint, user_agent AS userAgent, created_at AS createdAt, last_used_at AS lastUsedAt
+      FROM push_subscriptions
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+    `),
+    listKeysStmt: db.prepare('SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = ?'),
+    deleteByEndpointStmt: db.prepare('DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?'),
+    deleteByIdStmt: db.prepare('DELETE FROM push_subscriptions WHERE id = ?'),
+    markUsedStmt: db.prepare('UPDATE push_subscriptions SET last_used_at = ? WHERE id = ?'),
+  };
+
+  return statements;
+}
+
+function isPushConfigured() {
+  return Boolean(config.webPush.publicKey && config.webPush.privateKey);
+}
+
+function isAllowedPushHost(hostname) {
+  const host = hostname.toLowerCase();
+  return config.webPush.allowedHosts.some((allowed) => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+function validateSubscription(raw) {
+  const endpoint = String(raw?.endpoint || '').trim();
+  const p256dh = String(raw?.keys?.p256dh || '').trim();
+  const auth = String(raw?.keys?.auth || '').trim();
+
+  let url;
+  try {
+    url = new URL(endpoint);
+    if (url.protocol !== 'https:') throw new Error('not https');
+  } catch (_error) {
+    return { error: 'Push subscription endpoint must be an https URL.' };
+  }
+
+  // Deliveries POST to the endpoint, so only known push services are accepted.
+  if (!isAllowedPushHost(url.hostname)) {
+    return { error: 'Push subscription endpoint must belong to a known push service.' };
+  }
+
+  if (!p256dh || !auth) {
+    return { error: 'Push subscription must include keys.p256dh and keys.auth.' };
+  }
+
+  return { subscription: { endpoint, p256dh, auth } };
+}
+
+// An endpoint already registered by another account is left alone; returns
+// null in that case.
+function saveSubscription(userId, { endpoint, p256dh, auth }, userAgent = null) {
+  const { upsertSubscriptionStmt, findSubscriptionStmt } = getStatements();
+  upsertSubscriptionStmt.run(userId, endpoint, p256dh, auth, userAgent ? String(userAgent).slice(0, 200) : null);
+  return findSubscriptionStmt.get(userId, endpoint) || null;
+}
+
+function listSubscriptions(userId) {
+  const { listSubscriptionsStmt } = getStatements();
+  return listSubscriptionsStmt.all(userId);
+}
+
+function deleteSubscription(userId, endpoint) {
+  const { deleteByEndpointStmt } = getStatements();
+  return deleteByEndpointStmt.run(userId, String(endpoint || '')).changes > 0;
+}
+
+// web-push builds the encrypted body and VAPID headers; the request itself goes
+// through fetch like the other webhook channels so failures carry `status`.
+async function sendToSubscription(subscription, payload) {
+  const request = webpush.generateRequestDetails(
+    { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+    JSON.stringify(payload),
+    {
+      TTL: PUSH_TTL_SECONDS,
+      vapidDetails: {
+        subject: config.webPush.subject,
+        publicKey: config.webPush.publicKey,
+        privateKey: config.webPush.privateKey,
+      },
+    }
+  );
+
+  const response = await fetch(request.endpoint, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    const error = new Error(`Push service failed (${response.status}): ${body}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+// Delivers to every device of the user. Subscriptions the push service reports
+// as gone are pruned; the send only fails if no device accepted the message.
+async function sendPushToUser(userId, payload) {
+  const { listKeysStmt, deleteByIdStmt, markUsedStmt } = getStatements();
+
+  if (!isPushConfigured()) {
+    throw Object.assign(new Error('Web Push is not configured (VAPID keys missing).'), { permanent: true });
+  }
+
+  const subscriptions = listKeysStmt.all(userId);
+  let delivered = 0;
+  let lastError = null;
+
+  for (const subscription of subscriptions) {
+    try {
+      await sendToSubscription(subscription, payload);
+      markUsedStmt.run(new Date().toISOString(), subscription.id);
+      delivered += 1;
+    } catch (error) {
+      if (GONE_STATUSES.includes(error.status)) {
+        deleteByIdStmt.run(subscription.id);
+      } else {
+        lastError = error;
+      }
+    }
+  }
+
+  if (delivered) return { delivered };
+  if (lastError) throw lastError;
+  throw Object.assign(new Error('No browser is subscribed to push notifications.'), { permanent: true });
+}
+
+module.exports = {
+  isPushConfigured,
+  validateSubscription,
+  saveSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  sendPushToUser,
+};
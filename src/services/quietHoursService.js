@@ -0,0 +1,39 @@
+const { toZonedWallTime } = require('./calendarService');
+
+const QUIET_HOURS_MODES = ['defer', 'drop'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidQuietTime(value) {
+  return TIME_PATTERN.test(String(value || ''));
+}
+
+function toMinutes(value) {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+// Returns when the user's quiet window ends if `date` falls inside it, else null.
+// Windows may wrap past midnight (23:00-08:00).
+function quietHoursEndAt({ timezone, quietStart, quietEnd }, date = new Date()) {
+  if (!isValidQuietTime(quietStart) || !isValidQuietTime(quietEnd)) return null;
+
+  const wall = toZonedWallTime(date, timezone || 'UTC');
+  const current = Number(wall.slice(11, 13)) * 60 + Number(wall.slice(14, 16));
+  const start = toMinutes(quietStart);
+  const end = toMinutes(quietEnd);
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  const startOfMinute = date.getTime() - Number(wall.slice(17, 19)) * 1000 - date.getMilliseconds();
+  return new Date(startOfMinute + minutesLeft * 60 * 1000);
+}
+
+module.exports = {
+  QUIET_HOURS_MODES,
+  isValidQuietTime,
+  quietHoursEndAt,
+};
@@ -0,0 +1,85 @@
+const config = require('../config');
+const { renderTemplate } = require('./templateService');
+const { DEFAULT_LOCALE } = require('./localeService');
+const { preferredTitle } = require('./titleService');
+
+function formatCountdown(ms) {
+  const totalMinutes = Math.max(0, Math.round(ms / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  return [days ? `${days}d` : null, hours ? `${hours}h` : null, `${minutes}m`].filter(Boolean).join(' ');
+}
+
+// The reminder's own template wins over the user's default.
+function resolveTemplate(reminder) {
+  return reminder.message_template || reminder.user_message_template || null;
+}
+
+// `extra` carries notice-specific fields (e.g. `scheduleChange`) that the
+// template placeholders read.
+function buildReminderContext(reminder, episode, now, extra = {}) {
+  const releaseAt = new Date(episode.release_at);
+
+  const context = {
+    reminderId: reminder.id,
+    userId: reminder.user_id,
+    userEmail: reminder.user_email,
+    animeId: episode.anime_id,
+    animeTitle: preferredTitle({
+      title: episode.anime_title,
+      english: episode.anime_title_english,
+      romaji: episode.anime_title_romaji,
+      native: episode.anime_title_native,
+    }, reminder.user_title_language),
+    episodeNumber: episode.episode_number,
+    episodeTitle: episode.title,
+    coverImageUrl: episode.anime_cover_image_url,
+    releaseAt,
+    released: releaseAt <= now,
+    countdown: formatCountdown(releaseAt.getTime() - now.getTime()),
+    timezone: reminder.user_timezone || 'UTC',
+    locale: reminder.user_locale || DEFAULT_LOCALE,
+    timeFormat: reminder.user_time_format || 'auto',
+    template: resolveTemplate(reminder),
+    appUrl: config.appBaseUrl,
+    ...extra,
+  };
+
+  return { ...context, message: renderTemplate(context.template, context) };
+}
+
+function serializeReminderContext(context) {
+  return JSON.stringify({ ...context, releaseAt: context.releaseAt.toISOString() });
+}
+
+function hydrateReminderContext(json, now = new Date()) {
+  const context = JSON.parse(json);
+  const releaseAt = new Date(context.releaseAt);
+
+  // Deferred deliveries can go out well after they were queued, so refresh the
+  // time-relative parts.
+  const refreshed = {
+    ...context,
+    releaseAt,
+    released: releaseAt <= now,
+    countdown: formatCountdown(releaseAt.getTime() - now.getTime()),
+  };
+  return { ...refreshed, message: renderTemplate(refreshed.template, refreshed) };
+}
+
+// A snooze that ends with an episode also holds back that episode's
+// after-release lead times (negative offsets).
+function episodeSnoozeEnd(releaseAt, offsets) {
+  const afterMinutes = Math.max(0, ...offsets.map((offset) => -offset));
+  return new Date(new Date(releaseAt).getTime() + afterMinutes * 60 * 1000).toISOString();
+}
+
+module.exports = {
+  formatCountdown,
+  episodeSnoozeEnd,
+  buildReminderContext,
+  serializeReminderContext,
+  hydrateReminderContext,
+};
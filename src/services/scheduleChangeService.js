@@ -0,0 +1,179 @@
+const config = require('../config');
+const { db } = require('../db');
+const { buildReminderContext, formatCountdown } = require('./reminderContextService');
+const { enqueueForDestination, enqueueWebhookEvent } = require('./outboxService');
+const { quietHoursEndAt } = require('./quietHoursService');
+const { getStatus: getWatchlistStatus } = require('./watchlistService');
+const { SCHEDULE_CHANGE_TEMPLATE } = require('./templateService');
+const { buildEvent, listScheduleSubscribers } = require('./webhookService');
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    insertChangeStmt: db.prepare(`
+      INSERT INTO episode_schedule_changes (episode_id, previous_release_at, release_at, shift_minutes, significant)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    findEpisodeStmt: db.prepare(`
+      SELECT e.id, e.anime_id, e.episode_number, e.title, e.release_at, e.original_release_at,
+             a.title AS anime_title, a.title_english AS anime_title_english, a.title_romaji AS anime_title_romaji,
+             a.title_native AS anime_title_native, a.cover_image_url AS anime_cover_image_url
+      FROM episodes e
+      JOIN anime a ON a.id = e.anime_id
+      WHERE e.id = ?
+    `),
+    setStatusStmt: db.prepare('UPDATE episodes SET schedule_status = ?, original_release_at = ? WHERE id = ?'),
+    carryLogStmt: db.prepare('UPDATE OR IGNORE notification_log SET release_at = ? WHERE episode_id = ? AND release_at = ?'),
+    carryOutboxStmt: db.prepare(`
+      UPDATE OR IGNORE notification_outbox
+      SET release_at = ?
+      WHERE episode_id = ? AND release_at = ? AND schedule_change_id IS NULL
+    `),
+    supersedeOutboxStmt: db.prepare(`
+      UPDATE notification_outbox
+      SET status = 'suppressed', last_error = 'Episode rescheduled', updated_at = ?
+      WHERE episode_id = ? AND schedule_change_id IS NULL AND webhook_id IS NULL AND status = 'pending'
+    `),
+    selectRemindersStmt: db.prepare(`
+      SELECT r.*, u.email AS user_email, u.timezone AS user_timezone, u.locale AS user_locale,
+             u.time_format AS user_time_format, u.title_language AS user_title_language,
+             u.quiet_start AS user_quiet_start, u.quiet_end AS user_quiet_end
+      FROM reminders r
+      JOIN users u ON u.id = r.user_id
+      WHERE r.is_active = 1 AND (r.anime_id IS NULL OR r.anime_id = ?)
+    `),
+    selectDestinationsStmt: db.prepare('SELECT id, reminder_id, channel, target FROM reminder_channels WHERE reminder_id = ?'),
+    listHistoryStmt: db.prepare(`
+      SELECT id, previous_release_at AS previousReleaseAt, release_at AS releaseAt,
+             shift_minutes AS shiftMinutes, significant, detected_at AS detectedAt
+      FROM episode_schedule_changes
+      WHERE episode_id = ?
+      ORDER BY id DESC
+    `),
+  };
+
+  return statements;
+}
+
+function thresholdMs() {
+  return config.schedule.changeThresholdMinutes * 60 * 1000;
+}
+
+// Flags are relative to the first known time, so a delay that is later undone
+// clears the flag again.
+function scheduleStatus(originalReleaseAt, releaseAt) {
+  const shiftMs = new Date(releaseAt).getTime() - new Date(originalReleaseAt).getTime();
+  if (Math.abs(shiftMs) < thresholdMs()) return null;
+  return shiftMs > 0 ? 'delayed' : 'rescheduled';
+}
+
+function describeShift(shiftMinutes) {
+  const amount = formatCountdown(Math.abs(shiftMinutes) * 60 * 1000);
+  return shiftMinutes > 0 ? `delayed by ${amount}` : `moved earlier by ${amount}`;
+}
+
+// Call after the episode row holds `releaseAt`. Every move is kept as history.
+// Sent reminders are keyed on the release time they announced: a small move
+// carries that key forward, while a move past the threshold flags the episode
+// and leaves the key behind, so lead times before release re-arm for the new
+// time. Queued reminders that have not gone out yet are superseded. Returns
+// `{ changeId, significant }`.
+function recordScheduleChange(episodeId, previousReleaseAt, releaseAt, now = new Date()) {
+  const {
+    insertChangeStmt,
+    findEpisodeStmt,
+    setStatusStmt,
+    carryLogStmt,
+    carryOutboxStmt,
+    supersedeOutboxStmt,
+  } = getStatements();
+  const shiftMinutes = Math.round((new Date(releaseAt) - new Date(previousReleaseAt)) / 60000);
+  const significant = Math.abs(shiftMinutes) * 60 * 1000 >= thresholdMs();
+  const result = insertChangeStmt.run(episodeId, previousReleaseAt, releaseAt, shiftMinutes, significant ? 1 : 0);
+
+  const episode = findEpisodeStmt.get(episodeId);
+  const originalReleaseAt = episode.original_release_at || previousReleaseAt;
+  setStatusStmt.run(scheduleStatus(originalReleaseAt, releaseAt), originalReleaseAt, episodeId);
+
+  const changeId = Number(result.lastInsertRowid);
+  if (significant) {
+    supersedeOutboxStmt.run(now.toISOString(), episodeId);
+  } else {
+    carryLogStmt.run(releaseAt, episodeId, previousReleaseAt);
+    carryOutboxStmt.run(releaseAt, episodeId, previousReleaseAt);
+  }
+  return { changeId, significant };
+}
+
+// Queues a notice on every channel of the reminders covering the episode.
+// Webhooks are left out because they get `schedule.changed` events directly.
+function notifyScheduleChange(changeId, episodeId, previousReleaseAt, now = new Date()) {
+  const { findEpisodeStmt, selectRemindersStmt, selectDestinationsStmt } = getStatements();
+  const episode = findEpisodeStmt.get(episodeId);
+  if (!episode || new Date(episode.release_at) <= now) return 0;
+
+  const shiftMinutes = Math.round((new Date(episode.release_at) - new Date(previousReleaseAt)) / 60000);
+  const scheduleChange = { previousReleaseAt, shiftMinutes, label: describeShift(shiftMinutes) };
+  let queued = 0;
+
+  for (const reminder of selectRemindersStmt.all(episode.anime_id)) {
+    if (reminder.skip_dropped && getWatchlistStatus(reminder.user_id, episode.anime_id) === 'dropped') continue;
+
+    const quietUntil = quietHoursEndAt({
+      timezone: reminder.user_timezone,
+      quietStart: reminder.user_quiet_start,
+      quietEnd: reminder.user_quiet_end,
+    }, now);
+    const context = buildReminderContext(
+      { ...reminder, message_template: SCHEDULE_CHANGE_TEMPLATE },
+      episode,
+      now,
+      { scheduleChange }
+    );
+
+    for (const destination of selectDestinationsStmt.all(reminder.id)) {
+      if (destination.channel === 'webhook') continue;
+      enqueueForDestination(reminder, destination, episode, 0, context, now, quietUntil, { scheduleChangeId: changeId });
+      queued += 1;
+    }
+  }
+
+  return queued;
+}
+
+// Queues a `schedule.changed` event for every subscribed webhook, for any move
+// of the episode. The event id follows the change, so receivers can dedupe.
+function queueScheduleChangeEvents(changeId, episodeId, previousReleaseAt, now = new Date()) {
+  const { findEpisodeStmt } = getStatements();
+  const episode = findEpisodeStmt.get(episodeId);
+  if (!episode) return 0;
+
+  const event = buildEvent('schedule.changed', {
+    anime: { id: episode.anime_id, title: episode.anime_title },
+    episode: {
+      number: episode.episode_number,
+      title: episode.title,
+      releaseAt: episode.release_at,
+      previousReleaseAt,
+    },
+  }, `schedule-change-${changeId}`);
+
+  return listScheduleSubscribers(episode.anime_id)
+    .filter((webhookId) => enqueueWebhookEvent(webhookId, episode.id, changeId, event, now))
+    .length;
+}
+
+function getScheduleHistory(episodeId) {
+  const { listHistoryStmt } = getStatements();
+  return listHistoryStmt.all(episodeId).map((row) => ({ ...row, significant: Boolean(row.significant) }));
+}
+
+module.exports = {
+  recordScheduleChange,
+  notifyScheduleChange,
+  queueScheduleChangeEvents,
+  getScheduleHistory,
+};
@@ -0,0 +1,432 @@
+const crypto = require('node:crypto');
+
+const { db } = require('../db');
+const { getProvider, listProviders } = require('../providers');
+const { INSTANCE_ID, acquireLease, renewLease, releaseLease, getLease } = require('./leaseService');
+const { findIdentity, recordIdentity, autoMatchAnime } = require('./animeIdentityService');
+const { deleteEpisode } = require('./episodeService');
+const { replaceTitles } = require('./titleService');
+const { recordScheduleChange, notifyScheduleChange, queueScheduleChangeEvents } = require('./scheduleChangeService');
+
+// Episodes this close to airing may already have dropped out of the
+// not-yet-aired schedule, so reconciliation leaves them alone.
+const RECONCILE_MARGIN_MS = 10 * 60 * 1000;
+const SYNC_RUN_HISTORY_LIMIT = 500;
+const SYNC_LEASE_MS = 10 * 60 * 1000;
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    upsertAnimeStmt: db.prepare(`
+      INSERT INTO anime (
+        title, title_english, title_romaji, title_native, cover_image_url, synopsis,
+        total_episodes, popularity, runtime_minutes, source, external_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(source, external_id) DO UPDATE SET
+        title = excluded.title,
+        title_english = excluded.title_english,
+        title_romaji = excluded.title_romaji,
+        title_native = excluded.title_native,
+        cover_image_url = excluded.cover_image_url,
+        synopsis = excluded.synopsis,
+        total_episodes = excluded.total_episodes,
+        popularity = excluded.popularity,
+        runtime_minutes = excluded.runtime_minutes
+    `),
+    findAnimeStmt: db.prepare(`
+      SELECT id
+      FROM anime
+      WHERE source = ? AND external_id = ?
+    `),
+    findEpisodeStmt: db.prepare(`
+      SELECT id, episode_number AS episodeNumber, release_at AS releaseAt
+      FROM episodes
+      WHERE source = ? AND external_id = ?
+    `),
+    findEpisodeByNumberStmt: db.prepare('SELECT id, source FROM episodes WHERE anime_id = ? AND episode_number = ?'),
+    moveEpisodeAsideStmt: db.prepare(`
+      UPDATE episodes SET episode_number = ?, displaced_at = ?, unconfirmed_at = ? WHERE id = ?
+    `),
+    upsertEpisodeStmt: db.prepare(`
+      INSERT INTO episodes (anime_id, episode_number, title, release_at, source, external_id)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(source, external_id) DO UPDATE SET
+        anime_id = excluded.anime_id,
+        episode_number = excluded.episode_number,
+        title = excluded.title,
+        release_at = excluded.release_at,
+        displaced_at = NULL,
+        unconfirmed_at = NULL
+    `),
+    listSyncedUpcomingStmt: db.prepare(`
+      SELECT id, external_id AS externalId, unconfirmed_at AS unconfirmedAt
+      FROM episodes
+      WHERE source = ? AND release_at > ? AND (? IS NULL OR release_at < ?)
+    `),
+    markUnconfirmedStmt: db.prepare('UPDATE episodes SET unconfirmed_at = ? WHERE id = ?'),
+    setSyncStateStmt: db.prepare(`
+      INSERT INTO sync_state (state_key, state_value, updated_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(state_key) DO UPDATE SET
+        state_value = excluded.state_value,
+        updated_at = CURRENT_TIMESTAMP
+    `),
+    insertRunStmt: db.prepare(`
+      INSERT INTO sync_runs (source, trigger, started_at)
+      VALUES (?, ?, ?)
+    `),
+    finishRunStmt: db.prepare(`
+      UPDATE sync_runs
+      SET status = ?, finished_at = ?, duration_ms = ?, pages_fetched = ?, rows_fetched = ?,
+          rows_inserted = ?, rows_updated = ?, rows_skipped = ?, error = ?
+      WHERE id = ?
+    `),
+    pruneRunsStmt: db.prepare(`
+      DELETE FROM sync_runs
+      WHERE id NOT IN (SELECT id FROM sync_runs ORDER BY id DESC LIMIT ${SYNC_RUN_HISTORY_LIMIT})
+    `),
+    interruptRunsStmt: db.prepare(`
+      UPDATE sync_runs
+      SET status = 'interrupted', finished_at = ?, error = 'The process running this sync stopped before it finished.'
+      WHERE status = 'running' AND source = ?
+    `),
+    findRunningStmt: db.prepare(`
+      SELECT id, trigger, started_at AS startedAt, pages_fetched AS pagesFetched
+      FROM sync_runs
+      WHERE status = 'running' AND source = ?
+      ORDER BY id DESC
+      LIMIT 1
+    `),
+    countRunsStmt: db.prepare('SELECT COUNT(*) AS count FROM sync_runs WHERE ? IS NULL OR source = ?'),
+    listRunsStmt: db.prepare(`
+      SELECT id, source, trigger, status, started_at AS startedAt, finished_at AS finishedAt,
+             duration_ms AS durationMs, pages_fetched AS pagesFetched, rows_fetched AS rowsFetched,
+             rows_inserted AS rowsInserted, rows_updated AS rowsUpdated, rows_skipped AS rowsSkipped, error
+      FROM sync_runs
+      WHERE ? IS NULL OR source = ?
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `),
+    getSyncStateStmt: db.prepare(`
+      SELECT state_key AS stateKey, state_value AS stateValue, updated_at AS updatedAt
+      FROM sync_state
+      WHERE state_key IN (?, ?, ?)
+    `),
+  };
+
+  return statements;
+}
+
+function stateKey(provider, suffix) {
+  return `${provider.name}_${suffix}`;
+}
+
+function leaseName(provider) {
+  return `${provider.name}_sync`;
+}
+
+// Upcoming episodes of the provider that the fetch no longer lists are marked
+// unconfirmed, and removed if the next sync misses them again. `windowEnd`
+// bounds the check to what the fetch covered; null means the whole schedule.
+function reconcileMissingEpisodes(provider, seenExternalIds, windowEnd, now) {
+  const { listSyncedUpcomingStmt, markUnconfirmedStmt } = getStatements();
+  const windowStart = new Date(now.getTime() + RECONCILE_MARGIN_MS).toISOString();
+  const counts = { unconfirmedEpisodes: 0, prunedEpisodes: 0 };
+
+  // An empty schedule is more likely an upstream hiccup than mass cancellation.
+  if (!seenExternalIds.size) return counts;
+
+  for (const episode of listSyncedUpcomingStmt.all(provider.name, windowStart, windowEnd, windowEnd)) {
+    if (seenExternalIds.has(episode.externalId)) continue;
+
+    // Rows moved aside by this sync were only just marked, so they get their
+    // second chance like any other.
+    if (episode.unconfirmedAt && episode.unconfirmedAt < now.toISOString()) {
+      deleteEpisode(episode.id);
+      counts.prunedEpisodes += 1;
+    } else {
+      markUnconfirmedStmt.run(now.toISOString(), episode.id);
+      counts.unconfirmedEpisodes += 1;
+    }
+  }
+
+  return counts;
+}
+
+// `stats` is filled in as the sync goes so a failed run still reports how far it got.
+// `onPage` runs after each fetched page and may throw to abort the sync.
+async function runProviderSync(provider, stats = {}, onPage = () => {}) {
+  const {
+    upsertAnimeStmt,
+    findAnimeStmt,
+    findEpisodeStmt,
+    findEpisodeByNumberStmt,
+    moveEpisodeAsideStmt,
+    upsertEpisodeStmt,
+    setSyncStateStmt,
+  } = getStatements();
+  const now = new Date();
+  const records = [];
+  let complete = false;
+  Object.assign(stats, { pagesFetched: 0, fetchedRows: 0, insertedEpisodes: 0, updatedEpisodes: 0, skippedRows: 0 });
+
+  for (let page = 1; page <= provider.settings.pageLimit; page += 1) {
+    const { items, hasNextPage } = await provider.fetchPage(page);
+    stats.pagesFetched += 1;
+    stats.fetchedRows += items.length;
+    onPage();
+
+    for (const item of items) {
+      const record = await provider.mapItem(item);
+      if (record) records.push(record);
+      else stats.skippedRows += 1;
+    }
+
+    if (!hasNextPage) {
+      complete = true;
+      break;
+    }
+  }
+
+  // A fetch cut off by the page limit only covers a known window when the
+  // provider returns the schedule in airing order: everything before its last row.
+  const seenExternalIds = new Set(records.map((record) => record.episode.externalId));
+  const lastReleaseAt = records.length ? records[records.length - 1].episode.releaseAt : null;
+  const canReconcile = complete || provider.capabilities.airingOrder;
+  const windowEnd = complete ? null : lastReleaseAt;
+
+  let insertedAnime = 0;
+  let syncedEpisodes = 0;
+  let displacedEpisodes = 0;
+  const scheduleChanges = [];
+  const titledAnime = new Set();
+
+  const tx = db.transaction(() => {
+    for (const { anime: animeRecord, episode: episodeRecord } of records) {
+      // An identity merged into another anime feeds that anime's episodes but
+      // leaves its metadata to the anime's own source.
+      const identity = findIdentity(provider.name, animeRecord.externalId);
+      let animeId = identity?.animeId;
+
+      if (!identity || identity.isPrimary) {
+        const upsertAnimeResult = upsertAnimeStmt.run(
+          animeRecord.title,
+          animeRecord.titles?.english || null,
+          animeRecord.titles?.romaji || null,
+          animeRecord.titles?.native || null,
+          animeRecord.coverImageUrl,
+          animeRecord.synopsis,
+          animeRecord.totalEpisodes,
+          animeRecord.popularity,
+          animeRecord.runtimeMinutes,
+          provider.name,
+          animeRecord.externalId
+        );
+
+        if (upsertAnimeResult.changes > 0) {
+          insertedAnime += 1;
+        }
+
+        const anime = findAnimeStmt.get(provider.name, animeRecord.externalId);
+        if (!anime) {
+          stats.skippedRows += 1;
+          continue;
+        }
+        animeId = anime.id;
+        if (!identity) recordIdentity(animeId, provider.name, animeRecord.externalId);
+      }
+
+      // Merged identities add their titles too, so search finds the anime by
+      // any source's naming.
+      if (!titledAnime.has(animeId)) {
+        replaceTitles(animeId, provider.name, animeRecord.titles);
+        titledAnime.add(animeId);
+      }
+
+      const { externalId, number, releaseAt } = episodeRecord;
+      const episodeTitle = `Episode ${number}`;
+      const previous = findEpisodeStmt.get(provider.name, externalId);
+      const holder = findEpisodeByNumberStmt.get(animeId, number);
+      if (holder && holder.id !== previous?.id) {
+        if (holder.source !== provider.name) {
+          // Another source of the merged anime already has this episode.
+          stats.skippedRows += 1;
+          continue;
+        }
+
+        // The provider renumbered its episodes. The row holding the number is
+        // parked as displaced, with its negative id as a placeholder number,
+        // and marked unconfirmed until a sync gives it a new number or prunes
+        // it. Displaced episodes are left out of listings and reminders.
+        moveEpisodeAsideStmt.run(-holder.id, now.toISOString(), now.toISOString(), holder.id);
+        displacedEpisodes += 1;
+      }
+
+      upsertEpisodeStmt.run(animeId, number, episodeTitle, releaseAt, provider.name, externalId);
+      if (previous) stats.updatedEpisodes += 1;
+      else stats.insertedEpisodes += 1;
+
+      if (previous && previous.releaseAt !== releaseAt) {
+        const change = recordScheduleChange(previous.id, previous.releaseAt, releaseAt, now);
+        scheduleChanges.push({ ...change, episodeId: previous.id, previousReleaseAt: previous.releaseAt });
+      }
+
+      syncedEpisodes += 1;
+    }
+  });
+
+  tx();
+
+  const reconciliation = canReconcile
+    ? db.transaction(() => reconcileMissingEpisodes(provider, seenExternalIds, windowEnd, now))()
+    : { unconfirmedEpisodes: 0, prunedEpisodes: 0 };
+  const matchedAnime = autoMatchAnime();
+
+  scheduleChanges.forEach(({ changeId, significant, episodeId, previousReleaseAt }) => {
+    if (significant) notifyScheduleChange(changeId, episodeId, previousReleaseAt, now);
+    queueScheduleChangeEvents(changeId, episodeId, previousReleaseAt, now);
+  });
+
+  const result = {
+    source: provider.name,
+    pagesFetched: stats.pagesFetched,
+    fetchedRows: stats.fetchedRows,
+    syncedEpisodes,
+    insertedEpisodes: stats.insertedEpisodes,
+    updatedEpisodes: stats.updatedEpisodes,
+    skippedRows: stats.skippedRows,
+    touchedAnime: insertedAnime,
+    scheduleChanges: scheduleChanges.length,
+    significantScheduleChanges: scheduleChanges.filter((change) => change.significant).length,
+    displacedEpisodes,
+    ...reconciliation,
+    matchedAnime,
+    syncedAt: now.toISOString(),
+  };
+
+  setSyncStateStmt.run(stateKey(provider, 'last_sync'), result.syncedAt);
+  setSyncStateStmt.run(stateKey(provider, 'last_result'), JSON.stringify(result));
+  setSyncStateStmt.run(stateKey(provider, 'last_error'), '');
+
+  return result;
+}
+
+function getRunningSync(provider) {
+  const { findRunningStmt } = getStatements();
+  const lease = getLease(leaseName(provider));
+  if (!lease) return null;
+  return { ...findRunningStmt.get(provider.name), owner: lease.owner, leaseExpiresAt: lease.expiresAt };
+}
+
+function getProviderSyncStatus(provider) {
+  const { getSyncStateStmt } = getStatements();
+  const keys = ['last_sync', 'last_result', 'last_error'].map((suffix) => stateKey(provider, suffix));
+  const map = Object.fromEntries(getSyncStateStmt.all(...keys).map((row) => [row.stateKey, row.stateValue]));
+
+  let lastResult = null;
+  if (map[keys[1]]) {
+    try {
+      lastResult = JSON.parse(map[keys[1]]);
+    } catch (_error) {
+      lastResult = null;
+    }
+  }
+
+  return {
+    name: provider.name,
+    label: provider.label,
+    enabled: provider.settings.enabled,
+    syncCron: provider.settings.syncCron,
+    capabilities: provider.capabilities,
+    lastSyncAt: map[keys[0]] || null,
+    lastResult,
+    lastError: map[keys[2]] || null,
+    inProgress: getRunningSync(provider),
+  };
+}
+
+function getSyncStatus() {
+  return { providers: listProviders().map(getProviderSyncStatus) };
+}
+
+function finishRun(runId, startedAt, status, stats, error = null) {
+  const { finishRunStmt, pruneRunsStmt } = getStatements();
+  const finishedAt = new Date();
+  finishRunStmt.run(
+    status,
+    finishedAt.toISOString(),
+    finishedAt.getTime() - startedAt.getTime(),
+    stats.pagesFetched || 0,
+    stats.fetchedRows || 0,
+    stats.insertedEpisodes || 0,
+    stats.updatedEpisodes || 0,
+    stats.skippedRows || 0,
+    error,
+    runId
+  );
+  pruneRunsStmt.run();
+}
+
+// Every run is recorded in `sync_runs`; `trigger` is `cron`, `startup` or `manual`.
+// A database lease per provider keeps its syncs from overlapping, also across
+// replicas; when it is taken the call fails with `inProgress` set to the running sync.
+async function runScheduleSync(providerName, { trigger = 'manual' } = {}) {
+  const { setSyncStateStmt, insertRunStmt, interruptRunsStmt } = getStatements();
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw new Error(`Unknown schedule provider: ${providerName}`);
+  }
+
+  const lease = leaseName(provider);
+  const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  const startedAt = new Date();
+
+  if (!acquireLease(lease, owner, SYNC_LEASE_MS, startedAt)) {
+    throw Object.assign(new Error(`${provider.label} sync is already running.`), { inProgress: getRunningSync(provider) });
+  }
+
+  // Holding the lease means any run of this provider still marked running lost its process.
+  const runId = db.transaction(() => {
+    interruptRunsStmt.run(startedAt.toISOString(), provider.name);
+    return Number(insertRunStmt.run(provider.name, trigger, startedAt.toISOString()).lastInsertRowid);
+  })();
+  const stats = {};
+  const keepLease = () => {
+    if (!renewLease(lease, owner, SYNC_LEASE_MS)) {
+      throw new Error('Sync lease expired before the sync finished.');
+    }
+  };
+
+  try {
+    const result = await runProviderSync(provider, stats, keepLease);
+    finishRun(runId, startedAt, 'succeeded', stats);
+    return { ...result, runId };
+  } catch (error) {
+    setSyncStateStmt.run(stateKey(provider, 'last_error'), error.message);
+    finishRun(runId, startedAt, 'failed', stats, error.message);
+    throw error;
+  } finally {
+    releaseLease(lease, owner);
+  }
+}
+
+function listSyncRuns({ page = 1, pageSize = 20, source = null } = {}) {
+  const { countRunsStmt, listRunsStmt } = getStatements();
+  return {
+    runs: listRunsStmt.all(source, source, pageSize, (page - 1) * pageSize),
+    page,
+    pageSize,
+    total: countRunsStmt.get(source, source).count,
+  };
+}
+
+module.exports = {
+  runProviderSync,
+  runScheduleSync,
+  getSyncStatus,
+  listSyncRuns,
+};
@@ -0,0 +1,78 @@
+const { formatDateTime } = require('./localeService');
+const { escapeSlackMrkdwn } = require('./templateService');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+function isValidSlackWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:'
+      && url.hostname === 'hooks.slack.com'
+      && /^\/services\/[^/]+\/[^/]+\/[^/]+$/.test(url.pathname);
+  } catch (_error) {
+    return false;
+  }
+}
+
+function buildSlackReminderPayload({ text, animeTitle, episodeTitle, releaseAt, countdown, coverImageUrl, appUrl, prefs }) {
+  const section = {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: [
+        text,
+        episodeTitle ? `_${escapeSlackMrkdwn(episodeTitle)}_` : null,
+        `Releases <!date^${Math.floor(releaseAt.getTime() / 1000)}^{date_short_pretty} at {time}|${formatDateTime(releaseAt, prefs)}> (in ${countdown})`,
+      ].filter(Boolean).join('\n'),
+    },
+  };
+
+  if (coverImageUrl) {
+    section.accessory = {
+      type: 'image',
+      image_url: coverImageUrl,
+      alt_text: `${animeTitle} cover`,
+    };
+  }
+
+  return {
+    text,
+    blocks: [
+      section,
+      {
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            text: { type: 'plain_text', text: 'Open tracker' },
+            url: appUrl,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+async function sendSlackReminder(webhookUrl, payload) {
+  if (!webhookUrl) return;
+
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    const error = new Error(`Slack webhook failed (${response.status}): ${body}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+module.exports = {
+  isValidSlackWebhookUrl,
+  buildSlackReminderPayload,
+  sendSlackReminder,
+};
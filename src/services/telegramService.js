@@ -0,0 +1,206 @@
+const crypto = require('node:crypto');
+
+const config = require('../config');
+const { db } = require('../db');
+const { markWatched } = require('./watchProgressService');
+const { episodeSnoozeEnd } = require('./reminderContextService');
+
+const LINK_CODE_TTL_MS = 15 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LINK_CODE_PATTERN = /^(?:\/start\s+)?([A-Z2-9]{8})$/i;
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    deleteCodesByUserStmt: db.prepare('DELETE FROM telegram_link_codes WHERE user_id = ?'),
+    deleteExpiredCodesStmt: db.prepare('DELETE FROM telegram_link_codes WHERE expires_at <= ?'),
+    insertCodeStmt: db.prepare('INSERT INTO telegram_link_codes (code, user_id, expires_at) VALUES (?, ?, ?)'),
+    consumeCodeStmt: db.prepare('DELETE FROM telegram_link_codes WHERE code = ? AND expires_at > ? RETURNING user_id AS userId'),
+    clearChatStmt: db.prepare('UPDATE users SET telegram_chat_id = NULL WHERE telegram_chat_id = ?'),
+    setChatStmt: db.prepare('UPDATE users SET telegram_chat_id = ? WHERE id = ?'),
+    findUserStmt: db.prepare('SELECT id, display_name AS displayName, telegram_chat_id AS chatId FROM users WHERE id = ?'),
+    findUserByChatStmt: db.prepare('SELECT id FROM users WHERE telegram_chat_id = ?'),
+    findReminderStmt: db.prepare('SELECT id, anime_id AS animeId FROM reminders WHERE id = ? AND user_id = ?'),
+    nextEpisodeStmt: db.prepare(`
+      SELECT release_at AS releaseAt
+      FROM episodes
+      WHERE release_at > ? AND (? IS NULL OR anime_id = ?) AND displaced_at IS NULL
+      ORDER BY release_at ASC
+      LIMIT 1
+    `),
+    listOffsetsStmt: db.prepare('SELECT minutes_before AS minutesBefore FROM reminder_offsets WHERE reminder_id = ?'),
+    snoozeReminderStmt: db.prepare('UPDATE reminders SET snoozed_until = ? WHERE id = ?'),
+    getOffsetStmt: db.prepare("SELECT state_value AS value FROM sync_state WHERE state_key = 'telegram_update_offset'"),
+    setOffsetStmt: db.prepare(`
+      INSERT INTO sync_state (state_key, state_value, updated_at)
+      VALUES ('telegram_update_offset', ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(state_key) DO UPDATE SET
+        state_value = excluded.state_value,
+        updated_at = CURRENT_TIMESTAMP
+    `),
+  };
+
+  return statements;
+}
+
+function isTelegramConfigured() {
+  return Boolean(config.telegram.botToken);
+}
+
+async function callTelegram(method, body) {
+  const response = await fetch(`${config.telegram.apiBaseUrl}/bot${config.telegram.botToken}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const json = await response.json().catch(() => null);
+  if (!response.ok || !json?.ok) {
+    const error = new Error(`Telegram ${method} failed (${response.status}): ${json?.description || 'no description'}`);
+    error.status = json?.error_code || response.status;
+    throw error;
+  }
+
+  return json.result;
+}
+
+function createLinkCode(userId) {
+  const { deleteCodesByUserStmt, deleteExpiredCodesStmt, insertCodeStmt } = getStatements();
+  const code = Array.from(crypto.randomBytes(8), (byte) => LINK_CODE_ALPHABET[byte % LINK_CODE_ALPHABET.length]).join('');
+  const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MS).toISOString();
+
+  db.transaction(() => {
+    deleteExpiredCodesStmt.run(new Date().toISOString());
+    deleteCodesByUserStmt.run(userId);
+    insertCodeStmt.run(code, userId, expiresAt);
+  })();
+
+  const deepLink = config.telegram.botUsername
+    ? `https://t.me/${config.telegram.botUsername}?start=${code}`
+    : null;
+  return { code, expiresAt, deepLink };
+}
+
+function getLinkStatus(userId) {
+  const { findUserStmt } = getStatements();
+  return {
+    configured: isTelegramConfigured(),
+    botUsername: config.telegram.botUsername || null,
+    linked: Boolean(findUserStmt.get(userId)?.chatId),
+  };
+}
+
+function unlinkChat(userId) {
+  const { setChatStmt } = getStatements();
+  return setChatStmt.run(null, userId).changes > 0;
+}
+
+function getChatIdForUser(userId) {
+  const { findUserStmt } = getStatements();
+  return findUserStmt.get(userId)?.chatId || null;
+}
+
+// A chat belongs to at most one account, so linking moves it.
+function linkChat(code, chatId) {
+  const { consumeCodeStmt, clearChatStmt, setChatStmt, findUserStmt } = getStatements();
+  return db.transaction(() => {
+    const row = consumeCodeStmt.get(code.toUpperCase(), new Date().toISOString());
+    if (!row) return null;
+    clearChatStmt.run(chatId);
+    setChatStmt.run(chatId, row.userId);
+    return findUserStmt.get(row.userId);
+  })();
+}
+
+function snoozeUntilNextEpisode(userId, reminderId) {
+  const { findReminderStmt, nextEpisodeStmt, listOffsetsStmt, snoozeReminderStmt } = getStatements();
+  const reminder = findReminderStmt.get(reminderId, userId);
+  if (!reminder) return null;
+
+  const next = nextEpisodeStmt.get(new Date().toISOString(), reminder.animeId, reminder.animeId);
+  if (!next) return null;
+  const offsets = listOffsetsStmt.all(reminder.id).map((row) => row.minutesBefore);
+  const snoozedUntil = episodeSnoozeEnd(next.releaseAt, offsets);
+  snoozeReminderStmt.run(snoozedUntil, reminder.id);
+  return snoozedUntil;
+}
+
+async function handleCallbackQuery(query) {
+  const { findUserByChatStmt } = getStatements();
+  const chatId = String(query.message?.chat?.id ?? query.from?.id ?? '');
+  const user = findUserByChatStmt.get(chatId);
+  const [action, ...args] = String(query.data || '').split(':');
+  let text = 'This chat is not linked to an account.';
+
+  if (user && action === 'watched') {
+    const [animeId, episodeNumber] = args.map(Number);
+    text = markWatched(user.id, animeId, episodeNumber) === null ? 'Episode not found.' : `Marked episode ${episodeNumber} as watched.`;
+  } else if (user && action === 'snooze') {
+    text = snoozeUntilNextEpisode(user.id, Number(args[0]))
+      ? 'Reminder snoozed until the next episode.'
+      : 'Nothing to snooze.';
+  } else if (user) {
+    text = 'Unknown action.';
+  }
+
+  await callTelegram('answerCallbackQuery', { callback_query_id: query.id, text });
+}
+
+async function handleMessage(message) {
+  const chatId = String(message.chat?.id ?? '');
+  const match = LINK_CODE_PATTERN.exec(String(message.text || '').trim());
+  if (!chatId) return;
+
+  let text = 'Open the Anime Tracker dashboard, choose "Link Telegram" and send the code here.';
+  if (match) {
+    const user = linkChat(match[1], chatId);
+    text = user
+      ? `Linked to ${user.displayName}. Reminders with the Telegram channel will arrive here.`
+      : 'That code is invalid or has expired. Create a new one in the dashboard.';
+  }
+
+  await callTelegram('sendMessage', { chat_id: chatId, text });
+}
+
+async function handleTelegramUpdate(update) {
+  if (update?.callback_query) return handleCallbackQuery(update.callback_query);
+  if (update?.message) return handleMessage(update.message);
+  return null;
+}
+
+async function pollTelegramUpdates() {
+  const { getOffsetStmt, setOffsetStmt } = getStatements();
+  const offset = Number(getOffsetStmt.get()?.value) || 0;
+  const updates = await callTelegram('getUpdates', { offset, timeout: 0, allowed_updates: ['message', 'callback_query'] });
+
+  for (const update of updates) {
+    try {
+      await handleTelegramUpdate(update);
+    } catch (error) {
+      console.error(`Telegram update ${update.update_id} failed:`, error.message);
+    }
+    setOffsetStmt.run(String(update.update_id + 1));
+  }
+
+  return { processed: updates.length };
+}
+
+async function sendTelegramMessage(chatId, payload) {
+  await callTelegram('sendMessage', { chat_id: chatId, ...payload });
+}
+
+module.exports = {
+  isTelegramConfigured,
+  createLinkCode,
+  getLinkStatus,
+  unlinkChat,
+  getChatIdForUser,
+  handleTelegramUpdate,
+  pollTelegramUpdates,
+  sendTelegramMessage,
+};
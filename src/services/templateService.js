@@ -0,0 +1,81 @@
+const { formatDateTime } = require('./localeService');
+
+const DEFAULT_TEMPLATE = '{{anime}} - Episode {{episode}} {{airs}} {{releaseTime}}.';
+const SCHEDULE_CHANGE_TEMPLATE = '{{anime}} - Episode {{episode}} was {{change}}. It now airs {{releaseTime}} (was {{previousReleaseTime}}).';
+const MAX_TEMPLATE_LENGTH = 500;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+const PLACEHOLDERS = {
+  anime: (context) => context.animeTitle,
+  episode: (context) => context.episodeNumber,
+  episodeTitle: (context) => context.episodeTitle || '',
+  releaseTime: (context) => formatDateTime(context.releaseAt, context),
+  countdown: (context) => context.countdown,
+  airs: (context) => (context.released ? 'aired' : 'airs'),
+  cover: (context) => context.coverImageUrl || '',
+  url: (context) => context.appUrl,
+  change: (context) => context.scheduleChange?.label || '',
+  previousReleaseTime: (context) => (
+    context.scheduleChange ? formatDateTime(new Date(context.scheduleChange.previousReleaseAt), context) : ''
+  ),
+};
+
+const TEMPLATE_PLACEHOLDERS = Object.keys(PLACEHOLDERS);
+const URL_PLACEHOLDERS = new Set(['cover', 'url']);
+
+// Returns the trimmed template, null to fall back to the default, or an error.
+function validateTemplate(raw) {
+  if (raw === null || raw === undefined) return { template: null };
+  if (typeof raw !== 'string') return { error: 'Message template must be a string.' };
+
+  const template = raw.trim();
+  if (!template) return { template: null };
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return { error: `Message template must be at most ${MAX_TEMPLATE_LENGTH} characters.` };
+  }
+
+  const unknown = Array.from(template.matchAll(PLACEHOLDER_PATTERN))
+    .map((match) => match[1])
+    .filter((name) => !PLACEHOLDERS[name]);
+  if (unknown.length) {
+    return {
+      error: `Unknown placeholder ${unknown.map((name) => `{{${name}}}`).join(', ')}. `
+        + `Available: ${TEMPLATE_PLACEHOLDERS.map((name) => `{{${name}}}`).join(', ')}.`,
+    };
+  }
+
+  return { template };
+}
+
+// Substituted values pass through `escape` so titles from the schedule source
+// cannot inject markup; the template's own text is the user's and stays as-is.
+function renderTemplate(template, context, escape = (value) => value) {
+  return (template || DEFAULT_TEMPLATE).replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const resolve = PLACEHOLDERS[name];
+    return resolve ? escape(String(resolve(context) ?? ''), { url: URL_PLACEHOLDERS.has(name) }) : match;
+  });
+}
+
+function escapeDiscordMarkdown(value, { url = false } = {}) {
+  if (url) return value;
+  return value
+    .replace(/[\\*_~`|>]/g, '\\$&')
+    .replace(/@/g, '@\u200b');
+}
+
+function escapeSlackMrkdwn(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  SCHEDULE_CHANGE_TEMPLATE,
+  TEMPLATE_PLACEHOLDERS,
+  validateTemplate,
+  renderTemplate,
+  escapeDiscordMarkdown,
+  escapeSlackMrkdwn,
+};
@@ -0,0 +1,106 @@
+const { db } = require('../db');
+
+const TITLE_LANGUAGES = ['english', 'romaji', 'native'];
+const DEFAULT_TITLE_LANGUAGE = 'english';
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    deleteTitlesStmt: db.prepare('DELETE FROM anime_titles WHERE anime_id = ? AND source = ?'),
+    insertTitleStmt: db.prepare(`
+      INSERT INTO anime_titles (anime_id, source, kind, title, search_key)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(anime_id, source, kind, title) DO NOTHING
+    `),
+    listTitlesStmt: db.prepare(`
+      SELECT source, kind, title
+      FROM anime_titles
+      WHERE anime_id = ?
+      ORDER BY source, CASE kind WHEN 'english' THEN 0 WHEN 'romaji' THEN 1 WHEN 'native' THEN 2 ELSE 3 END, id
+    `),
+  };
+
+  return statements;
+}
+
+// Case, accents, punctuation and spacing do not count, so "Re:Zero" and
+// "Re Zero" match.
+function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function normalizeTitleLanguage(value) {
+  const language = String(value || '').trim().toLowerCase();
+  return TITLE_LANGUAGES.includes(language) ? language : null;
+}
+
+// Falls back to the display title when the anime has no title in the language.
+function preferredTitle({ title, english, romaji, native }, language) {
+  const variants = { english, romaji, native };
+  return variants[normalizeTitleLanguage(language) || DEFAULT_TITLE_LANGUAGE] || title;
+}
+
+// SQL counterpart of preferredTitle for an anime table alias. The language
+// binds @titleLanguage unless another SQL expression is given.
+function titleSql(alias, language = '@titleLanguage') {
+  return `CASE ${language}
+    WHEN 'romaji' THEN COALESCE(${alias}.title_romaji, ${alias}.title)
+    WHEN 'native' THEN COALESCE(${alias}.title_native, ${alias}.title)
+    ELSE COALESCE(${alias}.title_english, ${alias}.title)
+  END`;
+}
+
+// Matches the display title or any stored variant; binds @search and
+// @searchKey from searchParams().
+function titleSearchSql(alias) {
+  return `(@search IS NULL
+    OR instr(lower(${alias}.title), lower(@search)) > 0
+    OR (@searchKey IS NOT NULL AND EXISTS (
+      SELECT 1 FROM anime_titles t WHERE t.anime_id = ${alias}.id AND instr(t.search_key, @searchKey) > 0
+    )))`;
+}
+
+function searchParams(search) {
+  const text = String(search || '').trim();
+  if (!text) return { search: null, searchKey: null };
+  return { search: text, searchKey: normalizeTitle(text) || null };
+}
+
+// Replaces everything one source knows about an anime's titles; `titles` holds
+// the english, romaji and native titles plus a list of synonyms.
+function replaceTitles(animeId, source, titles) {
+  const { deleteTitlesStmt, insertTitleStmt } = getStatements();
+  const entries = TITLE_LANGUAGES.map((kind) => [kind, titles?.[kind]])
+    .concat((titles?.synonyms || []).map((synonym) => ['synonym', synonym]));
+
+  deleteTitlesStmt.run(animeId, source);
+  entries.forEach(([kind, title]) => {
+    const text = String(title || '').trim();
+    if (text) insertTitleStmt.run(animeId, source, kind, text, normalizeTitle(text));
+  });
+}
+
+function listTitles(animeId) {
+  const { listTitlesStmt } = getStatements();
+  return listTitlesStmt.all(animeId);
+}
+
+module.exports = {
+  TITLE_LANGUAGES,
+  DEFAULT_TITLE_LANGUAGE,
+  normalizeTitle,
+  normalizeTitleLanguage,
+  preferredTitle,
+  titleSql,
+  titleSearchSql,
+  searchParams,
+  replaceTitles,
+  listTitles,
+};
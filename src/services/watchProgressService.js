@@ -0,0 +1,105 @@
+const { db } = require('../db');
+const { titleSql } = require('./titleService');
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  statements = {
+    findEpisodeStmt: db.prepare(`
+      SELECT id, anime_id AS animeId, episode_number AS episodeNumber
+      FROM episodes
+      WHERE anime_id = ? AND episode_number = ?
+    `),
+    markEpisodeStmt: db.prepare(`
+      INSERT INTO watch_progress (user_id, anime_id, episode_id)
+      VALUES (?, ?, ?)
+      ON CONFLICT(user_id, episode_id) DO NOTHING
+    `),
+    markThroughEpisodeStmt: db.prepare(`
+      INSERT INTO watch_progress (user_id, anime_id, episode_id)
+      SELECT ?, anime_id, id
+      FROM episodes
+      WHERE anime_id = ? AND episode_number <= ? AND displaced_at IS NULL
+      ON CONFLICT(user_id, episode_id) DO NOTHING
+    `),
+    unmarkEpisodeStmt: db.prepare(`
+      DELETE FROM watch_progress
+      WHERE user_id = ? AND episode_id = ?
+    `),
+    listBehindStmt: db.prepare(`
+      SELECT e.anime_id AS animeId, COUNT(*) AS behindBy
+      FROM episodes e
+      LEFT JOIN watch_progress wp ON wp.episode_id = e.id AND wp.user_id = ?
+      WHERE e.release_at <= ? AND wp.id IS NULL AND e.displaced_at IS NULL
+        AND e.anime_id IN (
+          SELECT anime_id FROM watch_progress WHERE user_id = ?
+          UNION
+          SELECT anime_id FROM watchlist_entries WHERE user_id = ? AND status <> 'planning'
+        )
+      GROUP BY e.anime_id
+    `),
+    listProgressStmt: db.prepare(`
+      SELECT a.id AS animeId, ${titleSql('a', 'u.title_language')} AS animeTitle, a.total_episodes AS totalEpisodes,
+             COUNT(wp.id) AS watchedCount,
+             MAX(e.episode_number) AS lastWatchedEpisode,
+             MAX(wp.watched_at) AS lastWatchedAt,
+             w.status AS watchlistStatus
+      FROM anime a
+      JOIN users u ON u.id = ?
+      LEFT JOIN watch_progress wp ON wp.anime_id = a.id AND wp.user_id = ?
+      LEFT JOIN episodes e ON e.id = wp.episode_id
+      LEFT JOIN watchlist_entries w ON w.anime_id = a.id AND w.user_id = ?
+      WHERE wp.id IS NOT NULL OR (w.id IS NOT NULL AND w.status <> 'planning')
+      GROUP BY a.id
+      ORDER BY animeTitle ASC
+    `),
+  };
+
+  return statements;
+}
+
+function markWatched(userId, animeId, episodeNumber, { upTo = false } = {}) {
+  const { findEpisodeStmt, markEpisodeStmt, markThroughEpisodeStmt } = getStatements();
+
+  if (upTo) {
+    return markThroughEpisodeStmt.run(userId, animeId, episodeNumber).changes;
+  }
+
+  const episode = findEpisodeStmt.get(animeId, episodeNumber);
+  if (!episode) return null;
+  return markEpisodeStmt.run(userId, episode.animeId, episode.id).changes;
+}
+
+function unmarkWatched(userId, animeId, episodeNumber) {
+  const { findEpisodeStmt, unmarkEpisodeStmt } = getStatements();
+  const episode = findEpisodeStmt.get(animeId, episodeNumber);
+  if (!episode) return null;
+  return unmarkEpisodeStmt.run(userId, episode.id).changes;
+}
+
+// Only anime the user has started (or moved past planning on their watchlist)
+// are reported; an untouched show is not "behind", it simply is not followed.
+function getBehindCounts(userId, now = new Date()) {
+  const { listBehindStmt } = getStatements();
+  const rows = listBehindStmt.all(userId, now.toISOString(), userId, userId);
+  return new Map(rows.map((row) => [row.animeId, row.behindBy]));
+}
+
+function listProgress(userId, now = new Date()) {
+  const { listProgressStmt } = getStatements();
+  const behind = getBehindCounts(userId, now);
+
+  return listProgressStmt.all(userId, userId, userId).map((row) => ({
+    ...row,
+    behindBy: behind.get(row.animeId) || 0,
+  }));
+}
+
+module.exports = {
+  markWatched,
+  unmarkWatched,
+  getBehindCounts,
+  listProgress,
+};
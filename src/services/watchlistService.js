@@ -0,0 +1,116 @@
+const { db } = require('../db');
+const { titleSql } = require('./titleService');
+
+const WATCHLIST_STATUSES = ['watching', 'planning', 'paused', 'dropped', 'completed'];
+const FOLLOWED_STATUSES = ['watching', 'planning', 'paused'];
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  const selectColumns = `
+    w.id, w.anime_id AS animeId, ${titleSql('a', 'u.title_language')} AS animeTitle, a.cover_image_url AS animeCoverImage,
+    a.total_episodes AS totalEpisodes, w.status, w.score, w.notes,
+    w.created_at AS createdAt, w.updated_at AS updatedAt
+  `;
+
+  statements = {
+    listEntriesStmt: db.prepare(`
+      SELECT ${selectColumns}
+      FROM watchlist_entries w
+      JOIN anime a ON a.id = w.anime_id
+      JOIN users u ON u.id = w.user_id
+      WHERE w.user_id = ?
+      ORDER BY w.updated_at DESC, w.id DESC
+    `),
+    listEntriesByStatusStmt: db.prepare(`
+      SELECT ${selectColumns}
+      FROM watchlist_entries w
+      JOIN anime a ON a.id = w.anime_id
+      JOIN users u ON u.id = w.user_id
+      WHERE w.user_id = ? AND w.status = ?
+      ORDER BY w.updated_at DESC, w.id DESC
+    `),
+    findEntryStmt: db.prepare(`
+      SELECT ${selectColumns}
+      FROM watchlist_entries w
+      JOIN anime a ON a.id = w.anime_id
+      JOIN users u ON u.id = w.user_id
+      WHERE w.id = ? AND w.user_id = ?
+    `),
+    findEntryByAnimeStmt: db.prepare(`
+      SELECT id, status
+      FROM watchlist_entries
+      WHERE user_id = ? AND anime_id = ?
+    `),
+    insertEntryStmt: db.prepare(`
+      INSERT INTO watchlist_entries (user_id, anime_id, status, score, notes)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    updateEntryStmt: db.prepare(`
+      UPDATE watchlist_entries
+      SET status = ?, score = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ?
+    `),
+    deleteEntryStmt: db.prepare('DELETE FROM watchlist_entries WHERE id = ? AND user_id = ?'),
+    listFollowedAnimeIdsStmt: db.prepare(`
+      SELECT anime_id AS animeId
+      FROM watchlist_entries
+      WHERE user_id = ? AND status IN (${FOLLOWED_STATUSES.map(() => '?').join(', ')})
+    `),
+  };
+
+  return statements;
+}
+
+function listEntries(userId, status = null) {
+  const { listEntriesStmt, listEntriesByStatusStmt } = getStatements();
+  return status ? listEntriesByStatusStmt.all(userId, status) : listEntriesStmt.all(userId);
+}
+
+function getEntry(userId, id) {
+  const { findEntryStmt } = getStatements();
+  return findEntryStmt.get(id, userId) || null;
+}
+
+function getStatus(userId, animeId) {
+  const { findEntryByAnimeStmt } = getStatements();
+  return findEntryByAnimeStmt.get(userId, animeId)?.status || null;
+}
+
+function createEntry(userId, { animeId, status, score, notes }) {
+  const { findEntryByAnimeStmt, insertEntryStmt } = getStatements();
+  if (findEntryByAnimeStmt.get(userId, animeId)) return null;
+
+  const result = insertEntryStmt.run(userId, animeId, status, score, notes);
+  return getEntry(userId, result.lastInsertRowid);
+}
+
+function updateEntry(userId, id, { status, score, notes }) {
+  const { updateEntryStmt } = getStatements();
+  const result = updateEntryStmt.run(status, score, notes, id, userId);
+  return result.changes ? getEntry(userId, id) : null;
+}
+
+function deleteEntry(userId, id) {
+  const { deleteEntryStmt } = getStatements();
+  return deleteEntryStmt.run(id, userId).changes > 0;
+}
+
+function getFollowedAnimeIds(userId) {
+  const { listFollowedAnimeIdsStmt } = getStatements();
+  return new Set(listFollowedAnimeIdsStmt.all(userId, ...FOLLOWED_STATUSES).map((row) => row.animeId));
+}
+
+module.exports = {
+  WATCHLIST_STATUSES,
+  FOLLOWED_STATUSES,
+  listEntries,
+  getEntry,
+  getStatus,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  getFollowedAnimeIds,
+};
@@ -0,0 +1,354 @@
+const crypto = require('node:crypto');
+const dns = require('node:dns').promises;
+const http = require('node:http');
+const https = require('node:https');
+const net = require('node:net');
+
+const config = require('../config');
+const { db } = require('../db');
+const { FOLLOWED_STATUSES } = require('./watchlistService');
+
+const WEBHOOK_EVENT_VERSION = 1;
+const WEBHOOK_EVENTS = ['episode.upcoming', 'episode.released', 'schedule.changed'];
+const MAX_WEBHOOKS_PER_USER = 10;
+const DELIVERY_HISTORY_LIMIT = 100;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, plus
+// IPv4-mapped IPv6 so those cannot be used to reach the same hosts.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+let statements = null;
+
+function getStatements() {
+  if (statements) return statements;
+
+  const webhookColumns = `
+    w.id, w.url, w.description, w.events, w.is_active AS isActive, w.created_at AS createdAt,
+    (SELECT d.response_status FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS lastStatus,
+    (SELECT d.created_at FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS lastDeliveryAt
+  `;
+
+  statements = {
+    listStmt: db.prepare(`
+      SELECT ${webhookColumns}
+      FROM webhooks w
+      WHERE w.user_id = ?
+      ORDER BY w.created_at ASC, w.id ASC
+    `),
+    findStmt: db.prepare(`
+      SELECT ${webhookColumns}
+      FROM webhooks w
+      WHERE w.id = ? AND w.user_id = ?
+    `),
+    findForDeliveryStmt: db.prepare('SELECT id, url, secret, events, is_active AS isActive FROM webhooks WHERE id = ?'),
+    countStmt: db.prepare('SELECT COUNT(*) AS count FROM webhooks WHERE user_id = ?'),
+    insertStmt: db.prepare(`
+      INSERT INTO webhooks (user_id, url, secret, description, events)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    updateStmt: db.prepare(`
+      UPDATE webhooks
+      SET url = ?, description = ?, events = ?, is_active = ?
+      WHERE id = ? AND user_id = ?
+    `),
+    rotateSecretStmt: db.prepare('UPDATE webhooks SET secret = ? WHERE id = ? AND user_id = ?'),
+    deleteStmt: db.prepare('DELETE FROM webhooks WHERE id = ? AND user_id = ?'),
+    deleteDestinationsStmt: db.prepare("DELETE FROM reminder_channels WHERE channel = 'webhook' AND target = ?"),
+    insertDeliveryStmt: db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, request_body, response_status, error, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    pruneDeliveriesStmt: db.prepare(`
+      DELETE FROM webhook_deliveries
+      WHERE webhook_id = ? AND id NOT IN (
+        SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ${DELIVERY_HISTORY_LIMIT}
+      )
+    `),
+    listDeliveriesStmt: db.prepare(`
+      SELECT id, event_id AS eventId, event_type AS eventType, request_body AS requestBody,
+             response_status AS responseStatus, error, duration_ms AS durationMs, created_at AS createdAt
+      FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT 50
+    `),
+    listScheduleSubscribersStmt: db.prepare(`
+      SELECT w.id
+      FROM webhooks w
+      WHERE w.is_active = 1
+        AND (',' || w.events || ',') LIKE '%,schedule.changed,%'
+        AND (
+          EXISTS (
+            SELECT 1 FROM reminders r
+            WHERE r.user_id = w.user_id AND r.is_active = 1 AND (r.anime_id IS NULL OR r.anime_id = ?)
+          )
+          OR EXISTS (
+            SELECT 1 FROM watchlist_entries e
+            WHERE e.user_id = w.user_id AND e.anime_id = ?
+              AND e.status IN (${FOLLOWED_STATUSES.map(() => '?').join(', ')})
+          )
+        )
+    `),
+  };
+
+  return statements;
+}
+
+function createSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function parseEvents(value) {
+  return String(value || '').split(',').filter(Boolean);
+}
+
+function formatWebhook(row) {
+  if (!row) return null;
+  return { ...row, events: parseEvents(row.events), isActive: Boolean(row.isActive) };
+}
+
+// Webhooks are requested from the server, so a URL whose host resolves to an
+// internal address is refused unless the host is in WEBHOOK_ALLOWED_HOSTS.
+// Returns `{ error }` or the checked `{ address, family }` to connect to.
+async function resolveWebhookTarget(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (_error) {
+    return { error: `Webhook host ${hostname} could not be resolved.` };
+  }
+
+  const blocked = !config.webhooks.allowedHosts.includes(hostname)
+    && addresses.some(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked) {
+    return { error: 'Webhook URL must not point at a loopback, private or link-local address.' };
+  }
+  return addresses[0];
+}
+
+async function checkWebhookTarget(url) {
+  return (await resolveWebhookTarget(url)).error || null;
+}
+
+// Connects to the address resolveWebhookTarget checked instead of resolving
+// the host again, so a DNS answer changed in between cannot point the request
+// inside the network. Redirects are not followed. Resolves to the status code.
+function postToTarget(url, target, headers, body) {
+  const transport = new URL(url).protocol === 'https:' ? https : http;
+  const lookup = (_hostname, options, callback) => (options.all
+    ? callback(null, [target])
+    : callback(null, target.address, target.family));
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function validateWebhookFields(body, current = null) {
+  const url = String(body.url === undefined ? current?.url || '' : body.url).trim();
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('bad protocol');
+  } catch (_error) {
+    return { error: 'Webhook URL must be an http(s) URL.' };
+  }
+
+  const targetError = await checkWebhookTarget(url);
+  if (targetError) {
+    return { error: targetError };
+  }
+
+  const rawEvents = body.events === undefined ? (current ? current.events : WEBHOOK_EVENTS) : body.events;
+  if (!Array.isArray(rawEvents) || !rawEvents.length) {
+    return { error: `Subscribe to at least one event: ${WEBHOOK_EVENTS.join(', ')}.` };
+  }
+  const unknown = rawEvents.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length) {
+    return { error: `Unknown webhook event: ${unknown.join(', ')}.` };
+  }
+
+  const description = String(body.description === undefined ? current?.description || '' : body.description)
+    .trim()
+    .slice(0, 200);
+  const isActive = body.isActive === undefined ? (current ? current.isActive : true) : Boolean(body.isActive);
+
+  return {
+    fields: {
+      url,
+      description: description || null,
+      events: WEBHOOK_EVENTS.filter((event) => rawEvents.includes(event)),
+      isActive,
+    },
+  };
+}
+
+function listWebhooks(userId) {
+  const { listStmt } = getStatements();
+  return listStmt.all(userId).map(formatWebhook);
+}
+
+function getWebhook(userId, id) {
+  const { findStmt } = getStatements();
+  return formatWebhook(findStmt.get(id, userId));
+}
+
+function createWebhook(userId, fields) {
+  const { countStmt, insertStmt } = getStatements();
+  if (countStmt.get(userId).count >= MAX_WEBHOOKS_PER_USER) {
+    return { error: `You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks.` };
+  }
+
+  const secret = createSecret();
+  const result = insertStmt.run(userId, fields.url, secret, fields.description, fields.events.join(','));
+  return { webhook: { ...getWebhook(userId, result.lastInsertRowid), secret } };
+}
+
+function updateWebhook(userId, id, fields) {
+  const { updateStmt } = getStatements();
+  updateStmt.run(fields.url, fields.description, fields.events.join(','), fields.isActive ? 1 : 0, id, userId);
+  return getWebhook(userId, id);
+}
+
+function rotateWebhookSecret(userId, id) {
+  const { rotateSecretStmt } = getStatements();
+  const secret = createSecret();
+  if (!rotateSecretStmt.run(secret, id, userId).changes) return null;
+  return secret;
+}
+
+// Reminder destinations point at the webhook by id, so they go with it.
+function deleteWebhook(userId, id) {
+  const { deleteStmt, deleteDestinationsStmt } = getStatements();
+  return db.transaction(() => {
+    if (!deleteStmt.run(id, userId).changes) return false;
+    deleteDestinationsStmt.run(String(id));
+    return true;
+  })();
+}
+
+function listDeliveries(webhookId) {
+  const { listDeliveriesStmt } = getStatements();
+  return listDeliveriesStmt.all(webhookId);
+}
+
+function buildEvent(type, data, id = crypto.randomUUID()) {
+  return {
+    id,
+    type,
+    version: WEBHOOK_EVENT_VERSION,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+}
+
+// Receivers verify `X-Webhook-Signature` by computing
+// HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and rejecting stale timestamps.
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function deliverEvent(webhookId, event) {
+  const { findForDeliveryStmt, insertDeliveryStmt, pruneDeliveriesStmt } = getStatements();
+  const webhook = findForDeliveryStmt.get(webhookId);
+  if (!webhook) {
+    throw Object.assign(new Error(`Webhook ${webhookId} no longer exists`), { permanent: true });
+  }
+
+  if (event.type !== 'webhook.test') {
+    if (!webhook.isActive) return { skipped: true, reason: 'webhook is paused' };
+    if (!parseEvents(webhook.events).includes(event.type)) {
+      return { skipped: true, reason: `webhook is not subscribed to ${event.type}` };
+    }
+  }
+
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  let status = null;
+  let failure = null;
+
+  try {
+    // The host may have been re-pointed since the webhook was saved.
+    const target = await resolveWebhookTarget(webhook.url);
+    if (target.error) {
+      throw Object.assign(new Error(target.error), { permanent: true });
+    }
+
+    status = await postToTarget(webhook.url, target, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'AnimeTracker-Webhook/1',
+      'X-Webhook-Id': event.id,
+      'X-Webhook-Event': event.type,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `v1=${signPayload(webhook.secret, timestamp, body)}`,
+    }, body);
+
+    if (status >= 300 && status < 400) {
+      failure = Object.assign(new Error(`Webhook responded ${status}; redirects are not followed`), { status });
+    } else if (status < 200 || status >= 300) {
+      failure = Object.assign(new Error(`Webhook responded ${status}`), { status });
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  db.transaction(() => {
+    insertDeliveryStmt.run(webhook.id, event.id, event.type, body, status, failure?.message || null, Date.now() - startedAt);
+    pruneDeliveriesStmt.run(webhook.id, webhook.id);
+  })();
+
+  if (failure) throw failure;
+  return { status };
+}
+
+async function sendTestEvent(webhookId) {
+  const event = buildEvent('webhook.test', { message: 'This is a test event from Anime Tracker.' });
+  try {
+    const result = await deliverEvent(webhookId, event);
+    return { ok: true, eventId: event.id, responseStatus: result.status };
+  } catch (error) {
+    return { ok: false, eventId: event.id, responseStatus: error.status || null, error: error.message };
+  }
+}
+
+// Active webhooks subscribed to `schedule.changed` whose owner reminds or
+// follows the anime.
+function listScheduleSubscribers(animeId) {
+  const { listScheduleSubscribersStmt } = getStatements();
+  return listScheduleSubscribersStmt.all(animeId, animeId, ...FOLLOWED_STATUSES).map((row) => row.id);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  validateWebhookFields,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries,
+  buildEvent,
+  deliverEvent,
+  sendTestEvent,
+  listScheduleSubscribers,
+};
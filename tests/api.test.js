@@ -2,6 +2,8 @@
 const assert = require('node:assert/strict');
 const path = require('node:path');
 const fs = require('node:fs');
+const http = require('node:http');
+const crypto = require('node:crypto');
 const { spawn } = require('node:child_process');
 const Database = require('better-sqlite3');
 
@@ -26,7 +28,7 @@ async function waitForHealth(baseUrl, timeoutMs = 15000) {
   throw new Error('Server did not become ready in time');
 }
 
-function startServer(port, dbPath) {
+function startServer(port, dbPath, extraEnv = {}) {
   const env = {
     ...process.env,
     NODE_ENV: 'test',
@@ -35,6 +37,7 @@ function startServer(port, dbPath) {
     APP_BASE_URL: `http://127.0.0.1:${port}`,
     DISABLE_STARTUP_JOBS: '1',
     CORS_ORIGIN: '*',
+    ...extraEnv,
   };
 
   const child = spawn(process.execPath, ['src/server.js'], {
@@ -68,6 +71,69 @@ async function requestJson(baseUrl, route, options = {}) {
   return { response, body };
 }
 
+async function loginVerifiedUser(baseUrl, dbPath, email, password = 'password123', timezone = 'UTC') {
+  await requestJson(baseUrl, '/api/auth/register', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password, displayName: 'Tester', timezone }),
+  });
+
+  const db = new Database(dbPath);
+  db.prepare('UPDATE users SET email_verified = 1 WHERE email = ?').run(email);
+  db.close();
+
+  const login = await requestJson(baseUrl, '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+  assert.equal(login.response.status, 200, JSON.stringify(login.body));
+  return login.body.token;
+}
+
+function airingScheduleRow({ id, mediaId, title, episode, airingAt }) {
+  return {
+    id,
+    episode,
+    airingAt,
+    media: {
+      id: mediaId,
+      type: 'ANIME',
+      title: { english: title, romaji: null, native: null },
+      coverImage: { large: null, medium: null },
+      description: null,
+      episodes: 12,
+      duration: 24,
+      popularity: 10,
+      status: 'RELEASING',
+    },
+  };
+}
+
+// Serves `getRows()` (sync or async) as the first page of the AniList airing
+// schedule; a throwing `getRows` answers 500.
+async function startAniListStub(getRows) {
+  const stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      const { variables } = JSON.parse(body);
+      try {
+        const airingSchedules = variables.page > 1 ? [] : await getRows();
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ data: { Page: { airingSchedules } } }));
+      } catch (error) {
+        res.statusCode = 500;
+        res.end(error.message);
+      }
+    });
+  });
+  await new Promise((resolve) => stub.listen(0, '127.0.0.1', resolve));
+  return stub;
+}
+
 test('auth + verification + password reset flow', async (t) => {
   const port = 4300 + Math.floor(Math.random() * 200);
   const dbPath = path.join(ROOT, 'data', `test-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
@@ -210,3 +276,2181 @@ test('oauth providers endpoint reports disabled by default', async (t) => {
   assert.equal(providers.body.google, false);
   assert.equal(providers.body.github, false);
 });
+
+test('watch progress reports episodes behind per anime', async (t) => {
+  const port = 4700 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-progress-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `progress_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const db = new Database(dbPath);
+  const anime = db.prepare("SELECT id FROM anime WHERE title = 'Skybound Blades'").get();
+  const insertPast = db.prepare(`
+    INSERT INTO episodes (anime_id, episode_number, title, release_at, source)
+    VALUES (?, ?, ?, ?, 'local')
+  `);
+  db.prepare('UPDATE episodes SET episode_number = episode_number + 3 WHERE anime_id = ?').run(anime.id);
+  [1, 2, 3].forEach((episodeNumber) => {
+    const releaseAt = new Date(Date.now() - (4 - episodeNumber) * 24 * 60 * 60 * 1000).toISOString();
+    insertPast.run(anime.id, episodeNumber, `Episode ${episodeNumber}`, releaseAt);
+  });
+  db.close();
+
+  const markFirst = await requestJson(baseUrl, `/api/progress/${anime.id}/watched`, {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ episodeNumber: 1 }),
+  });
+  assert.equal(markFirst.response.status, 200, JSON.stringify(markFirst.body));
+
+  const upcoming = await requestJson(baseUrl, '/api/episodes/upcoming?days=30', { headers: authHeaders });
+  const card = upcoming.body.find((episode) => episode.animeId === anime.id);
+  assert.equal(card.behindBy, 2);
+
+  const markThrough = await requestJson(baseUrl, `/api/progress/${anime.id}/watched`, {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ episodeNumber: 3, upTo: true }),
+  });
+  assert.equal(markThrough.body.marked, 2);
+
+  const progress = await requestJson(baseUrl, '/api/progress', { headers: authHeaders });
+  assert.equal(progress.response.status, 200);
+  assert.equal(progress.body[0].watchedCount, 3);
+  assert.equal(progress.body[0].behindBy, 0);
+
+  const anonymous = await requestJson(baseUrl, '/api/episodes/upcoming?days=30');
+  assert.equal(anonymous.body[0].behindBy, undefined);
+});
+
+test('watchlist CRUD and my-shows filter', async (t) => {
+  const port = 4900 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-watchlist-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `watchlist_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const anime = await requestJson(baseUrl, '/api/anime');
+  const target = anime.body.find((entry) => entry.title === 'Neon Ramen Club');
+
+  const create = await requestJson(baseUrl, '/api/watchlist', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: target.id, status: 'watching', score: 8, notes: 'Great soundtrack' }),
+  });
+  assert.equal(create.response.status, 201, JSON.stringify(create.body));
+  assert.equal(create.body.status, 'watching');
+
+  const duplicate = await requestJson(baseUrl, '/api/watchlist', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: target.id }),
+  });
+  assert.equal(duplicate.response.status, 409);
+
+  const invalid = await requestJson(baseUrl, `/api/watchlist/${create.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ status: 'binging' }),
+  });
+  assert.equal(invalid.response.status, 400);
+
+  const mine = await requestJson(baseUrl, '/api/episodes/upcoming?days=30&mine=1', { headers: authHeaders });
+  assert.equal(mine.response.status, 200);
+  assert.ok(mine.body.length > 0);
+  assert.ok(mine.body.every((episode) => episode.animeId === target.id));
+
+  const drop = await requestJson(baseUrl, `/api/watchlist/${create.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ status: 'dropped' }),
+  });
+  assert.equal(drop.response.status, 200);
+  assert.equal(drop.body.score, 8);
+
+  const mineAfterDrop = await requestJson(baseUrl, '/api/episodes/upcoming?days=30&mine=1', { headers: authHeaders });
+  assert.equal(mineAfterDrop.body.length, 0);
+
+  const remove = await fetch(`${baseUrl}/api/watchlist/${create.body.id}`, { method: 'DELETE', headers: authHeaders });
+  assert.equal(remove.status, 204);
+
+  const anonymousMine = await requestJson(baseUrl, '/api/episodes/upcoming?mine=1');
+  assert.equal(anonymousMine.response.status, 401);
+});
+
+test('private calendar feed follows watchlist and can be rotated', async (t) => {
+  const port = 5100 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-feed-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(
+    baseUrl,
+    dbPath,
+    `feed_${Date.now()}@example.com`,
+    'password123',
+    'Asia/Tokyo'
+  );
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const anime = await requestJson(baseUrl, '/api/anime');
+  const target = anime.body.find((entry) => entry.title === 'Clockwork Familiar');
+  await requestJson(baseUrl, '/api/watchlist', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: target.id, status: 'watching' }),
+  });
+
+  await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: target.id, minutesBefore: 15, email: 'feed@example.com' }),
+  });
+
+  const invalidAnime = await requestJson(baseUrl, '/api/calendar.ics?animeId=abc');
+  assert.equal(invalidAnime.response.status, 400);
+  const singleAnime = await fetch(`${baseUrl}/api/calendar.ics?animeId=${target.id}`);
+  const singleIcs = await singleAnime.text();
+  assert.match(singleIcs, /Clockwork Familiar/);
+  assert.doesNotMatch(singleIcs, /Skybound Blades/);
+
+  const empty = await requestJson(baseUrl, '/api/calendar/feed', { headers: authHeaders });
+  assert.equal(empty.body.feedUrl, null);
+
+  const created = await requestJson(baseUrl, '/api/calendar/feed', { method: 'POST', headers: authHeaders });
+  assert.equal(created.response.status, 201);
+  const feedPath = new URL(created.body.feedUrl).pathname;
+
+  const feed = await fetch(`${baseUrl}${feedPath}`);
+  assert.equal(feed.status, 200);
+  const ics = await feed.text();
+  assert.match(ics, /Clockwork Familiar - Episode 1/);
+  assert.doesNotMatch(ics, /Skybound Blades/);
+  assert.match(ics, /DTSTART;TZID=Asia\/Tokyo:\d{8}T01\d{4}/);
+  assert.match(ics, /UID:episode-\d+@127\.0\.0\.1/);
+  assert.match(ics, /BEGIN:VALARM[\s\S]*TRIGGER:-PT15M[\s\S]*END:VALARM/);
+  assert.match(ics, /ATTACH:https:\/\/images\.unsplash\.com/);
+  assert.match(ics, /DESCRIPTION:.*watchmaker/);
+
+  const rotated = await requestJson(baseUrl, '/api/calendar/feed', { method: 'POST', headers: authHeaders });
+  assert.notEqual(rotated.body.feedUrl, created.body.feedUrl);
+  const oldFeed = await fetch(`${baseUrl}${feedPath}`);
+  assert.equal(oldFeed.status, 404);
+
+  const revoke = await fetch(`${baseUrl}/api/calendar/feed`, { method: 'DELETE', headers: authHeaders });
+  assert.equal(revoke.status, 204);
+  const revokedFeed = await fetch(`${baseUrl}${new URL(rotated.body.feedUrl).pathname}`);
+  assert.equal(revokedFeed.status, 404);
+});
+
+test('reminders store validated channel destinations', async (t) => {
+  const port = 5300 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-channels-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `channels_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const channels = await requestJson(baseUrl, '/api/channels');
+  assert.deepEqual(channels.body.map((channel) => channel.name), ['email', 'discord', 'slack', 'webhook']);
+
+  const unknown = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ destinations: [{ channel: 'pager', target: '123' }] }),
+  });
+  assert.equal(unknown.response.status, 400);
+
+  const badSlack = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ destinations: [{ channel: 'slack', target: 'https://example.com/hook' }] }),
+  });
+  assert.equal(badSlack.response.status, 400);
+  assert.match(badSlack.body.error, /Slack/);
+
+  const created = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({
+      minutesBefore: 30,
+      destinations: [
+        { channel: 'email' },
+        { channel: 'discord', target: 'https://discord.com/api/webhooks/1/abc' },
+        { channel: 'discord', target: 'https://discord.com/api/webhooks/2/def' },
+      ],
+    }),
+  });
+  assert.equal(created.response.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.destinations.length, 3);
+  assert.equal(created.body.destinations[0].target, null);
+
+  const legacy = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ email: 'Someone@Example.com' }),
+  });
+  assert.equal(legacy.response.status, 201, JSON.stringify(legacy.body));
+  assert.deepEqual(legacy.body.destinations.map(({ channel, target }) => ({ channel, target })), [
+    { channel: 'email', target: 'someone@example.com' },
+  ]);
+
+  const list = await requestJson(baseUrl, '/api/reminders', { headers: authHeaders });
+  assert.equal(list.body.length, 2);
+});
+
+test('failed notifications are retried from the outbox and dead-lettered', async (t) => {
+  const port = 5500 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-outbox-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const webhookStatuses = { '/flaky': [503, 200], '/broken': [400] };
+  const webhook = http.createServer((req, res) => {
+    req.resume();
+    const queue = webhookStatuses[req.url] || [200];
+    res.statusCode = queue.length > 1 ? queue.shift() : queue[0];
+    res.end('stub');
+  });
+  await new Promise((resolve) => webhook.listen(0, '127.0.0.1', resolve));
+  const webhookBase = `http://127.0.0.1:${webhook.address().port}`;
+
+  const server = startServer(port, dbPath, { NOTIFY_RETRY_BASE_MS: '1000' });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    webhook.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `outbox_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const db = new Database(dbPath);
+  const user = db.prepare('SELECT id FROM users LIMIT 1').get();
+  const episode = db.prepare('SELECT id, anime_id FROM episodes ORDER BY release_at ASC LIMIT 1').get();
+  db.prepare('UPDATE episodes SET release_at = ? WHERE id = ?')
+    .run(new Date(Date.now() + 60 * 60 * 1000 - 10 * 1000).toISOString(), episode.id);
+  const reminderId = db.prepare('INSERT INTO reminders (user_id, anime_id) VALUES (?, ?)')
+    .run(user.id, episode.anime_id).lastInsertRowid;
+  db.prepare('INSERT INTO reminder_offsets (reminder_id, minutes_before) VALUES (?, 60)').run(reminderId);
+  const insertChannel = db.prepare("INSERT INTO reminder_channels (reminder_id, channel, target) VALUES (?, 'discord', ?)");
+  insertChannel.run(reminderId, `${webhookBase}/flaky`);
+  insertChannel.run(reminderId, `${webhookBase}/broken`);
+  db.close();
+
+  const firstRun = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(firstRun.body.result, { sent: 0, retrying: 1, dead: 1, suppressed: 0 });
+
+  const issues = await requestJson(baseUrl, '/api/notifications', { headers: authHeaders });
+  const dead = issues.body.find((entry) => entry.status === 'dead');
+  assert.match(dead.lastError, /400/);
+  assert.equal(issues.body.find((entry) => entry.status === 'pending').attempts, 1);
+
+  await delay(1100);
+  const secondRun = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(secondRun.body.result, { sent: 1, retrying: 0, dead: 0, suppressed: 0 });
+
+  const retry = await requestJson(baseUrl, `/api/notifications/${dead.id}/retry`, { method: 'POST', headers: authHeaders });
+  assert.equal(retry.response.status, 200);
+
+  const verifyDb = new Database(dbPath);
+  const logCount = verifyDb.prepare('SELECT COUNT(*) AS count FROM notification_log').get().count;
+  const requeued = verifyDb.prepare('SELECT status, attempts FROM notification_outbox WHERE id = ?').get(dead.id);
+  verifyDb.close();
+  assert.equal(logCount, 1);
+  assert.deepEqual(requeued, { status: 'pending', attempts: 0 });
+
+  const paused = await requestJson(baseUrl, `/api/reminders/${reminderId}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ isActive: false }),
+  });
+  assert.equal(paused.response.status, 200, JSON.stringify(paused.body));
+  const pausedRun = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(pausedRun.body.result, { sent: 0, retrying: 0, dead: 0, suppressed: 1 });
+  const suppressed = (await requestJson(baseUrl, '/api/notifications', { headers: authHeaders })).body
+    .find((entry) => entry.id === dead.id);
+  assert.deepEqual([suppressed.status, suppressed.lastError], ['suppressed', 'Reminder paused']);
+});
+
+test('reminders missed during downtime are caught up once within the grace period', async (t) => {
+  const port = 5700 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-catchup-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  await loginVerifiedUser(baseUrl, dbPath, `catchup_${Date.now()}@example.com`);
+
+  const db = new Database(dbPath);
+  const user = db.prepare('SELECT id FROM users LIMIT 1').get();
+  const [missed, tooNew, released] = db.prepare('SELECT id FROM anime ORDER BY id ASC LIMIT 3').all();
+  const setRelease = db.prepare(`
+    UPDATE episodes SET release_at = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1)
+  `);
+  setRelease.run(new Date(Date.now() + 50 * 60 * 1000).toISOString(), missed.id);
+  setRelease.run(new Date(Date.now() + 50 * 60 * 1000).toISOString(), tooNew.id);
+  setRelease.run(new Date(Date.now() - 5 * 60 * 1000).toISOString(), released.id);
+
+  const insertReminder = db.prepare(`
+    INSERT INTO reminders (user_id, anime_id, created_at, catch_up_after_release) VALUES (?, ?, ?, ?)
+  `);
+  const insertOffset = db.prepare('INSERT INTO reminder_offsets (reminder_id, minutes_before) VALUES (?, ?)');
+  const insertChannel = db.prepare("INSERT INTO reminder_channels (reminder_id, channel) VALUES (?, 'email')");
+  const createReminder = (animeId, minutesBefore, createdAt, catchUpAfterRelease = 0) => {
+    const id = insertReminder.run(user.id, animeId, createdAt, catchUpAfterRelease).lastInsertRowid;
+    insertOffset.run(id, minutesBefore);
+    insertChannel.run(id);
+    return id;
+  };
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+  const missedReminderId = createReminder(missed.id, 60, twoHoursAgo);
+  createReminder(tooNew.id, 60, new Date().toISOString());
+  createReminder(released.id, 30, twoHoursAgo);
+  const optInReminderId = createReminder(released.id, 30, twoHoursAgo, 1);
+  db.close();
+
+  const firstRun = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(firstRun.body.result, { sent: 2, retrying: 0, dead: 0, suppressed: 0 });
+
+  const secondRun = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(secondRun.body.result, { sent: 0, retrying: 0, dead: 0, suppressed: 0 });
+
+  const verifyDb = new Database(dbPath);
+  const logged = verifyDb.prepare('SELECT reminder_id AS reminderId FROM notification_log ORDER BY reminder_id').all();
+  verifyDb.close();
+  assert.deepEqual(logged, [{ reminderId: Number(missedReminderId) }, { reminderId: Number(optInReminderId) }]);
+});
+
+test('digest subscription renders episodes grouped by local day', async (t) => {
+  const port = 5900 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-digest-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `digest_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const initial = await requestJson(baseUrl, '/api/digest', { headers: authHeaders });
+  assert.equal(initial.body.subscription, null);
+
+  const invalid = await requestJson(baseUrl, '/api/digest', {
+    method: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ frequency: 'hourly' }),
+  });
+  assert.equal(invalid.response.status, 400);
+
+  // The user is on UTC, so today's and tomorrow's local days are UTC dates.
+  const today = new Date().toISOString().slice(0, 10);
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const db = new Database(dbPath);
+  const [anime, nextDayAnime] = db.prepare('SELECT id, title FROM anime ORDER BY id ASC LIMIT 2').all();
+  db.prepare('DELETE FROM episodes WHERE anime_id IN (?, ?) AND episode_number > 1').run(anime.id, nextDayAnime.id);
+  const setRelease = db.prepare('UPDATE episodes SET release_at = ? WHERE anime_id = ?');
+  setRelease.run(`${today}T23:59:00.000Z`, anime.id);
+  setRelease.run(`${tomorrow}T00:30:00.000Z`, nextDayAnime.id);
+  db.close();
+
+  for (const animeId of [anime.id, nextDayAnime.id]) {
+    await requestJson(baseUrl, '/api/watchlist', {
+      method: 'POST',
+      headers: authHeaders,
+      body: JSON.stringify({ animeId, status: 'watching' }),
+    });
+  }
+
+  const saved = await requestJson(baseUrl, '/api/digest', {
+    method: 'PUT',
+    headers: authHeaders,
+    body: JSON.stringify({ frequency: 'daily', sendHour: 0 }),
+  });
+  assert.equal(saved.response.status, 200);
+  assert.equal(saved.body.subscription.frequency, 'daily');
+  assert.equal(saved.body.subscription.scope, 'mine');
+
+  const preview = await requestJson(baseUrl, '/api/digest/preview', { headers: authHeaders });
+  assert.equal(preview.body.subject, 'Airing today: 1 episode');
+  assert.ok(preview.body.text.includes(anime.title));
+  assert.ok(!preview.body.text.includes(nextDayAnime.title));
+  assert.match(preview.body.html, /<h3>\w+day, \w{3} \d+<\/h3>/);
+
+  const weekly = await requestJson(baseUrl, '/api/digest/preview?frequency=weekly', { headers: authHeaders });
+  assert.equal(weekly.body.subject, 'Airing this week: 2 episodes');
+
+  const firstRun = await requestJson(baseUrl, '/api/jobs/digests/run', { method: 'POST' });
+  assert.deepEqual(firstRun.body.result, { sent: 1, empty: 0, failed: 0 });
+
+  const secondRun = await requestJson(baseUrl, '/api/jobs/digests/run', { method: 'POST' });
+  assert.deepEqual(secondRun.body.result, { sent: 0, empty: 0, failed: 0 });
+
+  const removed = await requestJson(baseUrl, '/api/digest', { method: 'DELETE', headers: authHeaders });
+  assert.equal(removed.response.status, 204);
+});
+
+test('quiet hours defer or drop reminders per reminder setting', async (t) => {
+  const port = 6100 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-quiet-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `quiet_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const hhmm = (date) => date.toISOString().slice(11, 16);
+
+  const invalid = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ quietHours: { start: '25:00', end: '08:00' } }),
+  });
+  assert.equal(invalid.response.status, 400);
+
+  const quietEnd = new Date(Date.now() + 60 * 60 * 1000);
+  const updated = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ quietHours: { start: hhmm(new Date(Date.now() - 60 * 60 * 1000)), end: hhmm(quietEnd) } }),
+  });
+  assert.equal(updated.response.status, 200);
+  assert.equal(updated.body.user.quietHours.end, hhmm(quietEnd));
+
+  const db = new Database(dbPath);
+  const anime = db.prepare('SELECT id FROM anime ORDER BY id ASC LIMIT 1').get();
+  db.prepare(`
+    UPDATE episodes SET release_at = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1)
+  `).run(new Date(Date.now() + 60 * 60 * 1000 - 10 * 1000).toISOString(), anime.id);
+  db.close();
+
+  const createReminder = (quietHoursMode) => requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, minutesBefore: 60, quietHoursMode, destinations: [{ channel: 'email' }] }),
+  });
+
+  const badMode = await createReminder('snooze');
+  assert.equal(badMode.response.status, 400);
+
+  const deferred = await createReminder('defer');
+  const dropped = await createReminder('drop');
+  assert.equal(deferred.body.quietHoursMode, 'defer');
+  assert.equal(dropped.body.quietHoursMode, 'drop');
+
+  const run = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(run.body.result, { sent: 0, retrying: 0, dead: 0, suppressed: 0 });
+
+  const entries = await requestJson(baseUrl, '/api/notifications', { headers: authHeaders });
+  const deferredEntry = entries.body.find((entry) => entry.reminderId === deferred.body.id);
+  const droppedEntry = entries.body.find((entry) => entry.reminderId === dropped.body.id);
+  assert.equal(deferredEntry.status, 'pending');
+  assert.equal(hhmm(new Date(deferredEntry.nextAttemptAt)), hhmm(quietEnd));
+  assert.equal(droppedEntry.status, 'suppressed');
+  assert.equal(droppedEntry.lastError, 'Dropped during quiet hours');
+});
+
+test('reminders can be edited, paused and snoozed', async (t) => {
+  const port = 6300 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-reminder-edit-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `edit_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const animeList = await requestJson(baseUrl, '/api/anime');
+  const [first, second] = animeList.body;
+
+  const created = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: first.id, minutesBefore: 30, destinations: [{ channel: 'email' }] }),
+  });
+  assert.equal(created.response.status, 201);
+  const emailDestinationId = created.body.destinations[0].id;
+
+  const edited = await requestJson(baseUrl, `/api/reminders/${created.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({
+      animeId: second.id,
+      minutesBefore: 90,
+      destinations: [{ channel: 'email' }, { channel: 'email', target: 'alerts@example.com' }],
+    }),
+  });
+  assert.equal(edited.response.status, 200);
+  assert.equal(edited.body.animeId, second.id);
+  assert.deepEqual(edited.body.offsets, [90]);
+  assert.equal(edited.body.destinations.length, 2);
+  assert.equal(edited.body.destinations[0].id, emailDestinationId);
+
+  const paused = await requestJson(baseUrl, `/api/reminders/${created.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ isActive: false }),
+  });
+  assert.equal(paused.body.isActive, 0);
+  assert.deepEqual(paused.body.offsets, [90]);
+
+  const badSnooze = await requestJson(baseUrl, `/api/reminders/${created.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ snooze: { until: '2000-01-01T00:00:00Z' } }),
+  });
+  assert.equal(badSnooze.response.status, 400);
+
+  const snoozed = await requestJson(baseUrl, `/api/reminders/${created.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ isActive: true, snooze: { episodes: 2 } }),
+  });
+  assert.equal(snoozed.response.status, 200);
+
+  const db = new Database(dbPath);
+  const secondEpisode = db.prepare(`
+    SELECT release_at AS releaseAt FROM episodes
+    WHERE anime_id = ? AND release_at > ?
+    ORDER BY release_at ASC LIMIT 1 OFFSET 1
+  `).get(second.id, new Date().toISOString());
+  db.close();
+  assert.equal(snoozed.body.snoozedUntil, secondEpisode.releaseAt);
+
+  const cleared = await requestJson(baseUrl, `/api/reminders/${created.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ snooze: null }),
+  });
+  assert.equal(cleared.body.snoozedUntil, null);
+
+  const missing = await requestJson(baseUrl, '/api/reminders/999999', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ isActive: false }),
+  });
+  assert.equal(missing.response.status, 404);
+});
+
+test('reminders deliver each lead time separately, including after release', async (t) => {
+  const port = 6500 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-offsets-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `offsets_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const animeList = await requestJson(baseUrl, '/api/anime');
+  const anime = animeList.body[0];
+
+  const invalid = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, offsets: [10, 5000], destinations: [{ channel: 'email' }] }),
+  });
+  assert.equal(invalid.response.status, 400);
+
+  const created = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, offsets: [0, 1440, -15, 10, 10], destinations: [{ channel: 'email' }] }),
+  });
+  assert.equal(created.response.status, 201);
+  assert.deepEqual(created.body.offsets, [1440, 10, 0, -15]);
+
+  const db = new Database(dbPath);
+  const episode = db.prepare('SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1').get(anime.id);
+  const setRelease = db.prepare('UPDATE episodes SET release_at = ? WHERE id = ?');
+
+  setRelease.run(new Date(Date.now() + 10 * 60 * 1000 - 10 * 1000).toISOString(), episode.id);
+  const beforeRelease = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(beforeRelease.body.result.sent, 1);
+
+  setRelease.run(new Date(Date.now() - 15 * 60 * 1000 - 10 * 1000).toISOString(), episode.id);
+  const afterRelease = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(afterRelease.body.result.sent, 1);
+
+  const repeat = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(repeat.body.result.sent, 0);
+
+  const logged = db.prepare('SELECT offset_minutes AS offset FROM notification_log ORDER BY id ASC').all();
+  assert.deepEqual(logged.map((row) => row.offset), [10, -15]);
+
+  const nextRelease = new Date(Date.now() + 60 * 60 * 1000);
+  const nextEpisode = db.prepare('SELECT id FROM episodes WHERE anime_id = ? AND id != ? ORDER BY release_at ASC LIMIT 1')
+    .get(anime.id, episode.id);
+  db.prepare('UPDATE episodes SET release_at = ? WHERE anime_id = ? AND id NOT IN (?, ?)')
+    .run(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), anime.id, episode.id, nextEpisode.id);
+  setRelease.run(nextRelease.toISOString(), nextEpisode.id);
+
+  const snoozed = await requestJson(baseUrl, `/api/reminders/${created.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ snooze: { episodes: 1 } }),
+  });
+  assert.equal(snoozed.body.snoozedUntil, new Date(nextRelease.getTime() + 15 * 60 * 1000).toISOString());
+
+  setRelease.run(new Date(Date.now() - 15 * 60 * 1000 - 10 * 1000).toISOString(), nextEpisode.id);
+  db.prepare('UPDATE reminders SET snoozed_until = ? WHERE id = ?')
+    .run(new Date(Date.now() - 10 * 1000).toISOString(), created.body.id);
+  const afterSnoozedRelease = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(afterSnoozedRelease.body.result.sent, 0);
+  const suppressed = db.prepare("SELECT offset_minutes AS offset FROM notification_outbox WHERE episode_id = ? AND status = 'suppressed'")
+    .all(nextEpisode.id);
+  db.close();
+  assert.deepEqual(suppressed.map((row) => row.offset), [-15]);
+});
+
+test('message templates render per channel with escaped values and a preview', async (t) => {
+  const port = 6700 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-templates-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const email = `templates_${Date.now()}@example.com`;
+  const token = await loginVerifiedUser(baseUrl, dbPath, email, 'password123', 'Asia/Tokyo');
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const unknown = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ messageTemplate: '{{anime}} at {{time}}' }),
+  });
+  assert.equal(unknown.response.status, 400);
+  assert.match(unknown.body.error, /\{\{time\}\}/);
+
+  const saved = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ messageTemplate: '**{{anime}}** #{{episode}} {{airs}} {{releaseTime}}' }),
+  });
+  assert.equal(saved.response.status, 200);
+  assert.equal(saved.body.user.messageTemplate, '**{{anime}}** #{{episode}} {{airs}} {{releaseTime}}');
+
+  const db = new Database(dbPath);
+  const anime = db.prepare('SELECT id FROM anime ORDER BY id ASC LIMIT 1').get();
+  db.prepare('UPDATE anime SET title = ? WHERE id = ?').run('Magi_*Star* @everyone', anime.id);
+  db.prepare(`
+    UPDATE episodes SET release_at = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1)
+  `).run(new Date(Date.now() + 30 * 60 * 1000 - 10 * 1000).toISOString(), anime.id);
+  db.prepare('DELETE FROM episodes WHERE anime_id = ? AND release_at > ?')
+    .run(anime.id, new Date(Date.now() + 30 * 60 * 1000).toISOString());
+  db.close();
+
+  const preview = await requestJson(baseUrl, '/api/templates/preview', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id }),
+  });
+  assert.equal(preview.response.status, 200);
+  assert.match(preview.body.channels.email.text, /^\*\*Magi_\*Star\* @everyone\*\* #1 airs .+GMT\+9$/);
+  assert.match(preview.body.channels.discord.content, /\*\*Magi\\_\\\*Star\\\* @\u200beveryone\*\* #1/);
+  assert.match(preview.body.channels.slack.text, /^\*\*Magi_\*Star\* @everyone\*\*/);
+
+  const created = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({
+      animeId: anime.id,
+      offsets: [30],
+      messageTemplate: '{{anime}} starts in {{countdown}}',
+      destinations: [{ channel: 'email' }],
+    }),
+  });
+  assert.equal(created.response.status, 201);
+  assert.equal(created.body.messageTemplate, '{{anime}} starts in {{countdown}}');
+
+  const run = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(run.body.result.sent, 1);
+  assert.match(server.getLogs(), new RegExp(`to=${email} .*message=Magi_\\*Star\\* @everyone starts in 30m`));
+});
+
+test('notifications format times in the recipient locale and clock preference', async (t) => {
+  const port = 6900 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-locale-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const server = startServer(port, dbPath);
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const email = `locale_${Date.now()}@example.com`;
+  const token = await loginVerifiedUser(baseUrl, dbPath, email, 'password123', 'Asia/Tokyo');
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const me = await requestJson(baseUrl, '/api/auth/me', { headers: authHeaders });
+  assert.equal(me.body.user.locale, 'en-US');
+  assert.equal(me.body.user.timeFormat, 'auto');
+
+  const badLocale = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ locale: 'not a locale' }),
+  });
+  assert.equal(badLocale.response.status, 400);
+
+  const badFormat = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ timeFormat: 'military' }),
+  });
+  assert.equal(badFormat.response.status, 400);
+
+  const updated = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ locale: 'de-de', timeFormat: '24h' }),
+  });
+  assert.equal(updated.response.status, 200);
+  assert.equal(updated.body.user.locale, 'de-DE');
+  assert.equal(updated.body.user.timeFormat, '24h');
+  assert.equal(updated.body.user.timezone, 'Asia/Tokyo');
+
+  const preview = await requestJson(baseUrl, '/api/templates/preview', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ template: '{{releaseTime}}' }),
+  });
+  const expected = new Intl.DateTimeFormat('de-DE', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short',
+    hourCycle: 'h23',
+    timeZone: 'Asia/Tokyo',
+  }).format(new Date(preview.body.episode.releaseAt));
+  assert.equal(preview.body.channels.email.text, expected);
+
+  const forgot = await requestJson(baseUrl, '/api/auth/forgot-password', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email }),
+  });
+  assert.equal(forgot.response.status, 200);
+  assert.match(server.getLogs(), /expires in 1 hour \([^)]*\b\d{2}:\d{2} GMT\+9\)/);
+  assert.doesNotMatch(server.getLogs(), /expires in 1 hour \([^)]*[AP]M/);
+});
+
+test('web push delivers to subscribed browsers and prunes expired subscriptions', async (t) => {
+  const port = 7100 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-push-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const vapidKeys = require('web-push').generateVAPIDKeys();
+
+  const pushRequests = [];
+  const pushService = http.createServer((req, res) => {
+    req.resume();
+    pushRequests.push({ url: req.url, headers: req.headers });
+    res.statusCode = req.url === '/gone' ? 410 : 201;
+    res.end();
+  });
+  await new Promise((resolve) => pushService.listen(0, '127.0.0.1', resolve));
+  const pushBase = `http://127.0.0.1:${pushService.address().port}`;
+
+  const server = startServer(port, dbPath, {
+    VAPID_PUBLIC_KEY: vapidKeys.publicKey,
+    VAPID_PRIVATE_KEY: vapidKeys.privateKey,
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    pushService.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `push_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const publicKey = await requestJson(baseUrl, '/api/push/public-key');
+  assert.equal(publicKey.body.publicKey, vapidKeys.publicKey);
+
+  const browserKey = crypto.createECDH('prime256v1');
+  browserKey.generateKeys();
+  const keys = {
+    p256dh: browserKey.getPublicKey().toString('base64url'),
+    auth: crypto.randomBytes(16).toString('base64url'),
+  };
+
+  const insecure = await requestJson(baseUrl, '/api/push/subscriptions', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ endpoint: `${pushBase}/ok`, keys }),
+  });
+  assert.equal(insecure.response.status, 400);
+
+  const unknownService = await requestJson(baseUrl, '/api/push/subscriptions', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ endpoint: 'https://169.254.169.254/latest/meta-data', keys }),
+  });
+  assert.equal(unknownService.response.status, 400);
+
+  const deviceEndpoint = 'https://fcm.googleapis.com/fcm/send/device-1';
+  const subscribed = await requestJson(baseUrl, '/api/push/subscriptions', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ endpoint: deviceEndpoint, keys }),
+  });
+  assert.equal(subscribed.response.status, 201);
+
+  const otherToken = await loginVerifiedUser(baseUrl, dbPath, `push_other_${Date.now()}@example.com`);
+  const otherHeaders = { Authorization: `Bearer ${otherToken}`, 'Content-Type': 'application/json' };
+  const takeover = await requestJson(baseUrl, '/api/push/subscriptions', {
+    method: 'POST',
+    headers: otherHeaders,
+    body: JSON.stringify({ endpoint: deviceEndpoint, keys }),
+  });
+  assert.equal(takeover.response.status, 409);
+  const otherSubscriptions = await requestJson(baseUrl, '/api/push/subscriptions', { headers: otherHeaders });
+  assert.deepEqual(otherSubscriptions.body, []);
+
+  const unsubscribed = await fetch(`${baseUrl}/api/push/subscriptions`, {
+    method: 'DELETE',
+    headers: authHeaders,
+    body: JSON.stringify({ endpoint: deviceEndpoint }),
+  });
+  assert.equal(unsubscribed.status, 204);
+
+  const anime = (await requestJson(baseUrl, '/api/anime')).body[0];
+  const created = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, offsets: [10], destinations: [{ channel: 'webpush' }] }),
+  });
+  assert.equal(created.response.status, 201);
+
+  // Local stub endpoints are plain http, so they bypass the endpoint checks.
+  const db = new Database(dbPath);
+  const { id: userId } = db.prepare('SELECT id FROM users ORDER BY id ASC LIMIT 1').get();
+  const insertSubscription = db.prepare('INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth) VALUES (?, ?, ?, ?)');
+  insertSubscription.run(userId, `${pushBase}/ok`, keys.p256dh, keys.auth);
+  insertSubscription.run(userId, `${pushBase}/gone`, keys.p256dh, keys.auth);
+  db.prepare(`
+    UPDATE episodes SET release_at = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1)
+  `).run(new Date(Date.now() + 10 * 60 * 1000 - 10 * 1000).toISOString(), anime.id);
+
+  const run = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(run.body.result.sent, 1);
+
+  assert.deepEqual(pushRequests.map((request) => request.url).sort(), ['/gone', '/ok']);
+  const delivered = pushRequests.find((request) => request.url === '/ok');
+  assert.equal(delivered.headers['content-encoding'], 'aes128gcm');
+  assert.match(delivered.headers.authorization, /^vapid t=.+, k=/);
+
+  const remaining = await requestJson(baseUrl, '/api/push/subscriptions', { headers: authHeaders });
+  db.close();
+  assert.deepEqual(remaining.body.map((entry) => entry.endpoint), [`${pushBase}/ok`]);
+  assert.ok(remaining.body[0].lastUsedAt);
+});
+
+test('generic webhooks receive signed versioned events with delivery history', async (t) => {
+  const port = 7300 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-webhooks-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: `http://127.0.0.1:${receiver.address().port}/hook` }).end();
+        return;
+      }
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  const receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+  const server = startServer(port, dbPath, { WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    receiver.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `webhooks_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+
+  const invalid = await requestJson(baseUrl, '/api/webhooks', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ url: receiverUrl, events: ['episode.exploded'] }),
+  });
+  assert.equal(invalid.response.status, 400);
+
+  for (const internalUrl of ['http://169.254.169.254/latest/meta-data', `http://localhost:${receiver.address().port}/hook`]) {
+    const internal = await requestJson(baseUrl, '/api/webhooks', {
+      method: 'POST',
+      headers: authHeaders,
+      body: JSON.stringify({ url: internalUrl }),
+    });
+    assert.equal(internal.response.status, 400);
+    assert.match(internal.body.error, /loopback, private or link-local/);
+  }
+
+  const created = await requestJson(baseUrl, '/api/webhooks', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ url: receiverUrl, description: 'Home lights', events: ['episode.upcoming', 'episode.released'] }),
+  });
+  assert.equal(created.response.status, 201);
+  assert.match(created.body.secret, /^whsec_/);
+  const { secret } = created.body;
+
+  const verify = (request) => {
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(request.headers['x-webhook-signature'], `v1=${expected}`);
+    return JSON.parse(request.body);
+  };
+
+  const testEvent = await requestJson(baseUrl, `/api/webhooks/${created.body.id}/test`, {
+    method: 'POST',
+    headers: authHeaders,
+  });
+  assert.equal(testEvent.body.ok, true);
+  assert.equal(verify(received[0]).type, 'webhook.test');
+
+  const redirecting = await requestJson(baseUrl, '/api/webhooks', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ url: `http://127.0.0.1:${receiver.address().port}/redirect` }),
+  });
+  const redirected = await requestJson(baseUrl, `/api/webhooks/${redirecting.body.id}/test`, {
+    method: 'POST',
+    headers: authHeaders,
+  });
+  assert.equal(redirected.body.ok, false);
+  assert.equal(redirected.body.responseStatus, 302);
+  assert.match(redirected.body.error, /redirects are not followed/);
+  assert.equal(received.length, 1);
+  await fetch(`${baseUrl}/api/webhooks/${redirecting.body.id}`, { method: 'DELETE', headers: authHeaders });
+
+  const anime = (await requestJson(baseUrl, '/api/anime')).body[0];
+  const foreign = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, offsets: [10], destinations: [{ channel: 'webhook', target: '9999' }] }),
+  });
+  assert.equal(foreign.response.status, 400);
+
+  const reminder = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({
+      animeId: anime.id,
+      offsets: [10],
+      destinations: [{ channel: 'webhook', target: String(created.body.id) }],
+    }),
+  });
+  assert.equal(reminder.response.status, 201);
+
+  const db = new Database(dbPath);
+  db.prepare(`
+    UPDATE episodes SET release_at = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1)
+  `).run(new Date(Date.now() + 10 * 60 * 1000 - 10 * 1000).toISOString(), anime.id);
+  db.close();
+
+  const run = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(run.body.result.sent, 1);
+
+  const event = verify(received[1]);
+  assert.equal(event.type, 'episode.upcoming');
+  assert.equal(event.version, 1);
+  assert.match(event.id, /^notification-\d+$/);
+  assert.equal(event.data.anime.id, anime.id);
+  assert.equal(event.data.episode.number, 1);
+  assert.equal(received[1].headers['x-webhook-event'], 'episode.upcoming');
+
+  const paused = await requestJson(baseUrl, `/api/webhooks/${created.body.id}`, {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ isActive: false }),
+  });
+  assert.equal(paused.body.isActive, false);
+  const pausedDb = new Database(dbPath);
+  pausedDb.prepare(`
+    UPDATE episodes SET release_at = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1 OFFSET 1)
+  `).run(new Date(Date.now() + 10 * 60 * 1000 - 10 * 1000).toISOString(), anime.id);
+  pausedDb.close();
+
+  const skipped = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(skipped.body.result.sent, 0);
+  assert.equal(skipped.body.result.suppressed, 1);
+  const suppressed = await requestJson(baseUrl, '/api/notifications?status=suppressed', { headers: authHeaders });
+  assert.equal(suppressed.body[0].lastError, 'Skipped: webhook is paused');
+  assert.equal(received.length, 2);
+
+  const deliveries = await requestJson(baseUrl, `/api/webhooks/${created.body.id}/deliveries`, { headers: authHeaders });
+  assert.deepEqual(deliveries.body.map((delivery) => [delivery.eventType, delivery.responseStatus]), [
+    ['episode.upcoming', 200],
+    ['webhook.test', 200],
+  ]);
+
+  const removed = await fetch(`${baseUrl}/api/webhooks/${created.body.id}`, { method: 'DELETE', headers: authHeaders });
+  assert.equal(removed.status, 204);
+  const reminders = await requestJson(baseUrl, '/api/reminders', { headers: authHeaders });
+  assert.deepEqual(reminders.body[0].destinations, []);
+});
+
+test('telegram links a chat and delivers reminders with inline actions', async (t) => {
+  const port = 7500 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-telegram-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const botToken = '123456:test-token';
+  const secret = 'telegram-secret';
+
+  const calls = [];
+  const botApi = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+      calls.push({ token, method, body: JSON.parse(body || '{}') });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ok: true, result: method === 'getUpdates' ? [] : {} }));
+    });
+  });
+  await new Promise((resolve) => botApi.listen(0, '127.0.0.1', resolve));
+
+  const server = startServer(port, dbPath, {
+    TELEGRAM_BOT_TOKEN: botToken,
+    TELEGRAM_BOT_USERNAME: 'tracker_test_bot',
+    TELEGRAM_API_BASE_URL: `http://127.0.0.1:${botApi.address().port}/`,
+    TELEGRAM_WEBHOOK_SECRET: secret,
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    botApi.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `telegram_${Date.now()}@example.com`);
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const postUpdate = (update, headerSecret = secret) => requestJson(baseUrl, '/api/telegram/updates', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': headerSecret },
+    body: JSON.stringify(update),
+  });
+
+  const channels = await requestJson(baseUrl, '/api/channels');
+  assert.ok(channels.body.some((channel) => channel.name === 'telegram'));
+
+  const link = await requestJson(baseUrl, '/api/telegram/link', { method: 'POST', headers: authHeaders });
+  assert.equal(link.response.status, 201);
+  assert.match(link.body.code, /^[A-Z2-9]{8}$/);
+  assert.equal(link.body.deepLink, `https://t.me/tracker_test_bot?start=${link.body.code}`);
+
+  const forged = await postUpdate({ update_id: 1, message: { chat: { id: 555 }, text: `/start ${link.body.code}` } }, 'wrong');
+  assert.equal(forged.response.status, 401);
+
+  const linked = await postUpdate({ update_id: 1, message: { chat: { id: 555 }, text: `/start ${link.body.code}` } });
+  assert.equal(linked.response.status, 200);
+  assert.equal(calls[0].token, botToken);
+  assert.equal(calls[0].method, 'sendMessage');
+  assert.equal(calls[0].body.chat_id, '555');
+  assert.match(calls[0].body.text, /^Linked to Tester/);
+
+  const status = await requestJson(baseUrl, '/api/telegram', { headers: authHeaders });
+  assert.equal(status.body.linked, true);
+
+  const reused = await postUpdate({ update_id: 2, message: { chat: { id: 777 }, text: link.body.code } });
+  assert.equal(reused.response.status, 200);
+  assert.match(calls[1].body.text, /invalid or has expired/);
+
+  const anime = (await requestJson(baseUrl, '/api/anime')).body[0];
+  const reminder = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, offsets: [10], destinations: [{ channel: 'telegram' }] }),
+  });
+  assert.equal(reminder.response.status, 201, JSON.stringify(reminder.body));
+
+  const db = new Database(dbPath);
+  db.prepare(`
+    UPDATE episodes SET release_at = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? ORDER BY episode_number ASC LIMIT 1)
+  `).run(new Date(Date.now() + 10 * 60 * 1000 - 10 * 1000).toISOString(), anime.id);
+
+  const run = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(run.body.result.sent, 1);
+
+  const message = calls[2];
+  assert.equal(message.method, 'sendMessage');
+  assert.equal(message.body.chat_id, '555');
+  assert.ok(message.body.text.includes(anime.title));
+  assert.deepEqual(
+    message.body.reply_markup.inline_keyboard[0].map((button) => button.callback_data),
+    [`watched:${anime.id}:1`, `snooze:${reminder.body.id}`]
+  );
+
+  const [watched, snooze] = message.body.reply_markup.inline_keyboard[0];
+  await postUpdate({
+    update_id: 3,
+    callback_query: { id: 'cb-1', from: { id: 555 }, message: { chat: { id: 555 } }, data: watched.callback_data },
+  });
+  assert.equal(calls[3].method, 'answerCallbackQuery');
+  assert.equal(calls[3].body.callback_query_id, 'cb-1');
+  const progress = db.prepare(`
+    SELECT e.episode_number AS episodeNumber
+    FROM watch_progress wp
+    JOIN episodes e ON e.id = wp.episode_id
+    WHERE wp.anime_id = ?
+  `).all(anime.id);
+  assert.deepEqual(progress, [{ episodeNumber: 1 }]);
+
+  await postUpdate({
+    update_id: 4,
+    callback_query: { id: 'cb-2', from: { id: 555 }, message: { chat: { id: 555 } }, data: snooze.callback_data },
+  });
+  assert.equal(calls[4].body.text, 'Reminder snoozed until the next episode.');
+  db.close();
+
+  const reminders = await requestJson(baseUrl, '/api/reminders', { headers: authHeaders });
+  assert.ok(reminders.body[0].snoozedUntil);
+
+  const unlinked = await fetch(`${baseUrl}/api/telegram/link`, { method: 'DELETE', headers: authHeaders });
+  assert.equal(unlinked.status, 204);
+  assert.equal((await requestJson(baseUrl, '/api/telegram', { headers: authHeaders })).body.linked, false);
+});
+
+test('sync records schedule history, flags delays and notifies reminder channels', async (t) => {
+  const port = 7700 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-delays-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const originalAiringAt = Math.floor((Date.now() + 10 * 60 * 1000 - 10 * 1000) / 1000);
+  let airingAt = originalAiringAt;
+  const anilist = await startAniListStub(() => [
+    airingScheduleRow({ id: 880001, mediaId: 99001, title: 'Delay Test', episode: 3, airingAt }),
+  ]);
+
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.statusCode = received.length === 1 ? 503 : 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+
+  const server = startServer(port, dbPath, {
+    ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/`,
+    ANILIST_PAGE_LIMIT: '1',
+    SCHEDULE_CHANGE_THRESHOLD_MINUTES: '15',
+    WEBHOOK_ALLOWED_HOSTS: '127.0.0.1',
+    NOTIFY_RETRY_BASE_MS: '1000',
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    anilist.close();
+    receiver.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const sync = async () => {
+    const result = await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+    assert.equal(result.response.status, 200, JSON.stringify(result.body));
+    return result.body.result;
+  };
+  const findUpcoming = async () => (await requestJson(baseUrl, '/api/episodes/upcoming'))
+    .body.find((episode) => episode.animeTitle === 'Delay Test');
+
+  await sync();
+  const episode = await findUpcoming();
+  assert.equal(episode.scheduleStatus, null);
+
+  const email = `delays_${Date.now()}@example.com`;
+  const token = await loginVerifiedUser(baseUrl, dbPath, email);
+  const reminder = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ animeId: episode.animeId, offsets: [10], destinations: [{ channel: 'email' }] }),
+  });
+  assert.equal(reminder.response.status, 201);
+
+  const webhook = await requestJson(baseUrl, '/api/webhooks', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['schedule.changed'] }),
+  });
+  assert.equal(webhook.response.status, 201);
+
+  const beforeDelay = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(beforeDelay.body.result.sent, 1);
+
+  airingAt = originalAiringAt + 5 * 60;
+  const minor = await sync();
+  assert.equal(minor.scheduleChanges, 1);
+  assert.equal(minor.significantScheduleChanges, 0);
+  assert.equal((await findUpcoming()).scheduleStatus, null);
+
+  const listSent = () => {
+    const db = new Database(dbPath);
+    const rows = db.prepare('SELECT release_at AS releaseAt FROM notification_log WHERE episode_id = ? ORDER BY id ASC').all(episode.id);
+    db.close();
+    return rows.map((row) => row.releaseAt);
+  };
+  const minorReleaseAt = new Date((originalAiringAt + 5 * 60) * 1000).toISOString();
+  assert.deepEqual(listSent(), [minorReleaseAt]);
+
+  airingAt = originalAiringAt + 2 * 60 * 60;
+  const delayed = await sync();
+  assert.equal(delayed.significantScheduleChanges, 1);
+
+  const flagged = await findUpcoming();
+  assert.equal(flagged.scheduleStatus, 'delayed');
+  assert.equal(flagged.originalReleaseAt, new Date(originalAiringAt * 1000).toISOString());
+
+  const history = await requestJson(baseUrl, `/api/episodes/${flagged.id}/schedule-history`);
+  assert.deepEqual(history.body.changes.map((change) => [change.shiftMinutes, change.significant]), [
+    [115, true],
+    [5, false],
+  ]);
+
+  // Both moves reach the webhook through the outbox; the first attempt fails
+  // and is retried with the same event.
+  const notice = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(notice.body.result.sent, 2);
+  assert.equal(notice.body.result.retrying, 1);
+  await delay(1100);
+  const retried = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.equal(retried.body.result.sent, 1);
+  assert.deepEqual(received.map((event) => [event.type, event.data.episode.releaseAt]), [
+    ['schedule.changed', new Date((originalAiringAt + 5 * 60) * 1000).toISOString()],
+    ['schedule.changed', new Date((originalAiringAt + 2 * 60 * 60) * 1000).toISOString()],
+    ['schedule.changed', new Date((originalAiringAt + 5 * 60) * 1000).toISOString()],
+  ]);
+  assert.equal(received[2].id, received[0].id);
+  assert.match(
+    server.getLogs(),
+    new RegExp(`to=${email} subject=Anime Schedule Change message=Delay Test - Episode 3 was delayed by 1h 55m\\. It now airs`)
+  );
+
+  assert.deepEqual(listSent(), [minorReleaseAt]);
+
+  // Moving back re-arms the lead time for the new release time and keeps the
+  // earlier delivery on record.
+  airingAt = originalAiringAt;
+  await sync();
+  assert.equal((await findUpcoming()).scheduleStatus, null);
+  await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(listSent(), [minorReleaseAt, new Date(originalAiringAt * 1000).toISOString()]);
+});
+
+test('sync marks vanished episodes unconfirmed and prunes them after a second miss', async (t) => {
+  const port = 7900 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-prune-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const airingAt = Math.floor(Date.now() / 1000) + 6 * 60 * 60;
+  const kept = airingScheduleRow({ id: 990001, mediaId: 99101, title: 'Prune Kept', episode: 1, airingAt });
+  const cancelled = airingScheduleRow({ id: 990002, mediaId: 99102, title: 'Prune Cancelled', episode: 1, airingAt });
+  let rows = [kept, cancelled];
+  const anilist = await startAniListStub(() => rows);
+
+  const server = startServer(port, dbPath, {
+    ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/`,
+    ANILIST_PAGE_LIMIT: '1',
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    anilist.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const sync = async () => (await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' })).body.result;
+  const findUpcoming = async (title) => (await requestJson(baseUrl, '/api/episodes/upcoming'))
+    .body.find((episode) => episode.animeTitle === title);
+
+  await sync();
+  assert.equal((await findUpcoming('Prune Cancelled')).unconfirmedAt, null);
+
+  rows = [kept];
+  const firstMiss = await sync();
+  assert.equal(firstMiss.unconfirmedEpisodes, 1);
+  assert.equal(firstMiss.prunedEpisodes, 0);
+  assert.ok((await findUpcoming('Prune Cancelled')).unconfirmedAt);
+  assert.equal((await findUpcoming('Prune Kept')).unconfirmedAt, null);
+
+  rows = [kept, cancelled];
+  await sync();
+  assert.equal((await findUpcoming('Prune Cancelled')).unconfirmedAt, null);
+
+  rows = [];
+  const empty = await sync();
+  assert.equal(empty.unconfirmedEpisodes, 0);
+
+  rows = [kept];
+  await sync();
+  const secondMiss = await sync();
+  assert.equal(secondMiss.prunedEpisodes, 1);
+  assert.equal(await findUpcoming('Prune Cancelled'), undefined);
+  assert.ok(await findUpcoming('Prune Kept'));
+
+  const status = await requestJson(baseUrl, '/api/sync/status');
+  const anilistStatus = status.body.providers.find((provider) => provider.name === 'anilist');
+  assert.equal(anilistStatus.lastResult.prunedEpisodes, 1);
+  assert.equal(anilistStatus.lastResult.unconfirmedEpisodes, 0);
+});
+
+test('sync survives a provider renumbering an episode onto a number another row holds', async (t) => {
+  const port = 9500 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-renumber-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const airingAt = Math.floor(Date.now() / 1000) + 6 * 60 * 60;
+  const recap = airingScheduleRow({ id: 995001, mediaId: 99501, title: 'Renumber Test', episode: 3, airingAt });
+  const next = airingScheduleRow({ id: 995002, mediaId: 99501, title: 'Renumber Test', episode: 4, airingAt: airingAt + 7 * 24 * 60 * 60 });
+  let rows = [recap, next];
+  const anilist = await startAniListStub(() => rows);
+
+  const server = startServer(port, dbPath, {
+    ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/`,
+    ANILIST_PAGE_LIMIT: '1',
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    anilist.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const sync = async () => {
+    const result = await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+    assert.equal(result.response.status, 200, JSON.stringify(result.body));
+    return result.body.result;
+  };
+  const listEpisodes = () => {
+    const db = new Database(dbPath);
+    const episodes = db.prepare(`
+      SELECT external_id AS externalId, episode_number AS number, unconfirmed_at AS unconfirmedAt
+      FROM episodes WHERE source = 'anilist' ORDER BY external_id ASC
+    `).all();
+    db.close();
+    return episodes;
+  };
+
+  await sync();
+
+  // The recap is dropped upstream and the next airing takes its number.
+  rows = [{ ...next, episode: 3 }];
+  const renumbered = await sync();
+  assert.equal(renumbered.displacedEpisodes, 1);
+  assert.equal(renumbered.prunedEpisodes, 0);
+
+  const [displaced, moved] = listEpisodes();
+  assert.equal(displaced.externalId, '995001');
+  assert.ok(displaced.number < 0);
+  assert.ok(displaced.unconfirmedAt);
+  assert.deepEqual(moved, { externalId: '995002', number: 3, unconfirmedAt: null });
+
+  const upcoming = (await requestJson(baseUrl, '/api/episodes/upcoming?days=14')).body
+    .filter((episode) => episode.animeTitle === 'Renumber Test');
+  assert.deepEqual(upcoming.map((episode) => episode.episodeNumber), [3]);
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, `renumber_${Date.now()}@example.com`);
+  const reminder = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ animeId: upcoming[0].animeId, offsets: [10], destinations: [{ channel: 'email' }] }),
+  });
+  assert.equal(reminder.response.status, 201, JSON.stringify(reminder.body));
+  const db = new Database(dbPath);
+  const setRecapRelease = db.prepare("UPDATE episodes SET release_at = ? WHERE external_id = '995001'");
+  setRecapRelease.run(new Date(Date.now() + 10 * 60 * 1000 - 10 * 1000).toISOString());
+  const run = await requestJson(baseUrl, '/api/jobs/reminders/run', { method: 'POST' });
+  assert.deepEqual(run.body.result, { sent: 0, retrying: 0, dead: 0, suppressed: 0 }, 'displaced episodes trigger no reminders');
+  setRecapRelease.run(new Date(airingAt * 1000).toISOString());
+  db.close();
+
+  const secondMiss = await sync();
+  assert.equal(secondMiss.prunedEpisodes, 1);
+  assert.deepEqual(listEpisodes().map((episode) => [episode.externalId, episode.number]), [['995002', 3]]);
+});
+
+test('sync runs are recorded with diagnostics and listed with pagination', async (t) => {
+  const port = 8100 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-sync-runs-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const airingAt = Math.floor(Date.now() / 1000) + 6 * 60 * 60;
+  let rows = [
+    airingScheduleRow({ id: 991001, mediaId: 99201, title: 'Runs One', episode: 1, airingAt }),
+    airingScheduleRow({ id: 991002, mediaId: 99202, title: 'Runs Two', episode: 1, airingAt }),
+    { ...airingScheduleRow({ id: 991003, mediaId: 99203, title: 'Runs Manga', episode: 1, airingAt }), media: { type: 'MANGA' } },
+  ];
+  const anilist = await startAniListStub(() => {
+    if (!rows) throw new Error('upstream exploded');
+    return rows;
+  });
+
+  const server = startServer(port, dbPath, {
+    ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/`,
+    ANILIST_PAGE_LIMIT: '1',
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    anilist.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const first = await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+  assert.equal(first.body.result.insertedEpisodes, 2);
+  assert.equal(first.body.result.skippedRows, 1);
+
+  rows = rows.slice(0, 2);
+  await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+
+  rows = null;
+  const failed = await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+  assert.equal(failed.response.status, 502);
+
+  const latest = await requestJson(baseUrl, '/api/sync/runs?page=1&pageSize=2');
+  assert.equal(latest.body.total, 3);
+  assert.equal(latest.body.pageSize, 2);
+  assert.equal(latest.body.runs.length, 2);
+
+  const [failedRun, secondRun] = latest.body.runs;
+  assert.equal(failedRun.status, 'failed');
+  assert.equal(failedRun.trigger, 'manual');
+  assert.equal(failedRun.pagesFetched, 0);
+  assert.match(failedRun.error, /upstream exploded/);
+  assert.ok(failedRun.finishedAt);
+
+  assert.equal(secondRun.status, 'succeeded');
+  assert.deepEqual(
+    [secondRun.pagesFetched, secondRun.rowsFetched, secondRun.rowsInserted, secondRun.rowsUpdated, secondRun.rowsSkipped],
+    [1, 2, 0, 2, 0]
+  );
+  assert.ok(secondRun.durationMs >= 0);
+
+  const older = await requestJson(baseUrl, '/api/sync/runs?page=2&pageSize=2');
+  assert.equal(older.body.runs.length, 1);
+  assert.equal(older.body.runs[0].id, first.body.result.runId);
+  assert.deepEqual([older.body.runs[0].rowsInserted, older.body.runs[0].rowsSkipped], [2, 1]);
+});
+
+test('a database lease keeps AniList syncs from overlapping', async (t) => {
+  const port = 8300 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-sync-lease-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const airingAt = Math.floor(Date.now() / 1000) + 6 * 60 * 60;
+  const anilist = await startAniListStub(async () => {
+    await delay(500);
+    return [airingScheduleRow({ id: 992001, mediaId: 99301, title: 'Lease Show', episode: 1, airingAt })];
+  });
+
+  const server = startServer(port, dbPath, {
+    ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/`,
+    ANILIST_PAGE_LIMIT: '1',
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    anilist.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const runSync = () => requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+
+  const concurrent = await Promise.all([runSync(), runSync()]);
+  const statuses = concurrent.map(({ response }) => response.status).sort();
+  assert.deepEqual(statuses, [200, 409]);
+  const winner = concurrent.find(({ response }) => response.status === 200).body.result;
+  const loser = concurrent.find(({ response }) => response.status === 409).body;
+  assert.equal(loser.error, 'AniList sync is already running.');
+  assert.equal(loser.run.id, winner.runId);
+  assert.equal(loser.run.trigger, 'manual');
+
+  const db = new Database(dbPath);
+  const staleRun = db.prepare(`
+    INSERT INTO sync_runs (source, trigger, started_at) VALUES ('anilist', 'cron', ?)
+  `).run(new Date().toISOString()).lastInsertRowid;
+  db.prepare('INSERT INTO job_leases (name, owner, acquired_at, expires_at) VALUES (?, ?, ?, ?)').run(
+    'anilist_sync',
+    'replica-2',
+    new Date().toISOString(),
+    new Date(Date.now() + 60 * 1000).toISOString()
+  );
+
+  const blocked = await runSync();
+  assert.equal(blocked.response.status, 409);
+  assert.equal(blocked.body.run.owner, 'replica-2');
+  assert.equal(blocked.body.run.id, Number(staleRun));
+
+  const anilistStatus = async () => (await requestJson(baseUrl, '/api/sync/status')).body.providers
+    .find((provider) => provider.name === 'anilist');
+  assert.equal((await anilistStatus()).inProgress.trigger, 'cron');
+
+  db.prepare("UPDATE job_leases SET expires_at = ? WHERE name = 'anilist_sync'").run(new Date(Date.now() - 1000).toISOString());
+  const takenOver = await runSync();
+  assert.equal(takenOver.response.status, 200);
+
+  const stale = db.prepare('SELECT status, finished_at AS finishedAt FROM sync_runs WHERE id = ?').get(staleRun);
+  const leases = db.prepare('SELECT COUNT(*) AS count FROM job_leases').get();
+  db.close();
+  assert.equal(stale.status, 'interrupted');
+  assert.ok(stale.finishedAt);
+  assert.equal(leases.count, 0);
+  assert.equal((await anilistStatus()).inProgress, null);
+});
+
+test('only the elected instance runs scheduled jobs and a survivor takes over', async (t) => {
+  const port = 8500 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-leader-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const firstUrl = `http://127.0.0.1:${port}`;
+  const secondUrl = `http://127.0.0.1:${port + 1}`;
+
+  let syncRequests = 0;
+  const anilist = await startAniListStub(() => {
+    syncRequests += 1;
+    return [];
+  });
+  const env = {
+    DISABLE_STARTUP_JOBS: '0',
+    SCHEDULER_LEASE_SECONDS: '3',
+    ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/`,
+    ANILIST_PAGE_LIMIT: '1',
+    ADMIN_EMAILS: 'leader-admin@example.com',
+  };
+
+  const first = startServer(port, dbPath, env);
+  await waitForHealth(firstUrl);
+  const second = startServer(port + 1, dbPath, env);
+  await waitForHealth(secondUrl);
+
+  t.after(async () => {
+    first.child.kill('SIGTERM');
+    second.child.kill('SIGTERM');
+    anilist.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const firstHealth = (await requestJson(firstUrl, '/api/health')).body.scheduler;
+  const secondHealth = (await requestJson(secondUrl, '/api/health')).body.scheduler;
+  assert.equal(firstHealth.isLeader, true);
+  assert.equal(secondHealth.isLeader, false);
+  assert.ok(secondHealth.leaderExpiresAt);
+  assert.equal(secondHealth.instanceId, undefined);
+  assert.equal(secondHealth.leader, undefined);
+
+  const adminToken = await loginVerifiedUser(firstUrl, dbPath, 'leader-admin@example.com');
+  const adminHeaders = { Authorization: `Bearer ${adminToken}` };
+  const userToken = await loginVerifiedUser(firstUrl, dbPath, `leader_user_${Date.now()}@example.com`);
+  const forbidden = await requestJson(secondUrl, '/api/health/scheduler', { headers: { Authorization: `Bearer ${userToken}` } });
+  assert.equal(forbidden.response.status, 403);
+
+  const firstDetails = (await requestJson(firstUrl, '/api/health/scheduler', { headers: adminHeaders })).body;
+  const secondDetails = (await requestJson(secondUrl, '/api/health/scheduler', { headers: adminHeaders })).body;
+  assert.notEqual(firstDetails.instanceId, secondDetails.instanceId);
+  assert.equal(secondDetails.leader.owner, firstDetails.instanceId);
+
+  await delay(500);
+  assert.equal(syncRequests, 1, 'only the leader runs the startup sync');
+
+  first.child.kill('SIGKILL');
+
+  let takeover = null;
+  const deadline = Date.now() + 10000;
+  while (Date.now() < deadline) {
+    takeover = (await requestJson(secondUrl, '/api/health')).body.scheduler;
+    if (takeover.isLeader) break;
+    await delay(250);
+  }
+  assert.equal(takeover.isLeader, true, second.getLogs());
+  const takeoverDetails = (await requestJson(secondUrl, '/api/health/scheduler', { headers: adminHeaders })).body;
+  assert.equal(takeoverDetails.leader.owner, secondDetails.instanceId);
+  assert.match(second.getLogs(), /Scheduler leadership acquired by/);
+});
+
+test('schedule providers sync independently and report per-provider status', async (t) => {
+  const port = 8700 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-providers-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const day = 24 * 60 * 60 * 1000;
+  const dateOnly = (offsetMs) => new Date(Date.now() + offsetMs).toISOString().slice(0, 10);
+  const kitsuAnime = (id, title, attributes) => ({
+    id,
+    type: 'anime',
+    attributes: {
+      canonicalTitle: title,
+      titles: { en_jp: title },
+      posterImage: { large: `https://media.kitsu.example/${id}.jpg` },
+      synopsis: `${title} synopsis`,
+      userCount: 500,
+      episodeLength: 24,
+      ...attributes,
+    },
+  });
+  const catalogue = [
+    kitsuAnime('9001', 'Kitsu Weekly', { startDate: dateOnly(-21 * day), nextRelease: new Date(Date.now() + day).toISOString() }),
+    kitsuAnime('9002', 'Kitsu Finished', { startDate: dateOnly(-90 * day), nextRelease: null }),
+    kitsuAnime('9003', 'Kitsu Premiere', { startDate: dateOnly(0), nextRelease: new Date(Date.now() + 2 * day).toISOString(), episodeCount: 12 }),
+    kitsuAnime('9004', 'Kitsu Delayed', { startDate: dateOnly(-7 * day), nextRelease: new Date(Date.now() + 5 * day).toISOString() }),
+    kitsuAnime('9005', 'Kitsu Throttled', { startDate: dateOnly(-7 * day), nextRelease: new Date(Date.now() + 3 * day).toISOString() }),
+  ];
+  // Kitsu Weekly skipped a week, so its next episode is 3 rather than the 4 a
+  // weekly run since the start date would give; Kitsu Delayed's list still has
+  // the old air date.
+  const kitsuEpisodes = {
+    9001: [[1, -21 * day], [2, -14 * day], [3, day]],
+    9003: [[1, 2 * day], [2, 9 * day]],
+    9004: [[1, -7 * day], [2, 0]],
+  };
+
+  const kitsuQueries = [];
+  const kitsu = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://kitsu.test');
+    res.setHeader('Content-Type', 'application/vnd.api+json');
+    const episodesPath = url.pathname.match(/^\/anime\/(\d+)\/episodes$/);
+    if (episodesPath?.[1] === '9005') {
+      res.statusCode = 429;
+      res.end(JSON.stringify({ errors: [{ title: 'Too Many Requests' }] }));
+      return;
+    }
+    if (episodesPath) {
+      const episodes = (kitsuEpisodes[episodesPath[1]] || []).slice().reverse().map(([number, offset]) => ({
+        id: `${episodesPath[1]}-${number}`,
+        type: 'episodes',
+        attributes: { number, airdate: dateOnly(offset) },
+      }));
+      res.end(JSON.stringify({ data: episodes }));
+      return;
+    }
+
+    kitsuQueries.push(url);
+    const limit = Number(url.searchParams.get('page[limit]'));
+    const offset = Number(url.searchParams.get('page[offset]'));
+    const next = offset + limit < catalogue.length ? `${url.origin}/anime?page[offset]=${offset + limit}` : undefined;
+    res.end(JSON.stringify({ data: catalogue.slice(offset, offset + limit), links: { next } }));
+  });
+  await new Promise((resolve) => kitsu.listen(0, '127.0.0.1', resolve));
+
+  const server = startServer(port, dbPath, {
+    ANILIST_ENABLED: '0',
+    KITSU_ENABLED: '1',
+    KITSU_API_URL: `http://127.0.0.1:${kitsu.address().port}/`,
+    KITSU_PER_PAGE: '2',
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    kitsu.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const before = await requestJson(baseUrl, '/api/sync/status');
+  const providerNames = before.body.providers.map((provider) => provider.name);
+  assert.deepEqual(providerNames, ['anilist', 'kitsu']);
+  const [anilistBefore, kitsuBefore] = before.body.providers;
+  assert.equal(anilistBefore.enabled, false);
+  assert.equal(kitsuBefore.enabled, true);
+  assert.deepEqual(kitsuBefore.capabilities, { airingOrder: false, upcomingEpisodes: 'next' });
+  assert.equal(kitsuBefore.lastSyncAt, null);
+
+  const disabled = await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+  assert.equal(disabled.response.status, 400);
+  const unknown = await requestJson(baseUrl, '/api/sync/mal', { method: 'POST' });
+  assert.equal(unknown.response.status, 404);
+
+  const synced = await requestJson(baseUrl, '/api/sync/kitsu', { method: 'POST' });
+  assert.equal(synced.response.status, 200, JSON.stringify(synced.body));
+  assert.equal(synced.body.result.source, 'kitsu');
+  assert.equal(synced.body.result.pagesFetched, 3);
+  assert.equal(synced.body.result.syncedEpisodes, 2);
+  assert.equal(synced.body.result.skippedRows, 3);
+  assert.equal(kitsuQueries[0].searchParams.get('filter[status]'), 'current');
+  assert.deepEqual(kitsuQueries.map((url) => url.searchParams.get('page[offset]')), ['0', '2', '4']);
+
+  const upcoming = await requestJson(baseUrl, '/api/episodes/upcoming?days=7');
+  const weekly = upcoming.body.find((episode) => episode.animeTitle === 'Kitsu Weekly');
+  const premiere = upcoming.body.find((episode) => episode.animeTitle === 'Kitsu Premiere');
+  assert.equal(weekly.source, 'kitsu');
+  assert.equal(weekly.episodeNumber, 3);
+  assert.equal(premiere.episodeNumber, 1);
+  assert.equal(upcoming.body.some((episode) => episode.animeTitle === 'Kitsu Finished'), false);
+  assert.equal(upcoming.body.some((episode) => episode.animeTitle === 'Kitsu Delayed'), false);
+  assert.equal(upcoming.body.some((episode) => episode.animeTitle === 'Kitsu Throttled'), false);
+
+  const after = await requestJson(baseUrl, '/api/sync/status');
+  const kitsuAfter = after.body.providers.find((provider) => provider.name === 'kitsu');
+  assert.equal(kitsuAfter.lastResult.syncedEpisodes, 2);
+  assert.equal(kitsuAfter.inProgress, null);
+  assert.equal(after.body.providers.find((provider) => provider.name === 'anilist').lastSyncAt, null);
+
+  const kitsuRuns = await requestJson(baseUrl, '/api/sync/runs?source=kitsu');
+  assert.equal(kitsuRuns.body.total, 1);
+  assert.equal(kitsuRuns.body.runs[0].source, 'kitsu');
+  assert.equal((await requestJson(baseUrl, '/api/sync/runs?source=anilist')).body.total, 0);
+});
+
+test('anime from different sources are matched, merged and split by identity', async (t) => {
+  const port = 8900 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-identity-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const airingAt = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+  const anilist = await startAniListStub(() => [
+    airingScheduleRow({ id: 6100, mediaId: 610, title: 'Skybound  Blades!', episode: 3, airingAt: airingAt - 7 * 24 * 60 * 60 }),
+    airingScheduleRow({ id: 6101, mediaId: 610, title: 'Skybound  Blades!', episode: 4, airingAt }),
+  ]);
+  const server = startServer(port, dbPath, {
+    ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/`,
+    ADMIN_EMAILS: 'identity-admin@example.com',
+  });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    anilist.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const userToken = await loginVerifiedUser(baseUrl, dbPath, 'identity-user@example.com');
+  const adminToken = await loginVerifiedUser(baseUrl, dbPath, 'identity-admin@example.com');
+  const asUser = { Authorization: `Bearer ${userToken}`, 'Content-Type': 'application/json' };
+  const asAdmin = { Authorization: `Bearer ${adminToken}`, 'Content-Type': 'application/json' };
+  const findAnime = async (title) => (await requestJson(baseUrl, '/api/anime')).body.filter((anime) => anime.title === title);
+
+  const [local] = await findAnime('Skybound Blades');
+  await requestJson(baseUrl, '/api/watchlist', {
+    method: 'POST',
+    headers: asUser,
+    body: JSON.stringify({ animeId: local.id, status: 'watching' }),
+  });
+  const reminder = await requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: asUser,
+    body: JSON.stringify({ animeId: local.id, minutesBefore: 30, destinations: [{ channel: 'email' }] }),
+  });
+  assert.equal(reminder.response.status, 201, JSON.stringify(reminder.body));
+
+  const synced = await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+  assert.equal(synced.body.result.matchedAnime, 1);
+  assert.deepEqual(await findAnime('Skybound Blades'), []);
+  const [canonical] = await findAnime('Skybound  Blades!');
+  assert.equal(canonical.source, 'anilist');
+
+  const identities = (await requestJson(baseUrl, `/api/anime/${local.id}/identities`)).body.identities;
+  assert.deepEqual(identities.map(({ source, matchMethod }) => [source, matchMethod]), [['anilist', 'source'], ['local', 'auto']]);
+  assert.deepEqual(identities.map(({ foldedEpisodes }) => foldedEpisodes), [0, 1]);
+  const byOldId = await requestJson(baseUrl, `/api/anime/${local.id}`);
+  assert.equal(byOldId.body.id, canonical.id);
+  const calendar = await fetch(`${baseUrl}/api/calendar.ics?animeId=${local.id}`);
+  assert.match(await calendar.text(), /Skybound {2}Blades! - Episode 4/);
+  const episodes = (await requestJson(baseUrl, '/api/episodes/upcoming?days=60')).body
+    .filter((episode) => episode.animeId === canonical.id)
+    .map((episode) => episode.episodeNumber);
+  assert.deepEqual(episodes, [1, 2, 3, 4]);
+
+  const reminders = (await requestJson(baseUrl, '/api/reminders', { headers: asUser })).body;
+  assert.equal(reminders.find((entry) => entry.id === reminder.body.id).animeId, canonical.id);
+  const watchlist = (await requestJson(baseUrl, '/api/watchlist', { headers: asUser })).body;
+  assert.deepEqual(watchlist.map((entry) => entry.animeId), [canonical.id]);
+  const staleId = await requestJson(baseUrl, '/api/watchlist', {
+    method: 'POST',
+    headers: asUser,
+    body: JSON.stringify({ animeId: local.id }),
+  });
+  assert.equal(staleId.response.status, 409);
+
+  const forbidden = await requestJson(baseUrl, `/api/anime/${canonical.id}/unmerge`, {
+    method: 'POST',
+    headers: asUser,
+    body: JSON.stringify({ source: 'local', externalId: String(local.id) }),
+  });
+  assert.equal(forbidden.response.status, 403);
+
+  const ownIdentity = await requestJson(baseUrl, `/api/anime/${canonical.id}/unmerge`, {
+    method: 'POST',
+    headers: asAdmin,
+    body: JSON.stringify({ source: 'anilist', externalId: '610' }),
+  });
+  assert.equal(ownIdentity.response.status, 409);
+
+  const split = await requestJson(baseUrl, `/api/anime/${canonical.id}/unmerge`, {
+    method: 'POST',
+    headers: asAdmin,
+    body: JSON.stringify({ source: 'local', externalId: String(local.id) }),
+  });
+  assert.equal(split.response.status, 201, JSON.stringify(split.body));
+  assert.deepEqual(split.body.identities.map(({ source, matchMethod }) => [source, matchMethod]), [['local', 'split']]);
+  assert.equal(split.body.foldedEpisodes, 1);
+  assert.match(split.body.note, /not restored/);
+
+  const resynced = await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+  assert.equal(resynced.body.result.matchedAnime, 0, 'split anime are not matched again');
+  const afterSplit = (await requestJson(baseUrl, '/api/episodes/upcoming?days=60')).body;
+  assert.deepEqual(afterSplit.filter((episode) => episode.animeId === split.body.animeId).map((episode) => episode.episodeNumber), [1, 2]);
+  assert.deepEqual(afterSplit.filter((episode) => episode.animeId === canonical.id).map((episode) => episode.episodeNumber), [3, 4]);
+
+  const [neonRamen] = await findAnime('Neon Ramen Club');
+  const sameSource = await requestJson(baseUrl, `/api/anime/${split.body.animeId}/merge`, {
+    method: 'POST',
+    headers: asAdmin,
+    body: JSON.stringify({ duplicateId: neonRamen.id }),
+  });
+  assert.equal(sameSource.response.status, 409);
+
+  const merged = await requestJson(baseUrl, `/api/anime/${canonical.id}/merge`, {
+    method: 'POST',
+    headers: asAdmin,
+    body: JSON.stringify({ duplicateId: split.body.animeId }),
+  });
+  assert.equal(merged.response.status, 200, JSON.stringify(merged.body));
+  assert.equal(merged.body.movedEpisodes, 2);
+  assert.deepEqual(merged.body.identities.map(({ source, matchMethod }) => [source, matchMethod]), [['anilist', 'source'], ['local', 'manual']]);
+});
+
+test('alternative titles are searchable and follow the preferred title language', async (t) => {
+  const port = 9100 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-titles-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const airingAt = Math.floor(Date.now() / 1000) + 2 * 24 * 60 * 60;
+  const row = airingScheduleRow({ id: 7101, mediaId: 710, title: 'Attack on Titan', episode: 5, airingAt });
+  row.media.title.romaji = 'Shingeki no Kyojin';
+  row.media.title.native = '進撃の巨人';
+  row.media.synonyms = ['SnK', 'AoT'];
+  const anilist = await startAniListStub(() => [row]);
+  const server = startServer(port, dbPath, { ANILIST_API_URL: `http://127.0.0.1:${anilist.address().port}/` });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    anilist.close();
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  await requestJson(baseUrl, '/api/sync/anilist', { method: 'POST' });
+  const search = async (query, headers = {}) => (await requestJson(baseUrl, `/api/anime?search=${encodeURIComponent(query)}`, { headers })).body
+    .map((anime) => anime.title);
+
+  assert.deepEqual(await search('shingeki no-kyojin'), ['Attack on Titan']);
+  assert.deepEqual(await search('進撃'), ['Attack on Titan']);
+  assert.deepEqual(await search('snk'), ['Attack on Titan']);
+  assert.deepEqual(await search('neon ramen'), ['Neon Ramen Club']);
+  assert.deepEqual(await search('!!!'), []);
+
+  const [anime] = (await requestJson(baseUrl, '/api/anime?search=aot')).body;
+  const titles = (await requestJson(baseUrl, `/api/anime/${anime.id}/titles`)).body.titles;
+  assert.deepEqual(titles.map(({ kind, title }) => [kind, title]), [
+    ['english', 'Attack on Titan'],
+    ['romaji', 'Shingeki no Kyojin'],
+    ['native', '進撃の巨人'],
+    ['synonym', 'SnK'],
+    ['synonym', 'AoT'],
+  ]);
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, 'titles@example.com');
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const invalid = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ titleLanguage: 'klingon' }),
+  });
+  assert.equal(invalid.response.status, 400);
+  const updated = await requestJson(baseUrl, '/api/auth/me', {
+    method: 'PATCH',
+    headers: authHeaders,
+    body: JSON.stringify({ titleLanguage: 'romaji' }),
+  });
+  assert.equal(updated.body.user.titleLanguage, 'romaji');
+
+  assert.deepEqual(await search('attack', authHeaders), ['Shingeki no Kyojin']);
+  const upcoming = (await requestJson(baseUrl, '/api/episodes/upcoming?days=7&search=titan', { headers: authHeaders })).body;
+  assert.deepEqual(upcoming.map((episode) => episode.animeTitle), ['Shingeki no Kyojin']);
+  const anonymous = (await requestJson(baseUrl, '/api/episodes/upcoming?days=7&search=titan')).body;
+  assert.deepEqual(anonymous.map((episode) => episode.animeTitle), ['Attack on Titan']);
+
+  const preview = await requestJson(baseUrl, '/api/templates/preview', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id }),
+  });
+  assert.equal(preview.body.episode.animeTitle, 'Shingeki no Kyojin');
+
+  await requestJson(baseUrl, '/api/watchlist', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, status: 'watching' }),
+  });
+  const created = await requestJson(baseUrl, '/api/calendar/feed', { method: 'POST', headers: authHeaders });
+  const ics = await (await fetch(`${baseUrl}${new URL(created.body.feedUrl).pathname}`)).text();
+  assert.match(ics, /Shingeki no Kyojin - Episode 5/);
+  assert.doesNotMatch(ics, /Attack on Titan/);
+});
+
+test('slack destinations validate webhook URLs and render escaped Block Kit messages', async (t) => {
+  const port = 9300 + Math.floor(Math.random() * 200);
+  const dbPath = path.join(ROOT, 'data', `test-slack-${Date.now()}-${Math.random().toString(16).slice(2)}.db`);
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const server = startServer(port, dbPath, { APP_BASE_URL: 'https://tracker.example.com' });
+  await waitForHealth(baseUrl);
+
+  t.after(async () => {
+    server.child.kill('SIGTERM');
+    await delay(400);
+
+    [dbPath, `${dbPath}-wal`, `${dbPath}-shm`].forEach((target) => {
+      if (fs.existsSync(target)) fs.rmSync(target, { force: true });
+    });
+  });
+
+  const token = await loginVerifiedUser(baseUrl, dbPath, 'slack@example.com');
+  const authHeaders = { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' };
+  const createSlackReminder = (target) => requestJson(baseUrl, '/api/reminders', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ minutesBefore: 30, destinations: [{ channel: 'slack', target }] }),
+  });
+
+  for (const target of [
+    'http://hooks.slack.com/services/T0/B0/secret',
+    'https://hooks.slack.com.evil.example/services/T0/B0/secret',
+    'https://hooks.slack.com/services/T0/B0',
+    'https://hooks.slack.com/workflows/T0/B0/secret',
+  ]) {
+    const rejected = await createSlackReminder(target);
+    assert.equal(rejected.response.status, 400, target);
+  }
+  const accepted = await createSlackReminder(' https://hooks.slack.com/services/T0/B0/secret ');
+  assert.equal(accepted.response.status, 201, JSON.stringify(accepted.body));
+  assert.equal(accepted.body.destinations[0].target, 'https://hooks.slack.com/services/T0/B0/secret');
+
+  const db = new Database(dbPath);
+  const anime = db.prepare("SELECT id FROM anime WHERE title = 'Clockwork Familiar'").get();
+  db.prepare('UPDATE anime SET title = ?, cover_image_url = ? WHERE id = ?')
+    .run('Cogs & <Gears>', 'https://img.example.com/cogs.jpg', anime.id);
+  db.prepare(`
+    UPDATE episodes SET title = ?
+    WHERE id = (SELECT id FROM episodes WHERE anime_id = ? AND release_at > ? ORDER BY release_at ASC LIMIT 1)
+  `).run('<!channel> & friends', anime.id, new Date().toISOString());
+  db.close();
+
+  const preview = await requestJson(baseUrl, '/api/templates/preview', {
+    method: 'POST',
+    headers: authHeaders,
+    body: JSON.stringify({ animeId: anime.id, template: '{{anime}} #{{episode}}' }),
+  });
+  assert.equal(preview.response.status, 200, JSON.stringify(preview.body));
+  const slack = preview.body.channels.slack;
+  const [section, actions] = slack.blocks;
+  assert.match(slack.text, /^Cogs &amp; &lt;Gears&gt; #\d+$/);
+  assert.equal(section.text.type, 'mrkdwn');
+  assert.match(section.text.text, /^Cogs &amp; &lt;Gears&gt; #\d+\n_&lt;!channel&gt; &amp; friends_\nReleases <!date\^\d+\^/);
+  assert.doesNotMatch(section.text.text, /<!channel>/);
+  assert.deepEqual(section.accessory, {
+    type: 'image',
+    image_url: 'https://img.example.com/cogs.jpg',
+    alt_text: 'Cogs & <Gears> cover',
+  });
+  assert.equal(actions.elements[0].url, 'https://tracker.example.com');
+});